@@ -25,6 +25,8 @@ class Auth
 {
     private const ACCESS_TOKEN_TTL  = 1800;  // 30 minutes
     private const REFRESH_TOKEN_TTL = 86400; // 24 hours
+    private const REMEMBER_TOKEN_TTL = 2592000; // 30 days ("remember me")
+    private const REFRESH_COOKIE    = 'alive_refresh';
 
     private static ?string $secretKey  = null;
     private static ?string $refreshSecretKey = null;
@@ -59,9 +61,10 @@ class Auth
      * @param array  $payload User payload
      * @param string $secret  Secret key to use
      * @param int    $ttl     Time-to-live in seconds
+     * @param array  $claims  Extra claims
      * @return string Encoded JWT
      */
-    private static function generateToken(array $user, string $secret, int $ttl): string
+    private static function generateToken(array $user, string $secret, int $ttl, array $claims = []): string
     {
         self::initKeys();
 
@@ -74,7 +77,7 @@ class Auth
             'user_id'  => $user['MbrID'],
             'username' => $user['Username'],
             'role'     => $user['Role'] ?? [],
-        ];
+        ] + $claims;
 
         return JWT::encode($payload, $secret, 'HS256');
     }
@@ -82,25 +85,49 @@ class Auth
     /**
      * Generate access token (30 minutes)
      *
-     * @param array $user User data (MbrID, Username, Role[])
+     * @param array $user    User data (MbrID, Username, Role[])
+     * @param array $session Sign-in session (see newSession); only its ID is embedded
      * @return string Access token
      */
-    public static function generateAccessToken(array $user): string
+    public static function generateAccessToken(array $user, array $session = []): string
     {
         self::initKeys();
-        return self::generateToken($user, self::$secretKey, self::ACCESS_TOKEN_TTL);
+        $claims = isset($session['sid']) ? ['sid' => $session['sid']] : [];
+        return self::generateToken($user, self::$secretKey, self::ACCESS_TOKEN_TTL, $claims);
     }
 
     /**
-     * Generate refresh token (24 hours)
+     * Generate refresh token (24 hours, or 30 days for "remember me")
+     *
+     * The sign-in session travels inside the token, so it survives rotation
+     * and the signed-in devices list can be built from the token store.
      *
-     * @param array $user User data (MbrID, Username)
+     * @param array $user    User data (MbrID, Username)
+     * @param array $session Sign-in session (see newSession)
      * @return string Refresh token
      */
-    public static function generateRefreshToken(array $user): string
+    public static function generateRefreshToken(array $user, array $session = []): string
     {
         self::initKeys();
-        return self::generateToken($user, self::$refreshSecretKey, self::REFRESH_TOKEN_TTL);
+        $ttl = !empty($session['remember']) ? self::REMEMBER_TOKEN_TTL : self::REFRESH_TOKEN_TTL;
+        return self::generateToken($user, self::$refreshSecretKey, $ttl, $session ? ['session' => $session] : []);
+    }
+
+    /**
+     * Describe a new sign-in session for the current request
+     *
+     * @param bool $remember Long-lived ("remember me") session
+     * @return array Session (sid, remember, device, ip, started)
+     */
+    private static function newSession(bool $remember): array
+    {
+        return [
+            'sid'      => bin2hex(random_bytes(16)),
+            'remember' => $remember,
+            'device'   => substr((string)($_SERVER['HTTP_USER_AGENT'] ?? 'Unknown device'), 0, 255),
+            'ip'       => $_SERVER['REMOTE_ADDR'] ?? '',
+            'started'  => time()
+        ];
     }
 
     /**
@@ -126,6 +153,66 @@ class Auth
         ]);
     }
 
+    /**
+     * Send the refresh token as an httpOnly cookie
+     *
+     * Used by clients that keep the access token in memory only, so the
+     * refresh token is never readable from JavaScript. SameSite defaults to
+     * Lax; set REFRESH_COOKIE_SAMESITE=None when the frontend is served from
+     * another site (requires HTTPS).
+     *
+     * @param string $token    Refresh token
+     * @param bool   $remember Keep the cookie after the browser closes
+     * @return void
+     */
+    public static function setRefreshCookie(string $token, bool $remember = false): void
+    {
+        // A session cookie (expires 0) is dropped when the browser closes
+        self::sendRefreshCookie($token, $remember ? time() + self::REMEMBER_TOKEN_TTL : 0);
+    }
+
+    /**
+     * Expire the refresh token cookie
+     *
+     * @return void
+     */
+    public static function clearRefreshCookie(): void
+    {
+        self::sendRefreshCookie('', time() - 3600);
+    }
+
+    /**
+     * Read the refresh token cookie
+     *
+     * @return string|null Token or null if not sent
+     */
+    public static function getRefreshCookie(): ?string
+    {
+        $token = $_COOKIE[self::REFRESH_COOKIE] ?? '';
+        return is_string($token) && $token !== '' ? $token : null;
+    }
+
+    /**
+     * Write the refresh token cookie header
+     *
+     * @param string $value   Cookie value
+     * @param int    $expires Expiry timestamp
+     * @return void
+     */
+    private static function sendRefreshCookie(string $value, int $expires): void
+    {
+        $sameSite = $_ENV['REFRESH_COOKIE_SAMESITE'] ?? 'Lax';
+        $https    = !empty($_SERVER['HTTPS']) && $_SERVER['HTTPS'] !== 'off';
+
+        setcookie(self::REFRESH_COOKIE, $value, [
+            'expires'  => $expires,
+            'path'     => '/',
+            'secure'   => $https || strcasecmp($sameSite, 'None') === 0,
+            'httponly' => true,
+            'samesite' => $sameSite
+        ]);
+    }
+
     /**
      * Verify and decode a JWT token
      *
@@ -243,6 +330,22 @@ class Auth
             Helpers::sendFeedback('Unauthorized: Invalid or expired token', 401);
         }
 
+        $permissions = self::getUserPermissions((int)$decoded['user_id']);
+
+        if (!in_array($requiredPermission, $permissions, true)) {
+            Helpers::logError("Forbidden access attempt by user {$decoded['user_id']} for permission: $requiredPermission");
+            Helpers::sendFeedback('Forbidden: Insufficient permissions', 403);
+        }
+    }
+
+    /**
+     * Get the effective permission names of a user across all their roles
+     *
+     * @param int $userId Member ID
+     * @return array Unique permission names
+     */
+    public static function getUserPermissions(int $userId): array
+    {
         $orm = new ORM();
 
         $results = $orm->selectWithJoin(
@@ -255,25 +358,52 @@ class Auth
             ],
             fields: ['p.PermissionName'],
             conditions: ['u.MbrID' => ':user_id'],
-            params: [':user_id' => $decoded['user_id']]
+            params: [':user_id' => $userId]
         );
 
-        $permissions = array_column($results, 'PermissionName');
+        return array_values(array_unique(array_column($results, 'PermissionName')));
+    }
 
-        if (!in_array($requiredPermission, $permissions, true)) {
-            Helpers::logError("Forbidden access attempt by user {$decoded['user_id']} for permission: $requiredPermission");
-            Helpers::sendFeedback('Forbidden: Insufficient permissions', 403);
-        }
+    /**
+     * Get the roles and effective permissions of the authenticated user
+     *
+     * The version is a hash of both lists so clients can tell when a
+     * role or permission assignment has changed.
+     *
+     * @return array Roles, permissions and version
+     */
+    public static function getCurrentUserPermissions(): array
+    {
+        $userId = self::getCurrentUserId();
+        $orm    = new ORM();
+
+        $roles = array_column($orm->runQuery(
+            "SELECT cr.RoleName FROM memberrole mr 
+             JOIN churchrole cr ON mr.ChurchRoleID = cr.RoleID 
+             WHERE mr.MbrID = :id",
+            [':id' => $userId]
+        ), 'RoleName');
+
+        $permissions = self::getUserPermissions($userId);
+
+        sort($roles);
+        sort($permissions);
+
+        return [
+            'status'      => 'success',
+            'roles'       => $roles,
+            'permissions' => $permissions,
+            'version'     => md5(json_encode([$roles, $permissions]))
+        ];
     }
 
     /**
-     * Perform user login and issue authentication tokens
+     * Get the profile returned to the client at login
      *
-     * @param string $username Username
-     * @param string $password Plain-text password
-     * @return array Tokens and user data
+     * @param int $userId Member ID
+     * @return array|null Member record with role name, or null if inactive
      */
-    public static function login(string $username, string $password): array
+    public static function getUserProfile(int $userId): ?array
     {
         $orm = new ORM();
 
@@ -284,16 +414,125 @@ class Auth
                 ['table' => 'memberrole mr', 'on' => 'c.MbrID = mr.MbrID', 'type' => 'LEFT'],
                 ['table' => 'churchrole cr', 'on' => 'mr.ChurchRoleID = cr.RoleID', 'type' => 'LEFT']
             ],
-            fields: ['u.MbrID', 'u.Username', 'u.PasswordHash', 'c.*', 'cr.RoleName'],
-            conditions: ['u.Username' => ':username', 'c.MbrMembershipStatus' => ':status'],
-            params: [':username' => $username, ':status' => 'Active']
+            fields: ['u.MbrID', 'u.Username', 'c.*', 'cr.RoleName'],
+            conditions: ['u.MbrID' => ':id', 'c.MbrMembershipStatus' => ':status'],
+            params: [':id' => $userId, ':status' => 'Active']
         )[0] ?? null;
 
+        if ($user) {
+            unset($user['CreatedAt'], $user['AuthUserID']);
+        }
+
+        return $user;
+    }
+
+    /**
+     * Perform user login and issue authentication tokens
+     *
+     * Users with two-factor authentication get a challenge instead of tokens
+     * unless the device presents a valid remembered-device token.
+     *
+     * @param string      $username    Username
+     * @param string      $password    Plain-text password
+     * @param bool        $remember    Issue a long-lived refresh token
+     * @param string|null $deviceToken Remembered-device token (see TwoFactor)
+     * @return array Tokens and user data, or a two-factor challenge
+     */
+    public static function login(string $username, string $password, bool $remember = false, ?string $deviceToken = null): array
+    {
+        $user = self::findLoginUser('u.Username', $username);
+
         if (!$user || !password_verify($password, $user['PasswordHash'])) {
             Helpers::logError("Failed login attempt for username: $username");
             throw new Exception('Invalid credentials');
         }
 
+        if (TwoFactor::isEnabled($user) && !TwoFactor::isTrustedDevice($deviceToken, $user)) {
+            return TwoFactor::startChallenge($user, $remember);
+        }
+
+        return self::startSession($user, $remember);
+    }
+
+    /**
+     * Complete a two-factor login and issue authentication tokens
+     *
+     * @param string $challengeToken Challenge token from login()
+     * @param string $code           Code from the authenticator app, SMS or email
+     * @param bool   $rememberDevice Also issue a remembered-device token
+     * @return array Tokens and user data (plus device_token when requested)
+     * @throws Exception If the challenge or code is invalid
+     */
+    public static function verifyTwoFactor(string $challengeToken, string $code, bool $rememberDevice = false): array
+    {
+        $claims = TwoFactor::decodeChallenge($challengeToken);
+        $user   = self::findLoginUser('u.MbrID', (int)$claims['sub']);
+
+        if (!$user || !TwoFactor::checkCode($claims, $user, $code)) {
+            Helpers::logError("Failed two-factor attempt for member ID: {$claims['sub']}");
+            throw new Exception('Invalid verification code');
+        }
+
+        $deviceToken = $rememberDevice ? TwoFactor::issueDeviceToken($user) : null;
+        $result      = self::startSession($user, (bool)$claims['remember']);
+
+        return $deviceToken ? $result + ['device_token' => $deviceToken] : $result;
+    }
+
+    /**
+     * Send a new SMS/email code for a pending two-factor login
+     *
+     * @param string $challengeToken Challenge token from login()
+     * @return array New challenge
+     * @throws Exception If the challenge is invalid
+     */
+    public static function resendTwoFactorCode(string $challengeToken): array
+    {
+        $claims = TwoFactor::decodeChallenge($challengeToken);
+        $user   = self::findLoginUser('u.MbrID', (int)$claims['sub']);
+
+        if (!$user) {
+            throw new Exception('Invalid challenge token');
+        }
+
+        return TwoFactor::resend($claims, $user);
+    }
+
+    /**
+     * Load an active member's login record
+     *
+     * @param string     $field Lookup column (u.Username or u.MbrID)
+     * @param string|int $value Value to match
+     * @return array|null Login record
+     */
+    private static function findLoginUser(string $field, $value): ?array
+    {
+        $orm = new ORM();
+
+        return $orm->selectWithJoin(
+            baseTable: 'userauthentication u',
+            joins: [
+                ['table' => 'churchmember c', 'on' => 'u.MbrID = c.MbrID'],
+                ['table' => 'memberrole mr', 'on' => 'c.MbrID = mr.MbrID', 'type' => 'LEFT'],
+                ['table' => 'churchrole cr', 'on' => 'mr.ChurchRoleID = cr.RoleID', 'type' => 'LEFT']
+            ],
+            fields: array_merge(['u.MbrID', 'u.Username', 'u.PasswordHash'], TwoFactor::loginFields(), ['c.*', 'cr.RoleName']),
+            conditions: [$field => ':value', 'c.MbrMembershipStatus' => ':status'],
+            params: [':value' => $value, ':status' => 'Active']
+        )[0] ?? null;
+    }
+
+    /**
+     * Start a sign-in session for an authenticated user
+     *
+     * @param array $user     Login record (see findLoginUser())
+     * @param bool  $remember Issue a long-lived refresh token
+     * @return array Tokens and user data
+     */
+    private static function startSession(array $user, bool $remember): array
+    {
+        $orm = new ORM();
+
         // Get all roles of user
         $roles = $orm->runQuery(
             "SELECT cr.RoleName FROM memberrole mr 
@@ -310,7 +549,8 @@ class Auth
             'Role'     => $roleNames
         ];
 
-        $refreshToken = self::generateRefreshToken($userData);
+        $session      = self::newSession($remember);
+        $refreshToken = self::generateRefreshToken($userData, $session);
         self::storeRefreshToken($user['MbrID'], $refreshToken);
 
         // Update last login
@@ -320,12 +560,13 @@ class Auth
             ['MbrID' => $user['MbrID']]
         );
 
-        unset($user['PasswordHash'], $user['CreatedAt'], $user['AuthUserID']);
+        unset($user['PasswordHash'], $user['TwoFactorSecret'], $user['CreatedAt'], $user['AuthUserID']);
 
         return [
             'status'        => 'success',
-            'access_token'  => self::generateAccessToken($userData),
+            'access_token'  => self::generateAccessToken($userData, $session),
             'refresh_token' => $refreshToken,
+            'remember'      => $remember,
             'user'          => $user
         ];
     }
@@ -334,9 +575,10 @@ class Auth
      * Refresh access token using a valid refresh token
      *
      * @param string $refreshToken Valid refresh token
+     * @param bool   $includeUser  Also return the user profile (page-load rehydration)
      * @return array New tokens
      */
-    public static function refreshAccessToken(string $refreshToken): array
+    public static function refreshAccessToken(string $refreshToken, bool $includeUser = false): array
     {
         if (empty($refreshToken)) {
             Helpers::sendError('Refresh token required');
@@ -382,13 +624,24 @@ class Auth
             'Role'     => array_column($roles, 'RoleName')
         ];
 
-        $newRefreshToken = self::generateRefreshToken($userData);
+        // Carry the sign-in session over; tokens issued before sessions existed get a new one
+        $session = isset($decoded['session']) ? (array)$decoded['session'] : self::newSession(false);
+        $session['ip'] = $_SERVER['REMOTE_ADDR'] ?? ($session['ip'] ?? '');
+
+        $newRefreshToken = self::generateRefreshToken($userData, $session);
         self::storeRefreshToken($userData['MbrID'], $newRefreshToken);
 
-        return [
-            'access_token'  => self::generateAccessToken($userData),
-            'refresh_token' => $newRefreshToken
+        $result = [
+            'access_token'  => self::generateAccessToken($userData, $session),
+            'refresh_token' => $newRefreshToken,
+            'remember'      => !empty($session['remember'])
         ];
+
+        if ($includeUser) {
+            $result['user'] = self::getUserProfile((int)$userData['MbrID']);
+        }
+
+        return $result;
     }
 
     /**
@@ -407,6 +660,116 @@ class Auth
         $orm->update('refresh_tokens', ['revoked' => 1], ['token' => $refreshToken]);
     }
 
+    /**
+     * List the user's signed-in sessions (one per active refresh token)
+     *
+     * @param int         $userId     Member ID
+     * @param string|null $currentSid Session of the caller, flagged as current
+     * @return array Sessions, most recently active first
+     */
+    public static function getUserSessions(int $userId, ?string $currentSid = null): array
+    {
+        $sessions = [];
+
+        foreach (self::getActiveSessionTokens($userId) as $sid => $entry) {
+            $session = $entry['session'];
+
+            $sessions[] = [
+                'id'          => $sid,
+                'device'      => $session['device'] ?? 'Unknown device',
+                'ip'          => $session['ip'] ?? '',
+                'remember'    => !empty($session['remember']),
+                'started_at'  => isset($session['started']) ? date('Y-m-d H:i:s', (int)$session['started']) : null,
+                'last_active' => $entry['created_at'],
+                'expires_at'  => $entry['expires_at'],
+                'current'     => $sid === $currentSid
+            ];
+        }
+
+        usort($sessions, fn($a, $b) => strcmp($b['last_active'], $a['last_active']));
+
+        return $sessions;
+    }
+
+    /**
+     * Revoke one of the user's signed-in sessions
+     *
+     * @param int    $userId Member ID
+     * @param string $sid    Session ID
+     * @return bool True if a session was revoked
+     */
+    public static function revokeSession(int $userId, string $sid): bool
+    {
+        $sessions = self::getActiveSessionTokens($userId);
+        if (!isset($sessions[$sid])) {
+            return false;
+        }
+
+        $orm = new ORM();
+        foreach ($sessions[$sid]['ids'] as $id) {
+            $orm->update('refresh_tokens', ['revoked' => 1], ['id' => $id]);
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the session ID of the current access token
+     *
+     * @return string|null Session ID, or null for tokens issued without one
+     */
+    public static function getCurrentSessionId(): ?string
+    {
+        $token   = self::getBearerToken();
+        $decoded = $token ? self::verify($token) : false;
+
+        return $decoded && isset($decoded['sid']) ? (string)$decoded['sid'] : null;
+    }
+
+    /**
+     * Group the user's active refresh tokens by session
+     *
+     * @param int $userId Member ID
+     * @return array sid => [session, ids, created_at, expires_at]
+     */
+    private static function getActiveSessionTokens(int $userId): array
+    {
+        self::initKeys();
+
+        $orm  = new ORM();
+        $rows = $orm->runQuery(
+            "SELECT id, token, created_at, expires_at FROM refresh_tokens
+             WHERE user_id = :id AND revoked = 0 AND expires_at > NOW()
+             ORDER BY created_at DESC",
+            [':id' => $userId]
+        );
+
+        $sessions = [];
+        foreach ($rows as $row) {
+            try {
+                $decoded = JWT::decode($row['token'], new Key(self::$refreshSecretKey, 'HS256'));
+            } catch (Exception $e) {
+                continue;
+            }
+
+            // Tokens from before sessions existed are listed under their row ID
+            $session = isset($decoded->session) ? (array)$decoded->session : ['sid' => 'token-' . $row['id']];
+            $sid     = (string)$session['sid'];
+
+            if (!isset($sessions[$sid])) {
+                $sessions[$sid] = [
+                    'session'    => $session,
+                    'ids'        => [],
+                    'created_at' => $row['created_at'],
+                    'expires_at' => $row['expires_at']
+                ];
+            }
+            $sessions[$sid]['ids'][] = $row['id'];
+        }
+
+        return $sessions;
+    }
+
     /**
      * Clean up expired tokens (run via cron)
      */
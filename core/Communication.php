@@ -86,6 +86,62 @@ class Communication
       return ['status' => 'success', 'communication_id' => $commId];
    }
 
+   /**
+    * Email a document (receipt, giving statement) to a member right away
+    *
+    * Queued Email messages are sent by the cron as escaped plain text, so
+    * HTML documents go straight to EmailGateway instead and the sender gets
+    * the outcome. The message and its delivery are recorded like send()'s.
+    * Documents are built by Statement from the database, never taken from
+    * the client; the recipient is always the member's own address on file.
+    *
+    * @param array{member_id:int, subject:string, html:string} $document Document from Statement
+    * @return array{status:string, communication_id:int} Success response with stored message ID
+    */
+   public static function emailDocument(array $document): array
+   {
+      $orm = new ORM();
+
+      $memberId = $document['member_id'];
+      $member   = $orm->getWhere('churchmember', ['MbrID' => $memberId, 'Deleted' => 0])[0] ?? null;
+      if (!$member) {
+         Helpers::sendFeedback('Member not found', 404);
+      }
+      if (empty($member['MbrEmailAddress'])) {
+         Helpers::sendFeedback('Member has no email address on file', 400);
+      }
+
+      $html = $document['html'];
+      $sent = EmailGateway::send($member['MbrEmailAddress'], $document['subject'], $html);
+      $now  = date('Y-m-d H:i:s');
+
+      $commId = $orm->insert('communication', [
+         'Title'          => $document['subject'],
+         'Message'        => $html,
+         'SentBy'         => Auth::getCurrentUserId(),
+         'TargetMemberID' => $memberId,
+         'TargetGroupID'  => null,
+         'Channel'        => 'Email',
+         'Status'         => $sent ? 'Sent' : 'Failed',
+         'CreatedAt'      => $now
+      ])['id'];
+
+      $orm->insert('communication_delivery', [
+         'CommID'       => $commId,
+         'MbrID'        => $memberId,
+         'Channel'      => 'Email',
+         'Status'       => $sent ? 'Sent' : 'Failed',
+         'DeliveredAt'  => $sent ? $now : null,
+         'ErrorMessage' => $sent ? null : 'Email gateway failed'
+      ]);
+
+      if (!$sent) {
+         Helpers::sendFeedback('The email could not be sent. Please try again later.', 502);
+      }
+
+      return ['status' => 'success', 'communication_id' => $commId];
+   }
+
    /**
     * Queue delivery for a single member
     *
@@ -246,8 +246,9 @@ class Finance
     */
    public static function getBalanceSheet(int $fiscalYearId, ?string $dateFrom = null, ?string $dateTo = null): array
    {
-      $income   = (float)self::getContributionSummary($fiscalYearId, $dateFrom, $dateTo)['grand_total'];
-      $expenses = (float)self::getExpenseSummary($fiscalYearId, $dateFrom, $dateTo)['grand_total'];
+      // grand_total is formatted ("1,250.00"); strip the separators before casting
+      $income   = (float)str_replace(',', '', self::getContributionSummary($fiscalYearId, $dateFrom, $dateTo)['grand_total']);
+      $expenses = (float)str_replace(',', '', self::getExpenseSummary($fiscalYearId, $dateFrom, $dateTo)['grand_total']);
       $net      = $income - $expenses;
 
       return [
@@ -21,6 +21,18 @@ declare(strict_types=1);
 
 class Helpers
 {
+    /**
+     * Supported phone number countries (mirrors Config.PHONE_COUNTRIES in
+     * the frontend). 'pattern' matches the national number without the
+     * trunk prefix.
+     */
+    private const PHONE_COUNTRIES = [
+        'GH' => ['dial_code' => '233', 'trunk_prefix' => '0', 'pattern' => '/^[2-5]\d{8}$/'],
+        'NG' => ['dial_code' => '234', 'trunk_prefix' => '0', 'pattern' => '/^[789][01]\d{8}$/'],
+        'GB' => ['dial_code' => '44',  'trunk_prefix' => '0', 'pattern' => '/^(7\d{9}|[123]\d{8,9})$/'],
+        'US' => ['dial_code' => '1',   'trunk_prefix' => '',  'pattern' => '/^[2-9]\d{2}[2-9]\d{6}$/'],
+    ];
+
     /**
      * Send standardised JSON response and terminate execution
      *
@@ -111,12 +123,20 @@ class Helpers
     {
         $allowedOrigin = $_ENV['ALLOWED_ORIGINS'] ?? '*';
         $allowedMethods = $_ENV['ALLOWED_METHODS'] ?? 'GET, POST, PUT, DELETE, OPTIONS';
-        $allowedHeaders = $_ENV['ALLOWED_HEADERS'] ?? 'Authorization, Content-Type, X-Requested-With';
+        $allowedHeaders = $_ENV['ALLOWED_HEADERS'] ?? 'Authorization, Content-Type, X-Requested-With, Idempotency-Key';
+
+        // Credentialed requests (refresh cookie) need the exact origin, not '*'
+        $origin = $_SERVER['HTTP_ORIGIN'] ?? '';
+        if ($allowedOrigin !== '*' && in_array($origin, array_map('trim', explode(',', $allowedOrigin)), true)) {
+            $allowedOrigin = $origin;
+            header('Vary: Origin');
+        }
 
         header("Access-Control-Allow-Origin: $allowedOrigin");
         header("Access-Control-Allow-Methods: $allowedMethods");
         header("Access-Control-Allow-Headers: $allowedHeaders");
         header('Access-Control-Allow-Credentials: true');
+        header('Access-Control-Expose-Headers: Retry-After');
 
         if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
             http_response_code(204);
@@ -223,9 +243,9 @@ class Helpers
                         break;
 
                     case 'phone':
-                        // Ghana phone number validation (0XX XXXX XXXX or +233 XX XXXX XXXX)
-                        if ($value && !preg_match('/^(\+?233|0)[2-5][0-9]{8}$/', preg_replace('/[\s\-\(\)]/', '', $value))) {
-                            $errors[] = "$field is not a valid Ghana phone number";
+                        // National number of the default country, or international for any supported country
+                        if ($value && self::normalizePhone((string)$value) === null) {
+                            $errors[] = "$field is not a valid phone number";
                         }
                         break;
 
@@ -462,6 +482,64 @@ class Helpers
         }
     }
 
+    /**
+     * Normalise a phone number to E.164 (e.g. +233244123456)
+     *
+     * Numbers with a + or 00 prefix are matched against every supported
+     * country; anything else is read as a national number of $country
+     * (default: DEFAULT_PHONE_COUNTRY from .env, else GH).
+     *
+     * @param string      $phone   Phone number as entered
+     * @param string|null $country ISO country code for national numbers
+     * @return string|null E.164 number, or null if not a valid supported number
+     */
+    public static function normalizePhone(string $phone, ?string $country = null): ?string
+    {
+        $phone = preg_replace('/[\s\-\(\)\.\/]/', '', trim($phone));
+        if (str_starts_with($phone, '00')) {
+            $phone = '+' . substr($phone, 2);
+        }
+
+        $matchInternational = function (string $digits): ?string {
+            foreach (self::PHONE_COUNTRIES as $rules) {
+                if (!str_starts_with($digits, $rules['dial_code'])) {
+                    continue;
+                }
+                $national = substr($digits, strlen($rules['dial_code']));
+                // Allow a trunk prefix after the country code: +44 (0)7700 900123
+                if ($rules['trunk_prefix'] !== '' && !preg_match($rules['pattern'], $national) && str_starts_with($national, $rules['trunk_prefix'])) {
+                    $national = substr($national, strlen($rules['trunk_prefix']));
+                }
+                if (preg_match($rules['pattern'], $national)) {
+                    return '+' . $rules['dial_code'] . $national;
+                }
+            }
+            return null;
+        };
+
+        if (str_starts_with($phone, '+')) {
+            $digits = substr($phone, 1);
+            return ctype_digit($digits) ? $matchInternational($digits) : null;
+        }
+        if (!ctype_digit($phone)) {
+            return null;
+        }
+
+        $country = strtoupper($country ?? ($_ENV['DEFAULT_PHONE_COUNTRY'] ?? 'GH'));
+        $rules   = self::PHONE_COUNTRIES[$country] ?? null;
+        if ($rules !== null) {
+            $national = $rules['trunk_prefix'] !== '' && str_starts_with($phone, $rules['trunk_prefix'])
+                ? substr($phone, strlen($rules['trunk_prefix']))
+                : $phone;
+            if (preg_match($rules['pattern'], $national)) {
+                return '+' . $rules['dial_code'] . $national;
+            }
+        }
+
+        // International number entered without the + (e.g. 233244123456)
+        return $matchInternational($phone);
+    }
+
     /**
      * Log error messages with context
      * 
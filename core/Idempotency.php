@@ -0,0 +1,167 @@
+<?php
+
+/**
+ * Idempotent Writes
+ *
+ * POST/PUT/DELETE requests may carry an Idempotency-Key header. The first
+ * request with a key runs normally and its response is stored; a repeat
+ * with the same key (a retry, or an offline change replayed after the
+ * original did reach the server) gets the stored response instead of
+ * running again. Keys are scoped to the signed-in user.
+ *
+ * Uses file-based caching like RateLimiter.
+ *
+ * @package  AliveChMS\Core
+ * @version  1.0.0
+ * @author   Benjamin Ebo Yankson
+ * @since    2025-November
+ */
+
+declare(strict_types=1);
+
+class Idempotency
+{
+   private const CACHE_DIR   = __DIR__ . '/../cache/idempotency';
+   private const TTL         = 604800; // Offline changes may wait days: keep 7 days
+   private const PENDING_TTL = 120;    // A request still running after this is assumed dead
+   private const METHODS     = ['POST', 'PUT', 'DELETE'];
+
+   /**
+    * Replay the stored response of a repeated request, or record this one
+    *
+    * Call before dispatching to the route. Exits when the key was seen.
+    *
+    * @param string      $method HTTP method
+    * @param string|null $token  Bearer token of the request
+    * @return void
+    */
+   public static function handle(string $method, ?string $token): void
+   {
+      $key = $_SERVER['HTTP_IDEMPOTENCY_KEY'] ?? '';
+      if ($key === '' || !in_array($method, self::METHODS, true)) {
+         return;
+      }
+      if (!preg_match('/^[A-Za-z0-9-]{8,64}$/', $key)) {
+         Helpers::sendError('Invalid Idempotency-Key header', 400);
+      }
+
+      // Unauthenticated requests are rejected by the route; nothing to store
+      $claims = $token ? Auth::verify($token) : false;
+      if (!$claims || empty($claims['user_id'])) {
+         return;
+      }
+
+      if (!is_dir(self::CACHE_DIR)) {
+         mkdir(self::CACHE_DIR, 0755, true);
+      }
+      $file = self::CACHE_DIR . '/' . hash('sha256', $claims['user_id'] . ':' . $key);
+
+      self::expire($file);
+
+      // 'x' fails if the file exists, so only one request can claim a key
+      $handle = @fopen($file, 'x');
+      if ($handle === false) {
+         self::replay($file);
+         return;
+      }
+      fwrite($handle, json_encode(['completed' => false, 'started' => time()]));
+      fclose($handle);
+
+      ob_start();
+      register_shutdown_function([self::class, 'store'], $file);
+   }
+
+   /**
+    * Store the response of the request that claimed a key
+    * Runs at shutdown, before the output buffer is flushed.
+    *
+    * @param string $file Cache file
+    * @return void
+    */
+   public static function store(string $file): void
+   {
+      $status = http_response_code() ?: 200;
+      $body   = ob_get_contents();
+
+      // Failures the client is expected to retry must run again
+      if ($status >= 500 || $status === 401 || $status === 429 || $body === false) {
+         @unlink($file);
+         return;
+      }
+
+      file_put_contents($file, json_encode([
+         'completed' => true,
+         'started'   => time(),
+         'status'    => $status,
+         'body'      => $body
+      ]));
+   }
+
+   /**
+    * Remove expired keys
+    *
+    * @param int $maxAge Maximum age in seconds
+    * @return int Number of keys removed
+    */
+   public static function cleanup(int $maxAge = self::TTL): int
+   {
+      if (!is_dir(self::CACHE_DIR)) {
+         return 0;
+      }
+
+      $removed = 0;
+      foreach (glob(self::CACHE_DIR . '/*') as $file) {
+         if (filemtime($file) < time() - $maxAge && @unlink($file)) {
+            $removed++;
+         }
+      }
+
+      return $removed;
+   }
+
+   /**
+    * Send the stored response for a key that was already used
+    *
+    * @param string $file Cache file
+    * @return void Exits, unless the entry expired in the meantime
+    */
+   private static function replay(string $file): void
+   {
+      if (!file_exists($file)) {
+         return;
+      }
+
+      // Not yet written (just claimed) reads as in progress too
+      $entry = json_decode((string)@file_get_contents($file), true);
+      if (!is_array($entry) || empty($entry['completed'])) {
+         header('Retry-After: 5');
+         Helpers::sendError('This request is still being processed', 409);
+      }
+
+      http_response_code((int)$entry['status']);
+      header('Idempotent-Replayed: true');
+      echo $entry['body'];
+      exit;
+   }
+
+   /**
+    * Drop a key that is too old, or stuck in progress
+    *
+    * @param string $file Cache file
+    * @return void
+    */
+   private static function expire(string $file): void
+   {
+      if (!file_exists($file)) {
+         return;
+      }
+
+      $entry   = json_decode((string)@file_get_contents($file), true);
+      $ttl     = !empty($entry['completed']) ? self::TTL : self::PENDING_TTL;
+      $started = $entry['started'] ?? filemtime($file);
+
+      if ($started < time() - $ttl) {
+         @unlink($file);
+      }
+   }
+}
\ No newline at end of file
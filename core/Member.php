@@ -18,6 +18,18 @@ declare(strict_types=1);
 
 class Member
 {
+    /**
+     * Sortable list columns (getAll() "sort" values) and the SQL they order by
+     */
+    private const SORT_COLUMNS = [
+        'full_name'           => ['c.MbrFirstName', 'c.MbrFamilyName'],
+        'MbrGender'           => ['c.MbrGender'],
+        'PrimaryPhone'        => ['PhoneNumbers'],
+        'MbrEmailAddress'     => ['c.MbrEmailAddress'],
+        'MbrMembershipStatus' => ['c.MbrMembershipStatus'],
+        'MbrRegistrationDate' => ['c.MbrRegistrationDate']
+    ];
+
     /**
      * Register a new church member with authentication credentials
      *
@@ -70,11 +82,7 @@ class Member
 
             // Handle phone numbers
             if (!empty($data['phone_numbers']) && is_array($data['phone_numbers'])) {
-                foreach ($data['phone_numbers'] as $index => $phone) {
-                    $phone = trim($phone);
-                    if ($phone === '') {
-                        continue;
-                    }
+                foreach (self::normalizePhones($data['phone_numbers']) as $index => $phone) {
                     $isPrimary = $index === 0 ? 1 : 0;
                     $orm->insert('member_phone', [
                         'MbrID'      => $mbrId,
@@ -159,11 +167,7 @@ class Member
             // Replace phone numbers if provided
             if (isset($data['phone_numbers']) && is_array($data['phone_numbers'])) {
                 $orm->delete('member_phone', ['MbrID' => $mbrId]);
-                foreach ($data['phone_numbers'] as $index => $phone) {
-                    $phone = trim($phone);
-                    if ($phone === '') {
-                        continue;
-                    }
+                foreach (self::normalizePhones($data['phone_numbers']) as $index => $phone) {
                     $isPrimary = $index === 0 ? 1 : 0;
                     $orm->insert('member_phone', [
                         'MbrID'      => $mbrId,
@@ -241,41 +245,64 @@ class Member
     /**
      * Retrieve paginated list of active members
      *
-     * @param int $page  Page number (1-based)
-     * @param int $limit Items per page
+     * @param int   $page    Page number (1-based)
+     * @param int   $limit   Items per page
+     * @param array $filters Optional filters: email (exact match),
+     *                       search (name, email or phone contains),
+     *                       sort (key of SORT_COLUMNS), order (asc|desc)
      * @return array Paginated result
      */
-    public static function getAll(int $page = 1, int $limit = 10): array
+    public static function getAll(int $page = 1, int $limit = 10, array $filters = []): array
     {
         $orm    = new ORM();
         $offset = ($page - 1) * $limit;
 
-        $members = $orm->selectWithJoin(
-            baseTable: 'churchmember c',
-            joins: [
-                ['table' => 'member_phone p', 'on' => 'c.MbrID = p.MbrID', 'type' => 'LEFT'],
-                ['table' => 'family f',       'on' => 'c.FamilyID = f.FamilyID', 'type' => 'LEFT']
-            ],
-            fields: [
-                'c.*',
-                // 'c.MbrFirstName',
-                // 'c.MbrFamilyName',
-                // 'c.MbrEmailAddress',
-                // 'c.MbrMembershipStatus',
-                // 'c.MbrRegistrationDate',
-                "GROUP_CONCAT(DISTINCT p.PhoneNumber ORDER BY p.IsPrimary DESC SEPARATOR ', ') AS PhoneNumbers",
-                'f.FamilyName'
-            ],
-            conditions: ['c.MbrMembershipStatus' => ':status', 'c.Deleted' => 0],
-            params: [':status' => 'Active'],
-            groupBy: ['c.MbrID'],
-            orderBy: ['c.MbrRegistrationDate' => 'DESC'],
-            limit: $limit,
-            offset: $offset
+        $where  = ['c.Deleted = 0', 'c.MbrMembershipStatus = :status'];
+        $params = [':status' => 'Active'];
+
+        if (!empty($filters['email'])) {
+            $where[] = 'c.MbrEmailAddress = :email';
+            $params[':email'] = $filters['email'];
+        }
+
+        if (!empty($filters['search'])) {
+            // Native prepares: each placeholder may appear only once
+            $where[] = "(c.MbrFirstName LIKE :search_first
+                OR c.MbrFamilyName LIKE :search_family
+                OR CONCAT(c.MbrFirstName, ' ', c.MbrFamilyName) LIKE :search_full
+                OR c.MbrEmailAddress LIKE :search_email
+                OR c.MbrID IN (SELECT MbrID FROM member_phone WHERE PhoneNumber LIKE :search_phone))";
+
+            $term = '%' . addcslashes($filters['search'], '%_\\') . '%';
+            foreach (['first', 'family', 'full', 'email', 'phone'] as $field) {
+                $params[":search_$field"] = $term;
+            }
+        }
+
+        $whereSql = implode(' AND ', $where);
+
+        $direction = strtolower($filters['order'] ?? '') === 'desc' ? 'DESC' : 'ASC';
+        $orderSql  = isset(self::SORT_COLUMNS[$filters['sort'] ?? ''])
+            ? implode(', ', array_map(fn($column) => "$column $direction", self::SORT_COLUMNS[$filters['sort']]))
+            : 'c.MbrRegistrationDate DESC';
+
+        $members = $orm->runQuery(
+            "SELECT c.*,
+                    GROUP_CONCAT(DISTINCT p.PhoneNumber ORDER BY p.IsPrimary DESC SEPARATOR ', ') AS PhoneNumbers,
+                    f.FamilyName
+             FROM churchmember c
+             LEFT JOIN member_phone p ON c.MbrID = p.MbrID
+             LEFT JOIN family f ON c.FamilyID = f.FamilyID
+             WHERE $whereSql
+             GROUP BY c.MbrID
+             ORDER BY $orderSql, c.MbrID
+             LIMIT " . (int)$limit . " OFFSET " . (int)$offset,
+            $params
         );
 
         $total = $orm->runQuery(
-            "SELECT COUNT(*) AS total FROM churchmember WHERE Deleted = 0 AND MbrMembershipStatus = 'Active'"
+            "SELECT COUNT(*) AS total FROM churchmember c WHERE $whereSql",
+            $params
         )[0]['total'];
 
         return [
@@ -288,4 +315,28 @@ class Member
             ]
         ];
     }
+
+    /**
+     * Normalise submitted phone numbers to E.164, dropping blanks
+     *
+     * @param array $phones Phone numbers as entered (first is primary)
+     * @return array E.164 numbers, re-indexed from 0
+     * @throws Exception If a number is not a valid supported phone number
+     */
+    private static function normalizePhones(array $phones): array
+    {
+        $normalized = [];
+        foreach ($phones as $phone) {
+            $phone = trim((string)$phone);
+            if ($phone === '') {
+                continue;
+            }
+            $e164 = Helpers::normalizePhone($phone);
+            if ($e164 === null) {
+                throw new Exception("Invalid phone number: $phone");
+            }
+            $normalized[] = $e164;
+        }
+        return $normalized;
+    }
 }
\ No newline at end of file
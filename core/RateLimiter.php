@@ -195,6 +195,7 @@ class RateLimiter
          $resetMinutes = ceil($resetTime / 60);
 
          http_response_code(429);
+         header('Retry-After: ' . $resetTime);
          echo json_encode([
             'status' => 'error',
             'message' => "Too many requests. Please try again in $resetMinutes minute(s).",
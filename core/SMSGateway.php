@@ -61,18 +61,17 @@ abstract class BaseSmsProvider implements SmsProviderInterface
    }
 
    /**
-    * Normalize a Ghanaian phone number to international format.
+    * Normalize a phone number to international digits (E.164 without the +).
+    *
+    * National numbers are read in DEFAULT_PHONE_COUNTRY (see Helpers::normalizePhone).
     *
     * @param string $phone
-    * @return string
+    * @return string|null Digits, or null if the number is not valid
     */
-   protected function normalizePhone(string $phone): string
+   protected function normalizePhone(string $phone): ?string
    {
-      $phone = preg_replace('/\D/', '', $phone);
-      if (strlen($phone) === 10 && str_starts_with($phone, '0')) {
-         $phone = '233' . substr($phone, 1);
-      }
-      return $phone;
+      $e164 = Helpers::normalizePhone($phone);
+      return $e164 !== null ? substr($e164, 1) : null;
    }
 }
 
@@ -89,11 +88,12 @@ class HubtelProvider extends BaseSmsProvider
     */
    public function send(string $to, string $message): bool
    {
-      $to = $this->normalizePhone($to);
-      if (strlen($to) !== 12 || !str_starts_with($to, '233')) {
-         $this->lastError = "Invalid Ghana phone number: $to";
+      $normalized = $this->normalizePhone($to);
+      if ($normalized === null) {
+         $this->lastError = "Invalid phone number: $to";
          return false;
       }
+      $to = $normalized;
 
       $payload = [
          'from'          => $_ENV['HUBTEL_SENDER'] ?? 'AliveChMS',
@@ -151,7 +151,12 @@ class TextMeProvider extends BaseSmsProvider
     */
    public function send(string $to, string $message): bool
    {
-      $to = $this->normalizePhone($to);
+      $normalized = $this->normalizePhone($to);
+      if ($normalized === null) {
+         $this->lastError = "Invalid phone number: $to";
+         return false;
+      }
+      $to = $normalized;
 
       $payload = [
          'to'         => $to,
@@ -193,6 +198,13 @@ class GenericHttpProvider extends BaseSmsProvider
     */
    public function send(string $to, string $message): bool
    {
+      $normalized = $this->normalizePhone($to);
+      if ($normalized === null) {
+         $this->lastError = "Invalid phone number: $to";
+         return false;
+      }
+      $to = $normalized;
+
       $url     = $_ENV['GENERIC_SMS_URL']     ?? '';
       $method  = $_ENV['GENERIC_SMS_METHOD']  ?? 'POST';
       $headers = $this->parseHeaders($_ENV['GENERIC_SMS_HEADERS'] ?? '');
@@ -0,0 +1,414 @@
+<?php
+
+/**
+ * Contribution Receipts & Giving Statements
+ *
+ * Builds the emailed versions of the documents the frontend previews and
+ * prints (statements.js): a receipt for one contribution, and a member's
+ * giving statement for a fiscal year or date range. Everything is rendered
+ * here from the database, so the content of an email never comes from the
+ * client. Numbers match the frontend (RCT-000123, STM-2025-00042).
+ *
+ * Letterhead details are read from the environment (CHURCH_NAME,
+ * CHURCH_ADDRESS, CHURCH_PHONE, CHURCH_EMAIL, CHURCH_WEBSITE, CURRENCY).
+ *
+ * @package  AliveChMS\Core
+ * @version  1.0.0
+ * @author   Benjamin Ebo Yankson
+ * @since    2025-November
+ */
+
+declare(strict_types=1);
+
+class Statement
+{
+   private const RECEIPT_PREFIX   = 'RCT-';
+   private const STATEMENT_PREFIX = 'STM-';
+   private const STATEMENT_NOTE   = 'Thank you for your faithful giving. Please keep this statement for your records.';
+
+   /**
+    * Build the receipt of a contribution
+    *
+    * @param int $contributionId Contribution ID
+    * @return array{member_id:int, subject:string, html:string} Document to email
+    */
+   public static function receipt(int $contributionId): array
+   {
+      $contribution = Contribution::get($contributionId);
+      $number       = self::receiptNumber($contributionId);
+
+      $body = self::details([
+         'Receipt No.'    => $number,
+         'Received from'  => trim($contribution['MbrFirstName'] . ' ' . $contribution['MbrFamilyName']),
+         'Amount'         => self::money($contribution['ContributionAmount']),
+         'Being'          => $contribution['ContributionTypeName'],
+         'Description'    => $contribution['Description'] ?? '',
+         'Payment method' => $contribution['PaymentOptionName']
+      ]);
+
+      return [
+         'member_id' => (int)$contribution['MbrID'],
+         'subject'   => "Your receipt $number",
+         'html'      => self::layout('Official Receipt', self::date($contribution['ContributionDate']), $body)
+      ];
+   }
+
+   /**
+    * Build a member's giving statement
+    *
+    * Pledge payments recorded as a contribution are only counted once, as
+    * the contribution.
+    *
+    * @param int $memberId Member ID
+    * @param array{fiscal_year_id?:int, start_date?:string, end_date?:string} $period Fiscal year or date range
+    * @return array{member_id:int, subject:string, html:string} Document to email
+    */
+   public static function statement(int $memberId, array $period): array
+   {
+      $orm = new ORM();
+
+      $member = $orm->getWhere('churchmember', ['MbrID' => $memberId, 'Deleted' => 0])[0] ?? null;
+      if (!$member) {
+         Helpers::sendFeedback('Member not found', 404);
+      }
+
+      $period        = self::resolvePeriod($period);
+      $contributions = self::contributions($orm, $memberId, $period);
+      $payments      = self::pledgePayments($orm, $memberId, $period, array_column($contributions, 'ContributionID'));
+      $number        = self::statementNumber($memberId, $period['to']);
+
+      $byType = [];
+      foreach ($contributions as $row) {
+         $type = $row['ContributionTypeName'] ?: 'Other';
+         $byType[$type] ??= ['count' => 0, 'total' => 0.0];
+         $byType[$type]['count']++;
+         $byType[$type]['total'] += (float)$row['ContributionAmount'];
+      }
+      uasort($byType, fn($a, $b) => $b['total'] <=> $a['total']);
+
+      $contributionsTotal = array_sum(array_map('floatval', array_column($contributions, 'ContributionAmount')));
+      $paymentsTotal      = array_sum(array_map('floatval', array_column($payments, 'PaymentAmount')));
+
+      $range = self::date($period['from']) . ' to ' . self::date($period['to']);
+      $name  = trim(implode(' ', array_filter([$member['MbrFirstName'], $member['MbrOtherNames'] ?? '', $member['MbrFamilyName']])));
+
+      $body = self::details([
+         'Statement No.' => $number,
+         'Member'        => $name,
+         'Address'       => $member['MbrResidentialAddress'] ?? '',
+         'Email'         => $member['MbrEmailAddress'] ?? '',
+         'Period'        => $period['year_name'] !== null ? "{$period['year_name']} ($range)" : $range,
+         'Date issued'   => self::date(date('Y-m-d'))
+      ]);
+
+      $body .= self::section('Summary by Contribution Type', self::table(
+         ['Contribution type', 'Count', 'Amount'],
+         array_map(
+            fn($type, $entry) => [$type, (string)$entry['count'], self::money($entry['total'])],
+            array_keys($byType),
+            $byType
+         ),
+         ['Total contributions', (string)count($contributions), self::money($contributionsTotal)]
+      ));
+
+      $body .= self::section('Contributions', self::table(
+         ['Receipt No.', 'Date', 'Type', 'Method', 'Amount'],
+         array_map(fn($row) => [
+            self::receiptNumber((int)$row['ContributionID']),
+            self::date($row['ContributionDate']),
+            $row['ContributionTypeName'],
+            $row['PaymentOptionName'],
+            self::money($row['ContributionAmount'])
+         ], $contributions)
+      ));
+
+      if (!empty($payments)) {
+         $body .= self::section('Pledge Payments', self::table(
+            ['Date', 'Pledge', 'Amount'],
+            array_map(fn($row) => [
+               self::date($row['PaymentDate']),
+               $row['PledgeTypeName'],
+               self::money($row['PaymentAmount'])
+            ], $payments),
+            ['Total pledge payments', '', self::money($paymentsTotal)]
+         ));
+      }
+
+      $body .= '<p style="margin-top: 16px; font-size: 16px;">Total giving: <strong>' . self::e(self::money($contributionsTotal + $paymentsTotal)) . '</strong></p>';
+      $body .= '<p style="margin-top: 16px; font-style: italic;">' . self::e(self::STATEMENT_NOTE) . '</p>';
+
+      $isAnnual = $period['year_name'] !== null ||
+         (substr($period['from'], 5) === '01-01' && substr($period['to'], 5) === '12-31' && substr($period['from'], 0, 4) === substr($period['to'], 0, 4));
+
+      return [
+         'member_id' => $memberId,
+         'subject'   => "Your giving statement $number",
+         'html'      => self::layout($isAnnual ? 'Annual Giving Statement' : 'Giving Statement', $range, $body)
+      ];
+   }
+
+   /**
+    * Get the receipt number of a contribution
+    *
+    * @param int $contributionId Contribution ID
+    * @return string Receipt number (e.g. RCT-000123)
+    */
+   public static function receiptNumber(int $contributionId): string
+   {
+      return self::RECEIPT_PREFIX . str_pad((string)$contributionId, 6, '0', STR_PAD_LEFT);
+   }
+
+   /**
+    * Get the number of a member's statement (reprints get the same number)
+    *
+    * @param int    $memberId Member ID
+    * @param string $to       Last day of the period (Y-m-d)
+    * @return string Statement number (e.g. STM-2025-00042)
+    */
+   public static function statementNumber(int $memberId, string $to): string
+   {
+      return self::STATEMENT_PREFIX . substr($to, 0, 4) . '-' . str_pad((string)$memberId, 5, '0', STR_PAD_LEFT);
+   }
+
+   /**
+    * Resolve a statement period to its dates
+    *
+    * @param array $period fiscal_year_id, or start_date and end_date (Y-m-d)
+    * @return array{from:string, to:string, fiscal_year_id:?int, year_name:?string} Resolved period
+    */
+   private static function resolvePeriod(array $period): array
+   {
+      if (!empty($period['fiscal_year_id'])) {
+         $year = FiscalYear::get((int)$period['fiscal_year_id']);
+         return [
+            'from'           => $year['FiscalYearStartDate'],
+            'to'             => $year['FiscalYearEndDate'],
+            'fiscal_year_id' => (int)$year['FiscalYearID'],
+            'year_name'      => $year['YearName']
+         ];
+      }
+
+      Helpers::validateInput($period, [
+         'start_date' => 'required|date',
+         'end_date'   => 'required|date'
+      ]);
+      if ($period['start_date'] > $period['end_date']) {
+         Helpers::sendFeedback('The start date must be before the end date', 400);
+      }
+
+      return ['from' => $period['start_date'], 'to' => $period['end_date'], 'fiscal_year_id' => null, 'year_name' => null];
+   }
+
+   /**
+    * Fetch a member's contributions in a period, oldest first
+    *
+    * @param ORM   $orm      Database handle
+    * @param int   $memberId Member ID
+    * @param array $period   Resolved period
+    * @return array Contributions
+    */
+   private static function contributions(ORM $orm, int $memberId, array $period): array
+   {
+      $conditions = ['c.MbrID' => ':member_id', 'c.Deleted' => 0];
+      $params     = [':member_id' => $memberId];
+
+      if ($period['fiscal_year_id'] !== null) {
+         $conditions['c.FiscalYearID'] = ':fy_id';
+         $params[':fy_id'] = $period['fiscal_year_id'];
+      } else {
+         $conditions['c.ContributionDate >='] = ':start';
+         $conditions['c.ContributionDate <='] = ':end';
+         $params[':start'] = $period['from'];
+         $params[':end']   = $period['to'];
+      }
+
+      return $orm->selectWithJoin(
+         baseTable: 'contribution c',
+         joins: [
+            ['table' => 'contributiontype ct', 'on' => 'c.ContributionTypeID = ct.ContributionTypeID'],
+            ['table' => 'paymentoption p',     'on' => 'c.PaymentOptionID = p.PaymentOptionID']
+         ],
+         fields: [
+            'c.ContributionID',
+            'c.ContributionAmount',
+            'c.ContributionDate',
+            'ct.ContributionTypeName',
+            'p.PaymentOptionName'
+         ],
+         conditions: $conditions,
+         params: $params,
+         orderBy: ['c.ContributionDate' => 'ASC']
+      );
+   }
+
+   /**
+    * Fetch a member's pledge payments in a period that aren't already a contribution
+    *
+    * @param ORM   $orm             Database handle
+    * @param int   $memberId        Member ID
+    * @param array $period          Resolved period
+    * @param array $contributionIds IDs of the contributions on the statement
+    * @return array Payments with their pledge type, oldest first
+    */
+   private static function pledgePayments(ORM $orm, int $memberId, array $period, array $contributionIds): array
+   {
+      $payments = $orm->selectWithJoin(
+         baseTable: 'pledge_payment pp',
+         joins: [
+            ['table' => 'pledge p',       'on' => 'pp.PledgeID = p.PledgeID'],
+            ['table' => 'pledge_type pt', 'on' => 'p.PledgeTypeID = pt.PledgeTypeID']
+         ],
+         fields: ['pp.PaymentAmount', 'pp.PaymentDate', 'pp.ContributionID', 'pt.PledgeTypeName'],
+         conditions: ['p.MbrID' => ':member_id', 'pp.PaymentDate >=' => ':start', 'pp.PaymentDate <=' => ':end'],
+         params: [':member_id' => $memberId, ':start' => $period['from'], ':end' => $period['to'] . ' 23:59:59'],
+         orderBy: ['pp.PaymentDate' => 'ASC']
+      );
+
+      $linked = array_map('intval', $contributionIds);
+      return array_values(array_filter(
+         $payments,
+         fn($payment) => empty($payment['ContributionID']) || !in_array((int)$payment['ContributionID'], $linked, true)
+      ));
+   }
+
+   /**
+    * Wrap a document body in the letterhead and footer
+    *
+    * @param string $title    Document title
+    * @param string $subtitle Line under the title (date or period)
+    * @param string $body     Body HTML
+    * @return string Full HTML document
+    */
+   private static function layout(string $title, string $subtitle, string $body): string
+   {
+      $church  = $_ENV['CHURCH_NAME'] ?? 'AliveChMS Church';
+      $contact = array_filter([
+         $_ENV['CHURCH_ADDRESS'] ?? '',
+         $_ENV['CHURCH_PHONE'] ?? '',
+         $_ENV['CHURCH_EMAIL'] ?? '',
+         $_ENV['CHURCH_WEBSITE'] ?? ''
+      ]);
+
+      return '<!DOCTYPE html><html><head><meta charset="utf-8"><title>' . self::e($title) . '</title></head>' .
+         '<body style="font-family: Arial, Helvetica, sans-serif; color: #212529; font-size: 14px;">' .
+         '<div style="text-align: center; border-bottom: 2px solid #212529; padding-bottom: 8px; margin-bottom: 16px;">' .
+         '<h1 style="margin: 0; font-size: 22px;">' . self::e($church) . '</h1>' .
+         ($contact ? '<p style="margin: 4px 0 0; color: #6c757d;">' . self::e(implode(' | ', $contact)) . '</p>' : '') .
+         '</div>' .
+         '<h2 style="margin: 0; font-size: 18px;">' . self::e($title) . '</h2>' .
+         '<p style="margin: 4px 0 16px; color: #6c757d;">' . self::e($subtitle) . '</p>' .
+         $body .
+         '<p style="margin-top: 24px; color: #6c757d; font-size: 12px;">Generated ' . self::e(date('j M Y')) . '</p>' .
+         '</body></html>';
+   }
+
+   /**
+    * Render label/value lines, leaving out empty values
+    *
+    * @param array<string, ?string> $lines Label => value
+    * @return string HTML table
+    */
+   private static function details(array $lines): string
+   {
+      $rows = '';
+      foreach ($lines as $label => $value) {
+         if ($value === null || $value === '') {
+            continue;
+         }
+         $rows .= '<tr><th style="text-align: left; padding: 4px 12px 4px 0; color: #6c757d;">' . self::e($label) . '</th>' .
+            '<td style="padding: 4px 0;">' . self::e($value) . '</td></tr>';
+      }
+
+      return '<table style="border-collapse: collapse; margin-bottom: 16px;">' . $rows . '</table>';
+   }
+
+   /**
+    * Render a titled section
+    *
+    * @param string $heading Section heading
+    * @param string $content Section HTML
+    * @return string HTML
+    */
+   private static function section(string $heading, string $content): string
+   {
+      return '<h3 style="font-size: 15px; margin: 20px 0 8px;">' . self::e($heading) . '</h3>' . $content;
+   }
+
+   /**
+    * Render a table; the last column (amounts) is right-aligned
+    *
+    * @param array      $headings Column headings
+    * @param array      $rows     Rows of cell text
+    * @param array|null $totals   Totals row
+    * @return string HTML table
+    */
+   private static function table(array $headings, array $rows, ?array $totals = null): string
+   {
+      if (empty($rows)) {
+         return '<p style="color: #6c757d;">No records for this period</p>';
+      }
+
+      $last = count($headings) - 1;
+      $cell = fn(string $tag, $value, int $index, string $extra = '') =>
+         "<$tag style=\"padding: 6px 8px; border-bottom: 1px solid #dee2e6; text-align: " .
+         ($index === $last ? 'right' : 'left') . ";$extra\">" . self::e($value) . "</$tag>";
+
+      $html = '<table style="width: 100%; border-collapse: collapse;"><thead><tr>';
+      foreach ($headings as $i => $heading) {
+         $html .= $cell('th', $heading, $i, ' background: #f1f3f5;');
+      }
+      $html .= '</tr></thead><tbody>';
+      foreach ($rows as $row) {
+         $html .= '<tr>';
+         foreach (array_values($row) as $i => $value) {
+            $html .= $cell('td', $value, $i);
+         }
+         $html .= '</tr>';
+      }
+      $html .= '</tbody>';
+      if ($totals !== null) {
+         $html .= '<tfoot><tr>';
+         foreach ($totals as $i => $value) {
+            $html .= $cell('th', $value, $i);
+         }
+         $html .= '</tr></tfoot>';
+      }
+
+      return $html . '</table>';
+   }
+
+   /**
+    * Format an amount in the church's currency
+    *
+    * @param mixed $value Amount (number or number_format string)
+    * @return string Formatted amount (e.g. GHS 1,250.00)
+    */
+   private static function money($value): string
+   {
+      $amount = (float)str_replace(',', '', (string)$value);
+      return ($_ENV['CURRENCY'] ?? 'GHS') . ' ' . number_format($amount, 2);
+   }
+
+   /**
+    * Format a date for display
+    *
+    * @param string $value Date or datetime
+    * @return string Formatted date (e.g. 5 Mar 2025)
+    */
+   private static function date(string $value): string
+   {
+      $time = strtotime($value);
+      return $time === false ? $value : date('j M Y', $time);
+   }
+
+   /**
+    * Escape text for HTML
+    *
+    * @param mixed $value Text
+    * @return string Escaped text
+    */
+   private static function e($value): string
+   {
+      return htmlspecialchars((string)($value ?? ''), ENT_QUOTES, 'UTF-8');
+   }
+}
\ No newline at end of file
@@ -0,0 +1,429 @@
+<?php
+
+/**
+ * Two-Factor Authentication
+ *
+ * Second sign-in step for users with a method set on their login:
+ * - totp:  6-digit code from an authenticator app (RFC 6238, SHA-1, 30 s)
+ * - sms:   one-time code sent to the member's primary phone (SMSGateway)
+ * - email: one-time code sent to the member's email address (EmailGateway)
+ *
+ * auth/login answers with a short-lived challenge token instead of a
+ * session; auth/2fa/verify exchanges it and the code for the session.
+ * Challenge and remembered-device tokens are JWTs signed with a key derived
+ * from JWT_SECRET, so neither can be used as an access token. One-time
+ * codes are never stored: the challenge carries only their HMAC.
+ *
+ * Users opt in with two columns on userauthentication:
+ *   TwoFactorMethod VARCHAR(10) NULL  -- 'totp', 'sms', 'email' or NULL (off)
+ *   TwoFactorSecret VARCHAR(64) NULL  -- base32 TOTP secret (totp only)
+ * Databases without these columns sign everyone in with the password alone.
+ *
+ * @package  AliveChMS\Core
+ * @version  1.0.0
+ * @author   Benjamin Ebo Yankson
+ * @since    2025-November
+ */
+
+declare(strict_types=1);
+
+use Firebase\JWT\JWT;
+use Firebase\JWT\Key;
+
+class TwoFactor
+{
+   public const METHODS = ['totp', 'sms', 'email'];
+
+   private const CHALLENGE_TTL    = 300;     // 5 minutes to enter the code
+   private const DEVICE_TTL       = 2592000; // Remembered devices: 30 days
+   private const RESEND_COOLDOWN  = 30;      // Seconds between SMS/email codes
+   private const MAX_ATTEMPTS     = 5;       // Wrong codes per user per challenge window
+   private const MAX_SENDS        = 5;       // SMS/email codes per user per send window
+   private const SEND_WINDOW      = 900;
+   private const CODE_DIGITS      = 6;
+   private const TOTP_PERIOD      = 30;
+   private const TOTP_WINDOW      = 1;       // Accept one step of clock drift either way
+
+   private static ?bool $available = null;
+
+   /**
+    * Check if the database has the two-factor columns
+    *
+    * @return bool Columns present or not (cached per request)
+    */
+   public static function isAvailable(): bool
+   {
+      if (self::$available === null) {
+         $orm     = new ORM();
+         $columns = array_column($orm->runQuery("SHOW COLUMNS FROM userauthentication LIKE 'TwoFactor%'"), 'Field');
+
+         self::$available = in_array('TwoFactorMethod', $columns, true) && in_array('TwoFactorSecret', $columns, true);
+      }
+      return self::$available;
+   }
+
+   /**
+    * Login record fields needed for two-factor authentication
+    *
+    * @return array Fields to select (none when the columns are missing)
+    */
+   public static function loginFields(): array
+   {
+      return self::isAvailable() ? ['u.TwoFactorMethod', 'u.TwoFactorSecret'] : [];
+   }
+
+   /**
+    * Check if a user has two-factor authentication turned on
+    *
+    * @param array $user Login record (TwoFactorMethod)
+    * @return bool Enabled or not
+    */
+   public static function isEnabled(array $user): bool
+   {
+      return in_array($user['TwoFactorMethod'] ?? null, self::METHODS, true);
+   }
+
+   /**
+    * Start a challenge for a user whose password checked out
+    *
+    * @param array $user     Login record
+    * @param bool  $remember "Remember me" choice, applied once verified
+    * @return array{status:string, challenge_token:string, method:string, destination:?string, expires_in:int} Challenge
+    */
+   public static function startChallenge(array $user, bool $remember): array
+   {
+      $method = $user['TwoFactorMethod'];
+      $claims = [
+         'purpose'  => 'challenge',
+         'sub'      => (int)$user['MbrID'],
+         'method'   => $method,
+         'remember' => $remember,
+         'jti'      => bin2hex(random_bytes(16)),
+         'sent'     => time()
+      ];
+
+      $destination = null;
+      if ($method !== 'totp') {
+         // Every code costs a gateway message: cap them per user whatever the route
+         RateLimiter::enforce('two_factor_send_' . (int)$user['MbrID'], self::MAX_SENDS, self::SEND_WINDOW);
+
+         $code            = self::generateCode();
+         $claims['code']  = self::hashCode($claims['jti'], $code);
+         $destination     = self::deliverCode($user, $method, $code);
+      }
+
+      return [
+         'status'          => 'challenge',
+         'challenge_token' => self::encode($claims, self::CHALLENGE_TTL),
+         'method'          => $method,
+         'destination'     => $destination,
+         'expires_in'      => self::CHALLENGE_TTL
+      ];
+   }
+
+   /**
+    * Read a challenge token
+    *
+    * @param string $token Challenge token
+    * @return array Claims (sub, method, remember, jti, sent, code)
+    * @throws Exception If the token is invalid or expired
+    */
+   public static function decodeChallenge(string $token): array
+   {
+      $claims = self::decode($token);
+      if (($claims['purpose'] ?? '') !== 'challenge' || !in_array($claims['method'] ?? null, self::METHODS, true)) {
+         throw new Exception('Invalid challenge token');
+      }
+      return $claims;
+   }
+
+   /**
+    * Check the code entered for a challenge
+    * Wrong codes count towards a per-user limit (429 once exceeded), and
+    * a challenge that was already used is rejected.
+    *
+    * @param array  $claims Challenge claims (see decodeChallenge())
+    * @param array  $user   Login record of the challenged user
+    * @param string $code   Code entered by the user
+    * @return bool Correct or not
+    */
+   public static function checkCode(array $claims, array $user, string $code): bool
+   {
+      $limitKey = 'two_factor_' . (int)$claims['sub'];
+      RateLimiter::enforce($limitKey, self::MAX_ATTEMPTS, self::CHALLENGE_TTL);
+
+      $code = preg_replace('/\s+/', '', $code);
+      if (!preg_match('/^\d{' . self::CODE_DIGITS . '}$/', $code)) {
+         return false;
+      }
+
+      $valid = $claims['method'] === 'totp'
+         ? self::verifyTotp((string)($user['TwoFactorSecret'] ?? ''), $code)
+         : isset($claims['code']) && hash_equals((string)$claims['code'], self::hashCode((string)$claims['jti'], $code));
+
+      if (!$valid) {
+         return false;
+      }
+
+      RateLimiter::clear($limitKey);
+
+      // A challenge signs in once: the first successful check uses it up
+      return RateLimiter::check('two_factor_used_' . $claims['jti'], 1, self::CHALLENGE_TTL);
+   }
+
+   /**
+    * Send a new code for an SMS/email challenge
+    * The old challenge is used up, so replaying it sends nothing more.
+    *
+    * @param array $claims Challenge claims (see decodeChallenge())
+    * @param array $user   Login record of the challenged user
+    * @return array New challenge (see startChallenge())
+    */
+   public static function resend(array $claims, array $user): array
+   {
+      if ($claims['method'] === 'totp') {
+         Helpers::sendError('Authenticator codes cannot be resent', 400);
+      }
+
+      $wait = (int)$claims['sent'] + self::RESEND_COOLDOWN - time();
+      if ($wait > 0) {
+         header('Retry-After: ' . $wait);
+         Helpers::sendError("Please wait $wait seconds before requesting another code", 429);
+      }
+
+      if (!RateLimiter::check('two_factor_used_' . $claims['jti'], 1, self::CHALLENGE_TTL)) {
+         Helpers::sendError('Sign-in expired. Please sign in again.', 401);
+      }
+
+      // The method is taken from the challenge, not whatever the user has now
+      return self::startChallenge(['TwoFactorMethod' => $claims['method']] + $user, (bool)$claims['remember']);
+   }
+
+   /**
+    * Issue a token that lets this device skip the second factor
+    * Changing the password invalidates every remembered device.
+    *
+    * @param array $user Login record (MbrID, PasswordHash)
+    * @return string Device token
+    */
+   public static function issueDeviceToken(array $user): string
+   {
+      return self::encode([
+         'purpose' => 'device',
+         'sub'     => (int)$user['MbrID'],
+         'pwd'     => self::passwordFingerprint($user)
+      ], self::DEVICE_TTL);
+   }
+
+   /**
+    * Check if a device token was issued to this user and is still valid
+    *
+    * @param string|null $token Device token sent at login
+    * @param array       $user  Login record (MbrID, PasswordHash)
+    * @return bool Trusted or not
+    */
+   public static function isTrustedDevice(?string $token, array $user): bool
+   {
+      if ($token === null || $token === '') {
+         return false;
+      }
+
+      try {
+         $claims = self::decode($token);
+      } catch (Exception $e) {
+         return false;
+      }
+
+      return ($claims['purpose'] ?? '') === 'device'
+         && (int)($claims['sub'] ?? 0) === (int)$user['MbrID']
+         && hash_equals(self::passwordFingerprint($user), (string)($claims['pwd'] ?? ''));
+   }
+
+   /**
+    * Check a TOTP code against a base32 secret
+    *
+    * @param string $secret Base32 secret
+    * @param string $code   6-digit code
+    * @return bool Valid or not
+    */
+   public static function verifyTotp(string $secret, string $code): bool
+   {
+      $key = self::base32Decode($secret);
+      if ($key === '') {
+         return false;
+      }
+
+      $step = intdiv(time(), self::TOTP_PERIOD);
+      for ($offset = -self::TOTP_WINDOW; $offset <= self::TOTP_WINDOW; $offset++) {
+         if (hash_equals(self::totp($key, $step + $offset), $code)) {
+            return true;
+         }
+      }
+
+      return false;
+   }
+
+   /**
+    * Compute the TOTP code of a time step (RFC 4226 dynamic truncation)
+    *
+    * @param string $key  Raw secret
+    * @param int    $step Time step
+    * @return string Zero-padded code
+    */
+   private static function totp(string $key, int $step): string
+   {
+      $hash   = hash_hmac('sha1', pack('J', $step), $key, true);
+      $offset = ord($hash[19]) & 0x0f;
+      $value  = ((ord($hash[$offset]) & 0x7f) << 24)
+         | (ord($hash[$offset + 1]) << 16)
+         | (ord($hash[$offset + 2]) << 8)
+         | ord($hash[$offset + 3]);
+
+      return str_pad((string)($value % (10 ** self::CODE_DIGITS)), self::CODE_DIGITS, '0', STR_PAD_LEFT);
+   }
+
+   /**
+    * Decode a base32 (RFC 4648) secret
+    *
+    * @param string $secret Base32 text (case and spaces ignored)
+    * @return string Raw bytes, or '' if invalid
+    */
+   private static function base32Decode(string $secret): string
+   {
+      $alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+      $secret   = strtoupper(preg_replace('/[\s=]+/', '', $secret));
+
+      $bits = '';
+      foreach (str_split($secret) as $char) {
+         $index = strpos($alphabet, $char);
+         if ($index === false) {
+            return '';
+         }
+         $bits .= str_pad(decbin($index), 5, '0', STR_PAD_LEFT);
+      }
+
+      $bytes = '';
+      foreach (str_split($bits, 8) as $byte) {
+         if (strlen($byte) === 8) {
+            $bytes .= chr(bindec($byte));
+         }
+      }
+
+      return $bytes;
+   }
+
+   /**
+    * Send a one-time code by SMS or email
+    *
+    * @param array  $user   Login record (MbrID, MbrEmailAddress)
+    * @param string $method 'sms' or 'email'
+    * @param string $code   Code to send
+    * @return string Masked destination shown to the user (exits with 400/502 if it cannot be sent)
+    */
+   private static function deliverCode(array $user, string $method, string $code): string
+   {
+      $minutes = intdiv(self::CHALLENGE_TTL, 60);
+      $church  = $_ENV['CHURCH_NAME'] ?? 'AliveChMS';
+
+      if ($method === 'sms') {
+         $orm   = new ORM();
+         $phone = $orm->runQuery(
+            "SELECT PhoneNumber FROM member_phone WHERE MbrID = :id ORDER BY IsPrimary DESC LIMIT 1",
+            [':id' => $user['MbrID']]
+         )[0]['PhoneNumber'] ?? '';
+
+         if ($phone === '') {
+            Helpers::sendError('No phone number on file for sign-in codes. Please contact an administrator.', 400);
+         }
+         if (!SMSGateway::send($phone, "Your $church sign-in code is $code. It expires in $minutes minutes.")) {
+            Helpers::sendError('The sign-in code could not be sent. Please try again later.', 502);
+         }
+         return str_repeat('*', max(0, strlen($phone) - 4)) . substr($phone, -4);
+      }
+
+      $email = (string)($user['MbrEmailAddress'] ?? '');
+      if ($email === '') {
+         Helpers::sendError('No email address on file for sign-in codes. Please contact an administrator.', 400);
+      }
+      $body = '<p>Your ' . htmlspecialchars($church, ENT_QUOTES, 'UTF-8') . " sign-in code is <strong>$code</strong>.</p>" .
+         "<p>It expires in $minutes minutes. If you did not try to sign in, change your password.</p>";
+      if (!EmailGateway::send($email, 'Your sign-in code', $body)) {
+         Helpers::sendError('The sign-in code could not be sent. Please try again later.', 502);
+      }
+
+      [$name, $domain] = explode('@', $email, 2) + [1 => ''];
+      return substr($name, 0, 1) . str_repeat('*', max(2, strlen($name) - 1)) . '@' . $domain;
+   }
+
+   /**
+    * Generate a random one-time code
+    *
+    * @return string Zero-padded code
+    */
+   private static function generateCode(): string
+   {
+      return str_pad((string)random_int(0, 10 ** self::CODE_DIGITS - 1), self::CODE_DIGITS, '0', STR_PAD_LEFT);
+   }
+
+   /**
+    * Hash a one-time code for its challenge
+    *
+    * @param string $jti  Challenge ID
+    * @param string $code Code
+    * @return string HMAC
+    */
+   private static function hashCode(string $jti, string $code): string
+   {
+      return hash_hmac('sha256', "$jti:$code", self::key());
+   }
+
+   /**
+    * Fingerprint of the user's password hash (changes with the password)
+    *
+    * @param array $user Login record (PasswordHash)
+    * @return string Fingerprint
+    */
+   private static function passwordFingerprint(array $user): string
+   {
+      return substr(hash_hmac('sha256', (string)($user['PasswordHash'] ?? ''), self::key()), 0, 32);
+   }
+
+   /**
+    * Signing key for two-factor tokens, derived from JWT_SECRET
+    *
+    * @return string Key
+    * @throws Exception If JWT_SECRET is not configured
+    */
+   private static function key(): string
+   {
+      if (empty($_ENV['JWT_SECRET'])) {
+         throw new Exception('JWT secrets not configured.');
+      }
+      return hash_hmac('sha256', 'two-factor', $_ENV['JWT_SECRET']);
+   }
+
+   /**
+    * Sign a two-factor token
+    *
+    * @param array $claims Claims
+    * @param int   $ttl    Lifetime in seconds
+    * @return string Token
+    */
+   private static function encode(array $claims, int $ttl): string
+   {
+      $now = time();
+      return JWT::encode(['iat' => $now, 'exp' => $now + $ttl] + $claims, self::key(), 'HS256');
+   }
+
+   /**
+    * Verify and read a two-factor token
+    *
+    * @param string $token Token
+    * @return array Claims
+    * @throws Exception If the signature or expiry is invalid
+    */
+   private static function decode(string $token): array
+   {
+      return (array)JWT::decode($token, new Key(self::key(), 'HS256'));
+   }
+}
\ No newline at end of file
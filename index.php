@@ -39,6 +39,7 @@ require_once __DIR__ . '/core/Database.php';
 require_once __DIR__ . '/core/ORM.php';
 require_once __DIR__ . '/core/Auth.php';
 require_once __DIR__ . '/core/Helpers.php';
+require_once __DIR__ . '/core/Idempotency.php';
 
 // Security headers
 header('Content-Type: application/json; charset=utf-8');
@@ -98,4 +99,7 @@ if (!file_exists($routeFile)) {
     Helpers::sendFeedback('Internal server error', 500);
 }
 
+// Repeated writes (Idempotency-Key) get the first response instead of running twice
+Idempotency::handle($method, $token);
+
 require_once $routeFile;
\ No newline at end of file
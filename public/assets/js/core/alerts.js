@@ -26,7 +26,7 @@ const Alerts = {
     
     /**
      * Show toast notification
-     * @param {string} message - Message text
+     * @param {string} message - Message text (plain text; newlines become line breaks)
      * @param {string} type - Toast type (success, error, warning, info)
      * @param {number} duration - Duration in ms
      */
@@ -47,7 +47,7 @@ const Alerts = {
                 <div class="d-flex">
                     <div class="toast-body">
                         <i class="bi ${color.icon} me-2"></i>
-                        ${Utils.escapeHtml(message)}
+                        ${Utils.escapeHtml(message).replace(/\n/g, '<br>')}
                     </div>
                     <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>
                 </div>
@@ -160,6 +160,17 @@ const Alerts = {
         });
     },
     
+    /**
+     * Update the text of the open loading alert (e.g. upload progress)
+     * @param {string} text - New text
+     */
+    updateLoading(text) {
+        const container = Swal.getHtmlContainer();
+        if (container) {
+            container.textContent = text;
+        }
+    },
+    
     /**
      * Close loading alert
      */
@@ -167,6 +178,62 @@ const Alerts = {
         Swal.close();
     },
     
+    /**
+     * Show a countdown modal that resolves when confirmed, cancelled or expired
+     * The text may contain {seconds}, replaced every second.
+     * @param {Object} options - SweetAlert options plus duration (ms) and
+     *   signal (AbortSignal closing this modal, and no other, when aborted)
+     * @returns {Promise<string>} 'confirmed', 'cancelled', 'expired' or 'closed'
+     */
+    async countdown(options = {}) {
+        const { duration = 60000, text = '{seconds}s', signal = null, ...swalOptions } = options;
+        let ticker = null;
+        let popup = null;
+        
+        // Another modal may have replaced this one by the time the signal fires
+        const closeOwn = () => {
+            if (popup && Swal.getPopup() === popup) {
+                Swal.close();
+            }
+        };
+        
+        const render = () => {
+            const container = Swal.getHtmlContainer();
+            const seconds = Math.ceil((Swal.getTimerLeft() ?? duration) / 1000);
+            if (container) {
+                container.textContent = text.replace('{seconds}', seconds);
+            }
+        };
+        
+        const result = await Swal.fire({
+            icon: 'warning',
+            text: text.replace('{seconds}', Math.ceil(duration / 1000)),
+            timer: duration,
+            timerProgressBar: true,
+            showCancelButton: true,
+            confirmButtonColor: Config.SWAL_CONFIG.confirmButtonColor,
+            cancelButtonColor: Config.SWAL_CONFIG.cancelButtonColor,
+            allowOutsideClick: false,
+            ...swalOptions,
+            didOpen: () => {
+                popup = Swal.getPopup();
+                ticker = setInterval(render, 1000);
+                if (signal?.aborted) closeOwn();
+                signal?.addEventListener('abort', closeOwn, { once: true });
+            },
+            willClose: () => {
+                popup = null;
+                clearInterval(ticker);
+                signal?.removeEventListener('abort', closeOwn);
+            }
+        });
+        
+        if (result.isConfirmed) return 'confirmed';
+        if (result.dismiss === Swal.DismissReason.timer) return 'expired';
+        if (result.dismiss === Swal.DismissReason.cancel) return 'cancelled';
+        return 'closed';
+    },
+    
     /**
      * Show success modal
      * @param {string} title - Title
@@ -230,6 +297,12 @@ const Alerts = {
      * @param {string} defaultMessage - Default error message
      */
     handleApiError(error, defaultMessage = 'An error occurred. Please try again.') {
+        // Cancelled requests (superseded search, page navigation) aren't failures
+        if (error instanceof APIError && error.isCancelled()) {
+            Config.log('Request cancelled', error.config?.url);
+            return;
+        }
+        
         Config.error('API Error:', error);
         
         let message = defaultMessage;
@@ -250,9 +323,9 @@ const Alerts = {
             } else if (error.status === 404) {
                 message = 'The requested resource was not found.';
             } else if (error.status === 422) {
-                // Validation errors
+                // Validation errors (use FormErrors to show them on the form)
                 if (error.data && error.data.errors) {
-                    message = Object.values(error.data.errors).flat().join('<br>');
+                    message = Object.values(error.data.errors).flat().join('\n');
                 }
             } else if (error.status === 429) {
                 message = 'Too many requests. Please try again later.';
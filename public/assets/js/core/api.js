@@ -10,8 +10,79 @@ class API {
     constructor() {
         this.baseURL = Config.API_BASE_URL;
         this.timeout = Config.API_TIMEOUT;
-        this.refreshing = false;
-        this.refreshSubscribers = [];
+        this.cache = new ResponseCache();
+        this.interceptors = {
+            request: new InterceptorManager(),
+            response: new InterceptorManager()
+        };
+        this.latestGroups = new Map();
+        this.pageController = new AbortController();
+        
+        this.registerDefaultInterceptors();
+        
+        // Abort outstanding requests once the page is really going away.
+        // Not on beforeunload: the user may still cancel leaving, and saves
+        // or uploads in flight would already be lost.
+        if (typeof window !== 'undefined') {
+            window.addEventListener('pagehide', () => this.abortAll());
+        }
+    }
+    
+    /**
+     * Register built-in interceptors (auth header, logging, 401 refresh)
+     * Built-ins use negative/high priorities so page interceptors run
+     * after the auth header is set and see the refreshed response.
+     */
+    registerDefaultInterceptors() {
+        this.interceptors.request.use(async config => {
+            let token = Auth.getToken();
+            
+            // Refresh up front rather than waiting for a 401
+            if (token && !this.isSessionEndpoint(config.endpoint) && Auth.isTokenExpiring(token)) {
+                try {
+                    token = await Auth.refreshToken(token);
+                } catch (error) {
+                    // Send with the old token; the 401 handler takes over
+                    Config.warn('Proactive token refresh failed', error);
+                }
+            }
+            
+            if (token && !config.headers['Authorization']) {
+                config.headers['Authorization'] = `Bearer ${token}`;
+            }
+            return config;
+        }, null, { priority: -100 });
+        
+        this.interceptors.request.use(config => {
+            Config.log(`API Request: ${config.method} ${config.url}`);
+            return config;
+        }, null, { priority: 100 });
+        
+        this.interceptors.response.use(null, error => {
+            // Handle 401 Unauthorized - Token expired
+            if (error instanceof APIError && error.status === 401 && error.config &&
+                !this.isSessionEndpoint(error.config.endpoint) && !error.config.retried) {
+                Config.log('Token expired, attempting refresh...');
+                const staleToken = (error.config.headers?.['Authorization'] || '').replace('Bearer ', '');
+                return this.handleTokenExpiration(error.config.endpoint, error.config.options, staleToken);
+            }
+            throw error;
+        }, { priority: -100 });
+        
+        this.interceptors.response.use(response => {
+            Config.log(`API Response: ${response.config.method} ${response.config.url}`, response.data);
+            return response;
+        }, null, { priority: -90 });
+    }
+    
+    /**
+     * Check if an endpoint manages the session itself (no refresh on 401)
+     * @param {string} endpoint - API endpoint
+     * @returns {boolean} Is login/refresh/logout/two-factor
+     */
+    isSessionEndpoint(endpoint) {
+        return ['auth/login', 'auth/refresh', 'auth/logout', 'auth/2fa/verify', 'auth/2fa/resend']
+            .includes(endpoint.split('?')[0]);
     }
     
     /**
@@ -24,7 +95,7 @@ class API {
             'Accept': 'application/json'
         };
         
-        const token = localStorage.getItem(Config.TOKEN_KEY);
+        const token = Auth.getToken();
         if (token) {
             headers['Authorization'] = `Bearer ${token}`;
         }
@@ -33,38 +104,330 @@ class API {
     }
     
     /**
-     * Make HTTP request
+     * Build the request config passed through the interceptor pipeline
      * @param {string} endpoint - API endpoint
-     * @param {Object} options - Fetch options
-     * @returns {Promise} Response data
+     * @param {Object} options - Request options
+     * @returns {Object} Request config
      */
-    async request(endpoint, options = {}) {
-        const url = `${this.baseURL}/${endpoint}`;
-        
+    buildConfig(endpoint, options = {}) {
         const config = {
             ...options,
+            endpoint,
+            url: `${this.baseURL}/${endpoint}`,
+            method: (options.method || 'GET').toUpperCase(),
             headers: {
-                ...this.getHeaders(),
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
                 ...options.headers
-            }
+            },
+            options
         };
         
-        // Add timeout
+        // Don't set Content-Type for FormData - browser will set it with boundary
+        if (typeof FormData !== 'undefined' && config.body instanceof FormData) {
+            delete config.headers['Content-Type'];
+        }
+        
+        return config;
+    }
+    
+    /**
+     * Make HTTP request
+     * Runs request interceptors, sends the request, then runs response
+     * interceptors. Resolves with the response body.
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Fetch options, plus:
+     *   signal (AbortSignal to cancel), latest (group name - a newer request
+     *   in the same group cancels this one), retry (false | number |
+     *   Partial<Config.API_RETRY>), idempotent (allow retrying PUT/DELETE),
+     *   offlineQueue, offlineLabel
+     * @returns {Promise} Response data
+     */
+    async request(endpoint, options = {}) {
+        const group = options.latest;
+        let controller = null;
+        
+        // A write that may have reached the server is retried, refreshed or
+        // replayed from the offline queue with the same key, so it runs once
+        if (this.needsIdempotencyKey(endpoint, options)) {
+            options = { ...options, headers: { ...options.headers, 'Idempotency-Key': this.createIdempotencyKey() } };
+        }
+        
+        if (group) {
+            controller = this.startLatest(group, options.signal);
+            options = { ...options, signal: controller.signal };
+        }
+        
+        try {
+            const response = await this.interceptors.response.chain(
+                this.send(endpoint, options)
+            );
+            
+            return response.data;
+        } finally {
+            if (group && this.latestGroups.get(group) === controller) {
+                this.latestGroups.delete(group);
+            }
+        }
+    }
+    
+    /**
+     * Check if a request should carry an Idempotency-Key header
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options
+     * @returns {boolean} Is a write without a key yet
+     */
+    needsIdempotencyKey(endpoint, options) {
+        const method = (options.method || 'GET').toUpperCase();
+        
+        return ['POST', 'PUT', 'DELETE'].includes(method) &&
+            !this.isSessionEndpoint(endpoint) &&
+            !options.headers?.['Idempotency-Key'];
+    }
+    
+    /**
+     * Create a unique Idempotency-Key value
+     * @returns {string} Key
+     */
+    createIdempotencyKey() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+    }
+    
+    /**
+     * Start a "latest wins" request in a named group
+     * Aborts the group's previous request, if still running.
+     * @param {string} name - Group name (e.g. 'globalSearch')
+     * @param {AbortSignal} signal - Optional caller signal to link
+     * @returns {AbortController} Controller for the new request
+     */
+    startLatest(name, signal = null) {
+        this.cancelGroup(name);
+        
         const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-        config.signal = controller.signal;
+        this.linkSignals(controller, [signal]);
+        this.latestGroups.set(name, controller);
+        
+        return controller;
+    }
+    
+    /**
+     * Cancel the running request of a "latest wins" group
+     * @param {string} name - Group name
+     */
+    cancelGroup(name) {
+        const previous = this.latestGroups.get(name);
+        if (previous) {
+            previous.abort();
+            this.latestGroups.delete(name);
+        }
+    }
+    
+    /**
+     * Abort every outstanding request (used on page navigation)
+     */
+    abortAll() {
+        this.pageController.abort();
+        this.pageController = new AbortController();
+        this.latestGroups.clear();
+    }
+    
+    /**
+     * Abort a controller when any of the given signals aborts
+     * @param {AbortController} controller - Controller to abort
+     * @param {Array<AbortSignal|null>} signals - Signals to follow
+     * @returns {Function} Cleanup function removing the listeners
+     */
+    linkSignals(controller, signals) {
+        const abort = () => controller.abort();
+        const active = signals.filter(Boolean);
+        
+        active.forEach(signal => {
+            if (signal.aborted) {
+                abort();
+            } else {
+                signal.addEventListener('abort', abort, { once: true });
+            }
+        });
+        
+        return () => active.forEach(signal => signal.removeEventListener('abort', abort));
+    }
+    
+    /**
+     * Build the error for an aborted request
+     * @param {Object} config - Request config
+     * @param {boolean} timedOut - Aborted by the timeout rather than the caller
+     * @returns {APIError} Timeout (408) or cancellation error
+     */
+    abortError(config, timedOut) {
+        const error = timedOut
+            ? new APIError('Request timeout', 408, null, 'TIMEOUT')
+            : new APIError('Request cancelled', 0, null, 'CANCELLED');
+        error.config = config;
+        return error;
+    }
+    
+    /**
+     * Run request interceptors and dispatch, without response interceptors
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} Response ({ data, status, headers, config })
+     */
+    send(endpoint, options = {}) {
+        return this.interceptors.request
+            .chain(Promise.resolve(this.buildConfig(endpoint, options)))
+            .then(config => this.dispatchWithRetry(config));
+    }
+    
+    /**
+     * Dispatch with exponential backoff for retryable failures
+     * @param {Object} config - Request config
+     * @returns {Promise<Object>} Response
+     */
+    dispatchWithRetry(config) {
+        const policy = this.getRetryPolicy(config);
+        const request = !policy ? this.dispatch(config) : Utils.retry(() => this.dispatch(config), policy.retries, policy.baseDelay, {
+            shouldRetry: (error) => this.isRetryable(error, policy),
+            getDelay: (attempt, error) => {
+                const delay = this.getRetryDelay(attempt, error, policy);
+                Config.log(`API Retry ${attempt}/${policy.retries} in ${delay}ms: ${config.method} ${config.url}`);
+                return delay;
+            }
+        });
+        
+        return request.catch(error => this.queueOffline(error, config));
+    }
+    
+    /**
+     * Persist a write that failed with a network error, once retries are exhausted
+     * The write may still have reached the server; its Idempotency-Key goes
+     * into the queue with it, so the replay is not applied twice.
+     * @param {Error} error - Final dispatch error
+     * @param {Object} config - Request config
+     * @returns {Promise<Object>} Queued response (202), or rethrows the error
+     */
+    async queueOffline(error, config) {
+        if (!(error instanceof APIError) || !error.isNetworkError() || typeof OfflineQueue === 'undefined' ||
+            !OfflineQueue.shouldQueue(config.endpoint, config.method, config.options)) {
+            throw error;
+        }
         
         try {
-            Config.log(`API Request: ${config.method || 'GET'} ${url}`);
+            const data = await OfflineQueue.enqueue(config.endpoint, config);
+            return { data, status: 202, headers: null, config };
+        } catch (queueError) {
+            Config.error('Failed to queue offline request', queueError);
+            throw error;
+        }
+    }
+    
+    /**
+     * Resolve the retry policy for a request
+     * @param {Object} config - Request config (retry, idempotent)
+     * @returns {Object|null} Policy or null when the request must not be retried
+     */
+    getRetryPolicy(config) {
+        if (config.retry === false) return null;
+        
+        const overrides = typeof config.retry === 'number'
+            ? { retries: config.retry }
+            : (config.retry || {});
+        const policy = { ...Config.API_RETRY, ...overrides };
+        
+        const idempotent = policy.methods.includes(config.method) ||
+            (config.idempotent === true && ['PUT', 'DELETE'].includes(config.method));
             
-            const response = await fetch(url, config);
-            clearTimeout(timeoutId);
+        return idempotent && policy.retries > 0 ? policy : null;
+    }
+    
+    /**
+     * Check if a failed request may be retried
+     * @param {Error} error - Dispatch error
+     * @param {Object} policy - Retry policy
+     * @returns {boolean} Is retryable
+     */
+    isRetryable(error, policy) {
+        if (!(error instanceof APIError) || error.isCancelled()) return false;
+        
+        const retryable = error.isNetworkError() ||
+            error.isServerError() ||
+            policy.statuses.includes(error.status);
             
-            // Handle 401 Unauthorized - Token expired
-            if (response.status === 401 && !endpoint.includes('auth/')) {
-                Config.log('Token expired, attempting refresh...');
-                return await this.handleTokenExpiration(endpoint, options);
-            }
+        if (!retryable) return false;
+        
+        // Don't wait around if the server asks for a long pause
+        const retryAfter = this.getRetryAfter(error);
+        return retryAfter === null || retryAfter <= policy.maxRetryAfter;
+    }
+    
+    /**
+     * Compute backoff delay with full jitter, honouring Retry-After
+     * @param {number} attempt - Attempt number (1-based)
+     * @param {APIError} error - Last error
+     * @param {Object} policy - Retry policy
+     * @returns {number} Delay in ms
+     */
+    getRetryDelay(attempt, error, policy) {
+        const retryAfter = this.getRetryAfter(error);
+        if (retryAfter !== null) {
+            return retryAfter;
+        }
+        
+        const ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+        return Math.round(Math.random() * ceiling);
+    }
+    
+    /**
+     * Read the server's requested wait from a 429/503 response
+     * Uses the Retry-After header (seconds or HTTP date) and falls back to
+     * the RateLimiter's retry_after body field.
+     * @param {APIError} error - Error response
+     * @returns {number|null} Delay in ms
+     */
+    getRetryAfter(error) {
+        if (![429, 503].includes(error.status)) return null;
+        
+        const header = error.headers?.get('Retry-After');
+        if (header) {
+            const seconds = Number(header);
+            if (!isNaN(seconds)) return seconds * 1000;
+            
+            const date = Date.parse(header);
+            if (!isNaN(date)) return Math.max(0, date - Date.now());
+        }
+        
+        const bodyValue = Number(error.data?.retry_after);
+        return bodyValue > 0 ? bodyValue * 1000 : null;
+    }
+    
+    /**
+     * Perform the HTTP call for an intercepted config
+     * @param {Object} config - Request config
+     * @returns {Promise<Object>} Response ({ data, status, headers, config })
+     */
+    async dispatch(config) {
+        if (config.transport === 'xhr' && typeof XMLHttpRequest !== 'undefined') {
+            return this.dispatchXHR(config);
+        }
+        
+        const { url, endpoint, options, ...init } = config;
+        
+        // Add timeout, caller cancellation and page-unload abort
+        const controller = new AbortController();
+        let timedOut = false;
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, config.timeout || this.timeout);
+        const unlink = this.linkSignals(controller, [config.signal, this.pageController.signal]);
+        init.signal = controller.signal;
+        
+        try {
+            const response = await fetch(url, init);
+            clearTimeout(timeoutId);
+            unlink();
             
             // Parse response
             const contentType = response.headers.get('content-type');
@@ -78,125 +441,233 @@ class API {
             
             // Handle error responses
             if (!response.ok) {
-                throw new APIError(
+                const error = new APIError(
                     data.message || `HTTP ${response.status}: ${response.statusText}`,
                     response.status,
                     data
                 );
+                error.config = config;
+                error.headers = response.headers;
+                throw error;
+            }
+            
+            // Mutations invalidate cached reads of the same resource
+            if (config.method !== 'GET') {
+                this.cache.invalidateFor(endpoint);
             }
             
-            Config.log(`API Response: ${config.method || 'GET'} ${url}`, data);
-            return data;
+            return { data, status: response.status, headers: response.headers, config };
             
         } catch (error) {
             clearTimeout(timeoutId);
+            unlink();
             
-            // Handle network errors
+            // Handle timeout and cancellation
             if (error.name === 'AbortError') {
-                throw new APIError('Request timeout', 408);
+                throw this.abortError(config, timedOut);
             }
             
             if (error instanceof APIError) {
                 throw error;
             }
             
-            // Network error (no internet, CORS, etc.)
-            throw new APIError(
+            // Network error (no internet, CORS, etc.); writes are queued by
+            // queueOffline() once retries are exhausted
+            const networkError = new APIError(
                 'Network error. Please check your internet connection.',
                 0,
                 error
             );
+            networkError.config = config;
+            throw networkError;
         }
     }
     
     /**
-     * Handle token expiration and refresh
-     * @param {string} endpoint - Original endpoint
-     * @param {Object} options - Original options
-     * @returns {Promise} Retry result
+     * Perform the HTTP call with XMLHttpRequest
+     * Used for uploads because fetch cannot report upload progress.
+     * @param {Object} config - Request config (onProgress, signal, timeout)
+     * @returns {Promise<Object>} Response ({ data, status, headers, config })
      */
-    async handleTokenExpiration(endpoint, options) {
-        if (!this.refreshing) {
-            this.refreshing = true;
+    dispatchXHR(config) {
+        const { url, endpoint, method, headers, body, signal, onProgress } = config;
+        
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            const controller = new AbortController();
+            const unlink = this.linkSignals(controller, [signal, this.pageController.signal]);
             
-            try {
-                const refreshToken = localStorage.getItem(Config.REFRESH_TOKEN_KEY);
-                if (!refreshToken) {
-                    throw new Error('No refresh token');
-                }
-                
-                // Refresh the token
-                const response = await fetch(`${this.baseURL}/auth/refresh`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({ refresh_token: refreshToken })
+            const fail = (error) => {
+                unlink();
+                error.config = config;
+                reject(error);
+            };
+            
+            xhr.open(method, url);
+            xhr.timeout = config.timeout || this.timeout;
+            Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+            
+            if (onProgress) {
+                xhr.upload.onprogress = (e) => onProgress({
+                    loaded: e.loaded,
+                    total: e.lengthComputable ? e.total : null,
+                    percent: e.lengthComputable ? Math.round((e.loaded / e.total) * 100) : null
                 });
+            }
+            
+            xhr.onload = () => {
+                unlink();
                 
-                if (!response.ok) {
-                    throw new Error('Token refresh failed');
-                }
-                
-                const data = await response.json();
-                
-                // Update tokens
-                localStorage.setItem(Config.TOKEN_KEY, data.access_token);
-                localStorage.setItem(Config.REFRESH_TOKEN_KEY, data.refresh_token);
+                // Parse response
+                const contentType = xhr.getResponseHeader('content-type');
+                let data = xhr.responseText;
                 
-                Config.log('Token refreshed successfully');
+                if (contentType && contentType.includes('application/json')) {
+                    try {
+                        data = JSON.parse(data);
+                    } catch (e) {
+                        Config.warn('Invalid JSON response', e);
+                    }
+                }
                 
-                // Retry all waiting requests
-                this.refreshSubscribers.forEach(callback => callback(data.access_token));
-                this.refreshSubscribers = [];
+                // Handle error responses
+                if (xhr.status < 200 || xhr.status >= 300) {
+                    const error = new APIError(
+                        data.message || `HTTP ${xhr.status}: ${xhr.statusText}`,
+                        xhr.status,
+                        data
+                    );
+                    error.headers = { get: (name) => xhr.getResponseHeader(name) };
+                    fail(error);
+                    return;
+                }
                 
-                // Retry original request
-                return await this.request(endpoint, options);
+                if (method !== 'GET') {
+                    this.cache.invalidateFor(endpoint);
+                }
                 
-            } catch (error) {
-                Config.error('Token refresh failed', error);
-                // Clear auth and redirect to login
-                Auth.logout();
-                return Promise.reject(new APIError('Session expired. Please login again.', 401));
-            } finally {
-                this.refreshing = false;
+                resolve({
+                    data,
+                    status: xhr.status,
+                    headers: { get: (name) => xhr.getResponseHeader(name) },
+                    config
+                });
+            };
+            
+            xhr.ontimeout = () => fail(this.abortError(config, true));
+            xhr.onerror = () => fail(new APIError('Network error. Please check your internet connection.', 0));
+            xhr.onabort = () => fail(this.abortError(config, false));
+            
+            if (controller.signal.aborted) {
+                fail(this.abortError(config, false));
+                return;
             }
+            controller.signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            
+            xhr.send(body);
+        });
+    }
+    
+    /**
+     * Handle token expiration and refresh
+     * The refresh itself is coordinated across tabs by Auth.refreshToken(),
+     * so concurrent 401s (in this or other tabs) share one rotation.
+     * @param {string} endpoint - Original endpoint
+     * @param {Object} options - Original options
+     * @param {string|null} staleToken - Access token the request was rejected with
+     * @returns {Promise<Object>} Retried response
+     */
+    async handleTokenExpiration(endpoint, options, staleToken = null) {
+        try {
+            await Auth.refreshToken(staleToken);
+        } catch (error) {
+            Config.error('Token refresh failed', error);
+            
+            // Clear auth and redirect to login
+            Auth.logout();
+            throw new APIError('Session expired. Please login again.', 401);
         }
         
-        // If already refreshing, wait for it to complete
-        return new Promise((resolve, reject) => {
-            this.refreshSubscribers.push((token) => {
-                resolve(this.request(endpoint, options));
-            });
-        });
+        return this.send(endpoint, { ...options, retried: true });
     }
     
     /**
      * GET request
+     * Identical concurrent GETs share one fetch. Responses are cached when
+     * the endpoint has a TTL in Config.API_CACHE_TTL or options.cache is set.
      * @param {string} endpoint - API endpoint
      * @param {Object} params - Query parameters
+     * @param {Object} options - { cache: boolean|number, forceRefresh: boolean } plus request options
      * @returns {Promise} Response data
      */
-    async get(endpoint, params = null) {
+    async get(endpoint, params = null, options = {}) {
+        const { cache, forceRefresh, ...requestOptions } = options;
+        
         let url = endpoint;
         if (params) {
             const queryString = Utils.buildQueryString(params);
-            url += `?${queryString}`;
+            if (queryString) {
+                url += `?${queryString}`;
+            }
+        }
+        
+        const ttl = this.cache.resolveTTL(endpoint, cache);
+        
+        if (ttl && !forceRefresh) {
+            const entry = this.cache.get(url);
+            
+            if (entry && this.cache.isFresh(entry)) {
+                Config.log(`API Cache hit: ${url}`);
+                return entry.data;
+            }
+            
+            if (entry && this.cache.isStale(entry)) {
+                Config.log(`API Cache stale, revalidating: ${url}`);
+                this.fetchAndCache(url, ttl, requestOptions).catch(error => {
+                    Config.warn(`Background revalidation failed: ${url}`, error);
+                });
+                return entry.data;
+            }
         }
         
-        return this.request(url, {
+        return this.fetchAndCache(url, ttl, requestOptions);
+    }
+    
+    /**
+     * Fetch a GET endpoint (deduplicated) and store it in the cache
+     * @param {string} url - Endpoint with query string
+     * @param {number} ttl - Cache TTL in ms (0 = don't store)
+     * @param {Object} options - Request options
+     * @returns {Promise} Response data
+     */
+    async fetchAndCache(url, ttl, options = {}) {
+        const fetcher = () => this.request(url, {
+            ...options,
             method: 'GET'
         });
+        
+        // Cancellable requests can't share a fetch with other callers
+        const data = options.signal || options.latest
+            ? await fetcher()
+            : await this.cache.dedupe(url, fetcher);
+            
+        if (ttl) {
+            this.cache.set(url, data, ttl);
+        }
+        
+        return data;
     }
     
     /**
      * POST request
      * @param {string} endpoint - API endpoint
      * @param {Object} data - Request body
+     * @param {Object} options - Request options
      * @returns {Promise} Response data
      */
-    async post(endpoint, data = {}) {
+    async post(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'POST',
             body: JSON.stringify(data)
         });
@@ -206,10 +677,12 @@ class API {
      * PUT request
      * @param {string} endpoint - API endpoint
      * @param {Object} data - Request body
+     * @param {Object} options - Request options (e.g. { idempotent: true })
      * @returns {Promise} Response data
      */
-    async put(endpoint, data = {}) {
+    async put(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'PUT',
             body: JSON.stringify(data)
         });
@@ -218,66 +691,160 @@ class API {
     /**
      * DELETE request
      * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options (e.g. { idempotent: true })
      * @returns {Promise} Response data
      */
-    async delete(endpoint) {
+    async delete(endpoint, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'DELETE'
         });
     }
     
     /**
      * Upload file
+     * Goes through the same interceptor pipeline as other requests (including
+     * token refresh) and validates attached files before sending.
      * @param {string} endpoint - API endpoint
      * @param {FormData} formData - Form data with file
+     * @param {Object} options - Upload options
+     * @param {Function} options.onProgress - Receives { loaded, total, percent }
+     * @param {AbortSignal} options.signal - Cancels the upload when aborted
+     * @param {number} options.timeout - Timeout in ms (default Config.API_TIMEOUT)
+     * @param {number} options.maxSize - Max bytes per file (default Config.MAX_FILE_SIZE)
+     * @param {Array<string>} options.allowedTypes - Allowed MIME types
      * @returns {Promise} Response data
      */
-    async upload(endpoint, formData) {
-        const url = `${this.baseURL}/${endpoint}`;
+    async upload(endpoint, formData, options = {}) {
+        const { maxSize, allowedTypes, ...requestOptions } = options;
         
-        const token = localStorage.getItem(Config.TOKEN_KEY);
-        const headers = {
-            'Authorization': `Bearer ${token}`
-        };
-        // Don't set Content-Type for FormData - browser will set it with boundary
+        this.validateFiles(formData, { maxSize, allowedTypes });
         
         try {
-            const response = await fetch(url, {
+            return await this.request(endpoint, {
                 method: 'POST',
-                headers,
-                body: formData
+                ...requestOptions,
+                body: formData,
+                transport: 'xhr'
             });
+        } catch (error) {
+            if (error instanceof APIError && (error.status !== 0 || error.isCancelled())) {
+                throw error;
+            }
+            throw new APIError('Upload failed', 0, error);
+        }
+    }
+    
+    /**
+     * Validate files in form data against size and type limits
+     * Throws an APIError shaped like a backend 422 response.
+     * @param {FormData} formData - Form data
+     * @param {Object} rules - { maxSize, allowedTypes }
+     * @throws {APIError} When any file is invalid
+     */
+    validateFiles(formData, { maxSize = Config.MAX_FILE_SIZE, allowedTypes = null } = {}) {
+        const types = allowedTypes || [...Config.ALLOWED_IMAGE_TYPES, ...Config.ALLOWED_DOCUMENT_TYPES];
+        const errors = {};
+        
+        const addError = (field, message) => {
+            errors[field] = errors[field] || [];
+            errors[field].push(message);
+        };
+        
+        for (const [field, value] of formData.entries()) {
+            // Skip plain values and empty file inputs
+            if (typeof Blob === 'undefined' || !(value instanceof Blob)) continue;
+            if (value.size === 0 && !value.name) continue;
             
-            const data = await response.json();
+            const name = value.name || field;
             
-            if (!response.ok) {
-                throw new APIError(
-                    data.message || 'Upload failed',
-                    response.status,
-                    data
-                );
+            if (value.size > maxSize) {
+                addError(field, `${name} is larger than ${Utils.formatFileSize(maxSize)}`);
             }
             
-            return data;
-            
-        } catch (error) {
-            if (error instanceof APIError) {
-                throw error;
+            if (!types.includes(value.type)) {
+                addError(field, `${name} is not an allowed file type`);
             }
-            throw new APIError('Upload failed', 0, error);
+        }
+        
+        if (!Utils.isEmpty(errors)) {
+            const message = Object.values(errors).flat().join(' ');
+            throw new APIError(message, 422, { message, errors });
         }
     }
 }
 
+/**
+ * Interceptor registry for request/response pipelines
+ *
+ * Handlers run in ascending priority, then registration order.
+ * Request handlers receive and return the request config; response
+ * handlers receive and return { data, status, headers, config }.
+ */
+class InterceptorManager {
+    constructor() {
+        this.handlers = [];
+        this.nextId = 0;
+    }
+    
+    /**
+     * Register an interceptor
+     * @param {Function|null} fulfilled - Success handler (may be async)
+     * @param {Function|null} rejected - Error handler (may be async)
+     * @param {Object} options - { priority: number } (lower runs first)
+     * @returns {number} Interceptor ID for eject()
+     */
+    use(fulfilled, rejected = null, options = {}) {
+        const id = this.nextId++;
+        this.handlers.push({
+            id,
+            fulfilled,
+            rejected,
+            priority: options.priority || 0
+        });
+        return id;
+    }
+    
+    /**
+     * Remove an interceptor
+     * @param {number} id - Interceptor ID returned by use()
+     */
+    eject(id) {
+        this.handlers = this.handlers.filter(handler => handler.id !== id);
+    }
+    
+    /**
+     * Remove all interceptors (including built-ins)
+     */
+    clear() {
+        this.handlers = [];
+    }
+    
+    /**
+     * Attach the handlers to a promise in execution order
+     * @param {Promise} promise - Starting promise
+     * @returns {Promise} Chained promise
+     */
+    chain(promise) {
+        return [...this.handlers]
+            .sort((a, b) => a.priority - b.priority || a.id - b.id)
+            .reduce((current, handler) => current.then(
+                handler.fulfilled || (value => value),
+                handler.rejected || (error => Promise.reject(error))
+            ), promise);
+    }
+}
+
 /**
  * Custom API Error class
  */
 class APIError extends Error {
-    constructor(message, status = 0, data = null) {
+    constructor(message, status = 0, data = null, code = null) {
         super(message);
         this.name = 'APIError';
         this.status = status;
         this.data = data;
+        this.code = code;
     }
     
     /**
@@ -310,7 +877,23 @@ class APIError extends Error {
      * @returns {boolean} Is network error
      */
     isNetworkError() {
-        return this.status === 0;
+        return this.status === 0 && !this.isCancelled();
+    }
+    
+    /**
+     * Check if the request was cancelled by the caller or page navigation
+     * @returns {boolean} Is cancelled
+     */
+    isCancelled() {
+        return this.code === 'CANCELLED';
+    }
+    
+    /**
+     * Check if the request timed out
+     * @returns {boolean} Is timeout
+     */
+    isTimeout() {
+        return this.code === 'TIMEOUT';
     }
 }
 
@@ -319,5 +902,5 @@ const api = new API();
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { API, APIError, api };
+    module.exports = { API, APIError, InterceptorManager, api };
 }
\ No newline at end of file
@@ -7,60 +7,302 @@
 
 const Auth = {
     
+    /**
+     * Unique ID of this tab (for cross-tab messages and the refresh lock)
+     */
+    tabId: Utils.randomId(12),
+    
+    /**
+     * Cross-tab channel (null when BroadcastChannel is unavailable)
+     */
+    channel: null,
+    
+    /**
+     * In-flight token refresh shared by callers in this tab
+     */
+    refreshPromise: null,
+    
+    /**
+     * ID of the user this page was loaded for
+     */
+    sessionUserId: null,
+    
+    /**
+     * Two-factor challenge awaiting verification (kept in memory only)
+     */
+    pendingChallenge: null,
+    
+    /**
+     * Resolves once the session has been restored on this page
+     * (set at load - see restoreSession)
+     */
+    ready: null,
+    
+    /**
+     * Pending session_request to other tabs (see requestSessionFromTabs)
+     */
+    sessionWaiter: null,
+
+    /**
+     * Refresh waiting for another tab's rotated tokens (see waitForRotatedSession)
+     */
+    rotationWaiter: null,
+    
+    /**
+     * Session storage strategy chosen by Config.TOKEN_STORAGE
+     * @returns {Object} TokenStorage strategy
+     */
+    get store() {
+        return TokenStorage.current;
+    },
+    
+    /**
+     * Extra fetch options for requests that set or read the refresh cookie
+     * @returns {Object} Request options
+     */
+    sessionOptions() {
+        return this.store.usesCookie ? { credentials: 'include' } : {};
+    },
+    
+    /**
+     * Restore the session at page load
+     * Memory storage loses the access token and user on every navigation;
+     * they are fetched again with the httpOnly refresh cookie. Session-only
+     * logins live in one tab's sessionStorage, so a new tab asks the others
+     * over BroadcastChannel.
+     * @returns {Promise<boolean>} Is authenticated
+     */
+    async restoreSession() {
+        if (this.isAuthenticated()) return true;
+        
+        if (!this.store.usesCookie) {
+            return this.requestSessionFromTabs();
+        }
+        
+        try {
+            await this.refreshToken();
+            
+            if (!this.getPermissionData()) {
+                await this.loadPermissions();
+            }
+            
+            Config.log('Session restored from refresh cookie');
+            return true;
+        } catch (error) {
+            // No cookie or it expired - simply not signed in
+            Config.log('No session to restore');
+            return false;
+        }
+    },
+    
+    /**
+     * Ask other open tabs for their session-only login
+     * Only over BroadcastChannel: without it the user signs in again.
+     * @returns {Promise<boolean>} Whether a tab shared its session
+     */
+    requestSessionFromTabs() {
+        if (!this.channel) return Promise.resolve(false);
+        
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.sessionWaiter = null;
+                resolve(false);
+            }, Config.SESSION_SHARE_TIMEOUT);
+            
+            this.sessionWaiter = () => {
+                clearTimeout(timer);
+                this.sessionWaiter = null;
+                resolve(true);
+            };
+            
+            this.broadcast('session_request');
+        });
+    },
+    
+    /**
+     * Current session in the shape shared with other tabs
+     * @returns {Object} { access_token, refresh_token, user }
+     */
+    exportSession() {
+        return {
+            access_token: this.getToken(),
+            refresh_token: this.store.getRefreshToken(),
+            user: this.getUser()
+        };
+    },
+    
     /**
      * Login user
+     * When the account has two-factor authentication enabled, auth/login
+     * answers with a challenge instead of tokens:
+     *   { status: 'challenge', challenge_token, method: 'totp'|'sms'|'email',
+     *     destination, expires_in }
+     * and the caller must finish with verifyTwoFactor().
      * @param {string} username - Username
      * @param {string} password - Password
-     * @param {boolean} remember - Remember me
-     * @returns {Promise<Object>} User data
+     * @param {boolean} remember - Remember me (off = signed out when the browser closes)
+     * @returns {Promise<Object>} User data, or { requiresTwoFactor, method, destination, expiresIn }
      */
     async login(username, password, remember = false) {
         try {
-            const response = await api.post('auth/login', {
+            const payload = {
                 userid: username,
-                passkey: password
-            });
+                passkey: password,
+                remember: Boolean(remember)
+            };
+            
+            if (this.store.usesCookie) {
+                payload.refresh_cookie = true;
+            }
+            
+            // A remembered device may skip the second factor
+            const deviceToken = localStorage.getItem(Config.DEVICE_TOKEN_KEY);
+            if (deviceToken) {
+                payload.device_token = deviceToken;
+            }
+            
+            const response = await api.post('auth/login', payload, this.sessionOptions());
+            
+            if (response.status === 'challenge') {
+                this.pendingChallenge = { ...response, remember };
+                Config.log(`Two-factor verification required (${response.method})`);
+                return this.describeChallenge();
+            }
             
             if (response.status === 'success') {
-                // Store tokens
-                localStorage.setItem(Config.TOKEN_KEY, response.access_token);
-                localStorage.setItem(Config.REFRESH_TOKEN_KEY, response.refresh_token);
-                
-                // Store user data
-                const userData = {
-                    ...response.user,
-                    permissions: this.extractPermissions(response.user)
-                };
-                localStorage.setItem(Config.USER_KEY, JSON.stringify(userData));
-                
-                // Set up auto-refresh
-                this.setupTokenRefresh();
-                
-                Config.log('Login successful', userData);
-                return userData;
-            } else {
-                throw new Error(response.message || 'Login failed');
+                return await this.completeLogin(response, remember);
             }
+            
+            throw new Error(response.message || 'Login failed');
         } catch (error) {
             Config.error('Login error', error);
             throw error;
         }
     },
     
+    /**
+     * Verify the second factor of a pending login
+     * @param {string} code - TOTP or one-time code
+     * @param {boolean} rememberDevice - Skip the second factor on this device next time
+     * @returns {Promise<Object>} User data
+     */
+    async verifyTwoFactor(code, rememberDevice = false) {
+        const challenge = this.pendingChallenge;
+        if (!challenge) {
+            throw new Error('No two-factor verification in progress. Please login again.');
+        }
+        
+        const response = await api.post('auth/2fa/verify', {
+            challenge_token: challenge.challenge_token,
+            code: String(code).replace(/\s+/g, ''),
+            remember_device: rememberDevice,
+            remember: Boolean(challenge.remember),
+            ...(this.store.usesCookie ? { refresh_cookie: true } : {})
+        }, this.sessionOptions());
+        
+        if (response.status !== 'success') {
+            throw new Error(response.message || 'Verification failed');
+        }
+        
+        if (response.device_token) {
+            localStorage.setItem(Config.DEVICE_TOKEN_KEY, response.device_token);
+        }
+        
+        this.pendingChallenge = null;
+        return this.completeLogin(response, challenge.remember);
+    },
+    
+    /**
+     * Send a new SMS/email code for the pending login
+     * @returns {Promise<Object>} Updated challenge description
+     */
+    async resendTwoFactorCode() {
+        const challenge = this.pendingChallenge;
+        if (!challenge) {
+            throw new Error('No two-factor verification in progress. Please login again.');
+        }
+        
+        const response = await api.post('auth/2fa/resend', {
+            challenge_token: challenge.challenge_token
+        });
+        
+        this.pendingChallenge = { ...challenge, ...response, status: 'challenge' };
+        return this.describeChallenge();
+    },
+    
+    /**
+     * Abandon the pending two-factor login
+     */
+    cancelTwoFactor() {
+        this.pendingChallenge = null;
+    },
+    
+    /**
+     * Public description of the pending challenge (without the token)
+     * @returns {Object|null} { requiresTwoFactor, method, destination, expiresIn }
+     */
+    describeChallenge() {
+        const challenge = this.pendingChallenge;
+        if (!challenge) return null;
+        
+        return {
+            requiresTwoFactor: true,
+            method: challenge.method || 'totp',
+            destination: challenge.destination || null,
+            expiresIn: challenge.expires_in || null
+        };
+    },
+    
+    /**
+     * Store the session from a successful login/verify response
+     * @param {Object} response - { access_token, refresh_token, user }
+     * @param {boolean} remember - Keep the session after the browser closes
+     * @returns {Promise<Object>} User data
+     */
+    async completeLogin(response, remember = false) {
+        // Drop any responses cached for a previous session
+        api.cache.clear();
+        
+        // Store tokens (no refresh_token in cookie mode)
+        this.store.setTokens(response.access_token, response.refresh_token, Boolean(remember));
+        
+        // Store user data
+        const userData = { ...response.user };
+        this.store.setUser(userData);
+        localStorage.removeItem(Config.PERMISSIONS_KEY);
+        this.sessionUserId = userData.MbrID;
+        
+        // Pages check permissions right after the redirect
+        await this.loadPermissions();
+        
+        // Set up auto-refresh
+        this.setupTokenRefresh();
+        
+        // Let other open tabs pick up the new session
+        this.broadcast('login', { userId: userData.MbrID });
+        
+        Config.log('Login successful', userData);
+        return userData;
+    },
+    
     /**
      * Logout user
      * @returns {Promise<void>}
      */
     async logout() {
+        // Several failed requests may trigger logout at once
+        if (this.loggingOut) return;
+        this.loggingOut = true;
+        
         try {
-            const refreshToken = localStorage.getItem(Config.REFRESH_TOKEN_KEY);
+            const refreshToken = this.store.getRefreshToken();
             
-            if (refreshToken) {
-                // Call backend logout (best effort)
+            if (refreshToken || this.store.usesCookie) {
+                // Call backend logout (best effort) - cookie mode sends the cookie instead
                 try {
-                    await api.post('auth/logout', {
+                    await api.post('auth/logout', refreshToken ? {
                         refresh_token: refreshToken
-                    });
+                    } : {}, this.sessionOptions());
                 } catch (e) {
                     Config.warn('Logout API call failed', e);
                 }
@@ -68,16 +310,16 @@ const Auth = {
         } catch (error) {
             Config.warn('Logout error', error);
         } finally {
-            // Clear local storage
-            localStorage.removeItem(Config.TOKEN_KEY);
-            localStorage.removeItem(Config.REFRESH_TOKEN_KEY);
-            localStorage.removeItem(Config.USER_KEY);
+            // Clear the stored session
+            this.store.clear();
+            localStorage.removeItem(Config.PERMISSIONS_KEY);
+            api.cache.clear();
             
             // Stop auto-refresh
-            if (this.refreshInterval) {
-                clearInterval(this.refreshInterval);
-                this.refreshInterval = null;
-            }
+            this.stopTokenRefresh();
+            
+            // Log out every other open tab too
+            this.broadcast('logout');
             
             Config.log('Logged out');
             
@@ -91,7 +333,7 @@ const Auth = {
      * @returns {boolean} Is authenticated
      */
     isAuthenticated() {
-        const token = localStorage.getItem(Config.TOKEN_KEY);
+        const token = this.getToken();
         const user = this.getUser();
         return Boolean(token && user);
     },
@@ -101,15 +343,7 @@ const Auth = {
      * @returns {Object|null} User data
      */
     getUser() {
-        const userData = localStorage.getItem(Config.USER_KEY);
-        if (!userData) return null;
-        
-        try {
-            return JSON.parse(userData);
-        } catch (e) {
-            Config.error('Failed to parse user data', e);
-            return null;
-        }
+        return this.store.getUser();
     },
     
     /**
@@ -132,12 +366,24 @@ const Auth = {
     },
     
     /**
-     * Get user's role
-     * @returns {string|Array} Role(s)
+     * Get all of the user's roles
+     * @returns {Array<string>} Role names
      */
-    getUserRole() {
+    getUserRoles() {
+        const loaded = this.getPermissionData()?.roles;
+        if (loaded && loaded.length > 0) return loaded;
+        
         const user = this.getUser();
-        return user?.Role || user?.RoleName || 'Member';
+        const roles = [].concat(user?.Role || user?.RoleName || []);
+        return roles.length > 0 ? roles : ['Member'];
+    },
+    
+    /**
+     * Get user's role for display
+     * @returns {string} Role name(s), comma separated
+     */
+    getUserRole() {
+        return this.getUserRoles().join(', ');
     },
     
     /**
@@ -145,36 +391,102 @@ const Auth = {
      * @returns {string|null} Access token
      */
     getToken() {
-        return localStorage.getItem(Config.TOKEN_KEY);
+        return this.store.getAccessToken();
     },
     
     /**
-     * Extract permissions from user data
-     * @param {Object} user - User object
-     * @returns {Array} Permissions array
+     * Get the stored permission data
+     * @returns {Object|null} { version, roles, permissions, userId, loadedAt, fallback }
      */
-    extractPermissions(user) {
-        // Permissions may come from different sources
-        if (user.permissions && Array.isArray(user.permissions)) {
-            return user.permissions;
-        }
+    getPermissionData() {
+        const raw = localStorage.getItem(Config.PERMISSIONS_KEY);
+        if (!raw) return null;
         
-        // Role-based permissions might be embedded
-        if (user.Role) {
-            // This would need to match your backend role structure
-            return this.getRolePermissions(user.Role);
+        try {
+            const data = JSON.parse(raw);
+            
+            // Ignore permissions left over from a different user
+            const user = this.getUser();
+            return user && data.userId === user.MbrID ? data : null;
+        } catch (e) {
+            Config.error('Failed to parse permission data', e);
+            return null;
         }
+    },
+    
+    /**
+     * Load the user's roles and effective permissions from the backend
+     * Fires 'auth:permissionschanged' when the version stamp changes.
+     * @returns {Promise<Object|null>} Permission data
+     */
+    async loadPermissions() {
+        const user = this.getUser();
+        if (!user) return null;
         
-        return [];
+        const previous = this.getPermissionData();
+        
+        try {
+            const response = await api.get('auth/permissions', null, { cache: false });
+            
+            const data = {
+                version: response.version,
+                roles: response.roles || [],
+                permissions: response.permissions || [],
+                userId: user.MbrID,
+                loadedAt: Date.now(),
+                fallback: false
+            };
+            
+            if (previous?.version === data.version && !previous.fallback) {
+                return previous;
+            }
+            
+            this.storePermissions(data);
+            Config.log(`Permissions loaded (version ${data.version})`, data.permissions);
+            return data;
+        } catch (error) {
+            if (previous) {
+                Config.warn('Failed to refresh permissions, keeping cached copy', error);
+                return previous;
+            }
+            
+            if (!Config.PERMISSIONS_OFFLINE_FALLBACK) {
+                Config.error('Failed to load permissions', error);
+                return null;
+            }
+            
+            const roles = this.getUserRoles();
+            const data = {
+                version: 'fallback',
+                roles,
+                permissions: this.getFallbackPermissions(roles),
+                userId: user.MbrID,
+                loadedAt: Date.now(),
+                fallback: true
+            };
+            
+            Config.warn('Using offline fallback permissions for roles', roles);
+            this.storePermissions(data);
+            return data;
+        }
+    },
+    
+    /**
+     * Store permission data and notify listeners
+     * @param {Object} data - Permission data
+     */
+    storePermissions(data) {
+        localStorage.setItem(Config.PERMISSIONS_KEY, JSON.stringify(data));
+        window.dispatchEvent(new CustomEvent('auth:permissionschanged', { detail: data }));
     },
     
     /**
-     * Get permissions for a role (fallback)
-     * @param {string} role - Role name
-     * @returns {Array} Permissions
+     * Built-in role table, only used when Config.PERMISSIONS_OFFLINE_FALLBACK
+     * is on and the backend can't be reached. May be out of date.
+     * @param {Array<string>} roles - Role names
+     * @returns {Array<string>} Union of the roles' permissions
      */
-    getRolePermissions(role) {
-        // Define default role permissions
+    getFallbackPermissions(roles) {
         const rolePermissions = {
             'Admin': Object.values(Config.PERMISSIONS),
             'Pastor': [
@@ -208,7 +520,8 @@ const Auth = {
             ]
         };
         
-        return rolePermissions[role] || rolePermissions['Member'];
+        const permissions = roles.flatMap(role => rolePermissions[role] || rolePermissions['Member']);
+        return [...new Set(permissions)];
     },
     
     /**
@@ -217,15 +530,17 @@ const Auth = {
      * @returns {boolean} Has permission
      */
     hasPermission(permission) {
-        const user = this.getUser();
-        if (!user) return false;
+        if (typeof permission !== 'string' || !permission) {
+            Config.warn('Permission check with a missing permission name', permission);
+            return false;
+        }
         
-        // Admin has all permissions
-        const role = this.getUserRole();
-        if (role === 'Admin' || role === 'Administrator') return true;
+        if (!Object.values(Config.PERMISSIONS).includes(permission)) {
+            Config.warn(`Unknown permission: ${permission}`);
+        }
         
-        const permissions = user.permissions || this.extractPermissions(user);
-        return permissions.includes(permission);
+        const data = this.getPermissionData();
+        return Boolean(data && data.permissions.includes(permission));
     },
     
     /**
@@ -278,7 +593,7 @@ const Auth = {
         const hasPermission = Array.isArray(permission)
             ? this.hasAnyPermission(permission)
             : this.hasPermission(permission);
-        
+            
         if (!hasPermission) {
             const msg = message || 'You do not have permission to perform this action.';
             Alerts.error(msg);
@@ -289,41 +604,421 @@ const Auth = {
         return true;
     },
     
+    /**
+     * Decode the payload of a JWT (no signature check - display/scheduling only)
+     * @param {string} token - JWT
+     * @returns {Object|null} Payload
+     */
+    decodeToken(token) {
+        if (!token) return null;
+        
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const padded = payload + '='.repeat((4 - payload.length % 4) % 4);
+            return JSON.parse(atob(padded));
+        } catch (e) {
+            Config.warn('Failed to decode access token', e);
+            return null;
+        }
+    },
+    
+    /**
+     * Get access token expiry
+     * @param {string} token - JWT (defaults to the stored access token)
+     * @returns {number|null} Expiry timestamp in ms
+     */
+    getTokenExpiry(token = this.getToken()) {
+        const payload = this.decodeToken(token);
+        return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    },
+    
+    /**
+     * Check if the access token expires within Config.TOKEN_EXPIRY_BUFFER
+     * @param {string} token - JWT (defaults to the stored access token)
+     * @returns {boolean} Is expiring (false if the expiry is unknown)
+     */
+    isTokenExpiring(token = this.getToken()) {
+        const expiry = this.getTokenExpiry(token);
+        return expiry !== null && expiry - Config.TOKEN_EXPIRY_BUFFER <= Date.now();
+    },
+    
     /**
      * Set up automatic token refresh
+     * Schedules a refresh at exp - TOKEN_EXPIRY_BUFFER, or refreshes right
+     * away if the token is already inside the buffer. Every tab schedules
+     * one, but only the first to take the lock calls the backend; the
+     * others find a fresh token when their timer fires and reschedule.
      */
     setupTokenRefresh() {
-        // Clear existing interval
-        if (this.refreshInterval) {
-            clearInterval(this.refreshInterval);
+        this.stopTokenRefresh();
+        
+        const expiry = this.getTokenExpiry();
+        if (expiry === null) {
+            // Unknown lifetime - rely on the 401 refresh in API
+            Config.warn('Access token has no exp claim, auto-refresh disabled');
+            return;
+        }
+        
+        const delay = expiry - Config.TOKEN_EXPIRY_BUFFER - Date.now();
+        if (delay <= 0) {
+            this.autoRefresh();
+            return;
+        }
+        
+        // setTimeout overflows above ~24.8 days
+        this.refreshTimer = setTimeout(() => this.autoRefresh(), Math.min(delay, 2147483647));
+        
+        Config.log(`Token auto-refresh scheduled in ${Math.round(delay / 1000)}s`);
+    },
+    
+    /**
+     * Refresh the token if it is (still) expiring, then reschedule
+     */
+    async autoRefresh() {
+        this.refreshTimer = null;
+        
+        try {
+            if (this.isTokenExpiring()) {
+                Config.log('Auto-refreshing token...');
+                await this.refreshToken(this.getToken());
+                Config.log('Token auto-refreshed');
+            }
+            this.setupTokenRefresh();
+        } catch (error) {
+            Config.error('Auto token refresh failed', error);
+            this.logout();
+        }
+    },
+    
+    /**
+     * Stop automatic token refresh
+     */
+    stopTokenRefresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    },
+    
+    /**
+     * Refresh the access token
+     * Only one tab refreshes at a time. If another tab already rotated the
+     * tokens while this one waited for the lock, those tokens are reused
+     * instead of spending the (now revoked) refresh token again.
+     * @param {string|null} staleToken - Access token known to be expired
+     * @returns {Promise<string>} Current access token
+     */
+    refreshToken(staleToken = null) {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.withRefreshLock(() => this.performRefresh(staleToken))
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        
+        return this.refreshPromise;
+    },
+    
+    /**
+     * Call the refresh endpoint (run while holding the refresh lock)
+     * @param {string|null} staleToken - Access token known to be expired
+     * @returns {Promise<string>} New access token
+     */
+    async performRefresh(staleToken) {
+        const current = this.getToken();
+        if (staleToken && current && current !== staleToken) {
+            Config.log('Token already refreshed by another tab');
+            return current;
+        }
+        
+        // Session-only tokens reach this tab by message, which may still be in
+        // flight when we get the lock: never spend a token another tab spent
+        if (this.store.isSessionOnly() && this.wasRotatedElsewhere()) {
+            const shared = await this.waitForRotatedSession();
+            if (shared) {
+                Config.log('Token already refreshed by another tab');
+                return shared;
+            }
+        }
+        
+        // In cookie mode the browser sends the refresh token for us
+        const refreshToken = this.store.getRefreshToken();
+        if (!refreshToken && !this.store.usesCookie) {
+            throw new Error('No refresh token');
+        }
+        
+        // Plain fetch - a 401 here must not re-enter the refresh interceptor
+        const response = await fetch(`${Config.API_BASE_URL}/auth/refresh`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(refreshToken ? { refresh_token: refreshToken } : {}),
+            ...this.sessionOptions()
+        });
+        
+        if (!response.ok) {
+            throw new Error('Token refresh failed');
+        }
+        
+        const data = await response.json();
+        
+        if (this.store.isSessionOnly() && refreshToken) {
+            // Written before the lock is released, unlike the session_share message
+            localStorage.setItem(Config.REFRESH_ROTATED_KEY, this.tokenFingerprint(refreshToken));
+        }
+        
+        // Update tokens (cookie mode also returns the user profile)
+        this.store.setTokens(data.access_token, data.refresh_token);
+        if (data.user) {
+            this.store.setUser(data.user);
+        }
+        
+        // Other tabs hold their own copy of a session-only login
+        if (this.store.isSessionOnly()) {
+            this.broadcast('session_share', this.exportSession());
+        }
+        
+        Config.log('Token refreshed successfully');
+        
+        // Role assignments may have changed since login
+        this.loadPermissions();
+        
+        return data.access_token;
+    },
+    
+    /**
+     * Check if another tab already spent this tab's refresh token
+     * @returns {boolean} Rotated elsewhere
+     */
+    wasRotatedElsewhere() {
+        const refreshToken = this.store.getRefreshToken();
+        return !!refreshToken && localStorage.getItem(Config.REFRESH_ROTATED_KEY) === this.tokenFingerprint(refreshToken);
+    },
+    
+    /**
+     * Wait for the session_share message carrying the rotated tokens
+     * @returns {Promise<string|null>} New access token, or null on timeout
+     */
+    waitForRotatedSession() {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.rotationWaiter = null;
+                resolve(null);
+            }, Config.SESSION_SHARE_TIMEOUT);
+            
+            this.rotationWaiter = () => {
+                clearTimeout(timer);
+                this.rotationWaiter = null;
+                resolve(this.getToken());
+            };
+            
+            // The message may have arrived between the check and now
+            if (!this.wasRotatedElsewhere()) {
+                this.rotationWaiter();
+            }
+        });
+    },
+    
+    /**
+     * Short one-way fingerprint of a token (safe to keep in localStorage)
+     * @param {string} token - Token
+     * @returns {string} Fingerprint
+     */
+    tokenFingerprint(token) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < token.length; i++) {
+            hash = Math.imul(hash ^ token.charCodeAt(i), 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    },
+    
+    /**
+     * Run a callback while holding the cross-tab refresh lock
+     * Uses the Web Locks API, falling back to a lock entry in localStorage.
+     * @param {Function} callback - Async callback
+     * @returns {Promise<*>} Callback result
+     */
+    async withRefreshLock(callback) {
+        if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+            return navigator.locks.request(Config.REFRESH_LOCK_KEY, callback);
         }
         
-        // Refresh token every 25 minutes (before 30 min expiry)
-        this.refreshInterval = setInterval(async () => {
+        const readLock = () => {
             try {
-                const refreshToken = localStorage.getItem(Config.REFRESH_TOKEN_KEY);
-                if (!refreshToken) {
-                    throw new Error('No refresh token');
+                return JSON.parse(localStorage.getItem(Config.REFRESH_LOCK_KEY));
+            } catch (e) {
+                return null;
+            }
+        };
+        
+        // Give up waiting after the timeout; a crashed tab can't block us forever
+        const deadline = Date.now() + Config.REFRESH_LOCK_TIMEOUT;
+        while (Date.now() < deadline) {
+            const lock = readLock();
+            
+            if (!lock || lock.expires < Date.now()) {
+                localStorage.setItem(Config.REFRESH_LOCK_KEY, JSON.stringify({
+                    owner: this.tabId,
+                    expires: Date.now() + Config.REFRESH_LOCK_TIMEOUT
+                }));
+                
+                // Another tab may have written at the same time - last write wins
+                await Utils.sleep(50);
+                if (readLock()?.owner === this.tabId) break;
+            } else {
+                await Utils.sleep(100);
+            }
+        }
+        
+        try {
+            return await callback();
+        } finally {
+            if (readLock()?.owner === this.tabId) {
+                localStorage.removeItem(Config.REFRESH_LOCK_KEY);
+            }
+        }
+    },
+    
+    /**
+     * Send a session event to other open tabs
+     * @param {string} type - Event type (login, logout, user_updated)
+     * @param {Object} payload - Extra data
+     */
+    broadcast(type, payload = {}) {
+        const message = { ...payload, type, from: this.tabId };
+        
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+        
+        // Tokens never go through localStorage: that would keep a session-only
+        // login on disk, readable by any script on the origin
+        if (type === 'session_share') return;
+        
+        // Setting then removing the key fires a storage event in other tabs
+        try {
+            localStorage.setItem(Config.AUTH_EVENT_KEY, JSON.stringify({ ...message, at: Date.now() }));
+            localStorage.removeItem(Config.AUTH_EVENT_KEY);
+        } catch (e) {
+            Config.warn('Failed to broadcast session event', e);
+        }
+    },
+    
+    /**
+     * React to a session event from another tab
+     * @param {Object} message - Event ({ type, from, ... })
+     */
+    handleSyncMessage(message) {
+        if (!message || message.from === this.tabId) return;
+        
+        Config.log(`Session event from another tab: ${message.type}`);
+        const onLoginPage = window.location.pathname.includes('/login');
+        
+        switch (message.type) {
+            case 'logout':
+                this.store.clear();
+                this.stopTokenRefresh();
+                api.cache.clear();
+                if (!onLoginPage) {
+                    window.location.href = '/public/login/';
                 }
+                break;
                 
-                Config.log('Auto-refreshing token...');
+            case 'login':
+                api.cache.clear();
+                if (onLoginPage) {
+                    this.handleRedirectAfterLogin();
+                } else if (this.sessionUserId !== message.userId) {
+                    // A different user signed in - this page shows stale data
+                    window.location.reload();
+                } else {
+                    this.setupTokenRefresh();
+                }
+                break;
                 
-                const response = await api.post('auth/refresh', {
-                    refresh_token: refreshToken
-                });
+            case 'session_request':
+                if (this.store.isSessionOnly() && this.isAuthenticated()) {
+                    this.broadcast('session_share', { ...this.exportSession(), to: message.from });
+                }
+                break;
                 
-                if (response.access_token) {
-                    localStorage.setItem(Config.TOKEN_KEY, response.access_token);
-                    localStorage.setItem(Config.REFRESH_TOKEN_KEY, response.refresh_token);
-                    Config.log('Token auto-refreshed');
+            case 'session_share':
+                if (message.to && message.to !== this.tabId) break;
+                
+                if (this.sessionWaiter) {
+                    // Answer to our session_request
+                    this.store.setTokens(message.access_token, message.refresh_token, false);
+                    this.store.setUser(message.user);
+                    this.sessionWaiter();
+                } else if (this.store.isSessionOnly() && this.sessionUserId === message.user?.MbrID) {
+                    // Another tab rotated the tokens - ours are revoked now
+                    this.store.setTokens(message.access_token, message.refresh_token);
+                    this.setupTokenRefresh();
+                    this.rotationWaiter?.();
+                }
+                break;
+                
+            case 'user_updated':
+                // Memory storage doesn't share the profile between tabs
+                if (message.user) {
+                    this.store.setUser(message.user);
                 }
-            } catch (error) {
-                Config.error('Auto token refresh failed', error);
-                this.logout();
+                window.dispatchEvent(new CustomEvent('auth:userupdated', { detail: this.getUser() }));
+                break;
+        }
+    },
+    
+    /**
+     * Start listening for session events from other tabs
+     */
+    initSync() {
+        // Permissions reloaded by another tab apply here too
+        window.addEventListener('storage', event => {
+            if (event.key === Config.PERMISSIONS_KEY && event.newValue) {
+                window.dispatchEvent(new CustomEvent('auth:permissionschanged', { detail: this.getPermissionData() }));
             }
-        }, 25 * 60 * 1000); // 25 minutes
+        });
+        
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(Config.AUTH_CHANNEL);
+            this.channel.onmessage = event => this.handleSyncMessage(event.data);
+            return;
+        }
         
-        Config.log('Token auto-refresh enabled');
+        window.addEventListener('storage', event => {
+            if (event.key !== Config.AUTH_EVENT_KEY || !event.newValue) return;
+            
+            try {
+                this.handleSyncMessage(JSON.parse(event.newValue));
+            } catch (e) {
+                Config.warn('Invalid session event', e);
+            }
+        });
+    },
+    
+    /**
+     * List the devices the user is signed in on
+     * @returns {Promise<Array<Object>>} Sessions ({ id, device, ip, remember, started_at, last_active, expires_at, current })
+     */
+    async getSessions() {
+        const response = await api.get('auth/sessions', null, { cache: false });
+        return response.data || [];
+    },
+    
+    /**
+     * Sign out one device by revoking its refresh token
+     * Revoking the current device logs out here too.
+     * @param {Object} session - Session from getSessions()
+     * @returns {Promise<void>}
+     */
+    async revokeSession(session) {
+        await api.delete(`auth/sessions/${encodeURIComponent(session.id)}`);
+        
+        if (session.current) {
+            await this.logout();
+        }
     },
     
     /**
@@ -335,7 +1030,10 @@ const Auth = {
         if (!user) return;
         
         const updatedUser = { ...user, ...updates };
-        localStorage.setItem(Config.USER_KEY, JSON.stringify(updatedUser));
+        this.store.setUser(updatedUser);
+        
+        window.dispatchEvent(new CustomEvent('auth:userupdated', { detail: updatedUser }));
+        this.broadcast('user_updated', { user: updatedUser });
         
         Config.log('User data updated', updatedUser);
     },
@@ -354,11 +1052,32 @@ const Auth = {
     }
 };
 
+// Follow login/logout/profile changes made in other tabs
+Auth.initSync();
+
+// Restore the session right away; pages await Auth.ready before checking it
+Auth.ready = Auth.restoreSession();
+
 // Initialize on page load
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    await Auth.ready;
+    Auth.sessionUserId = Auth.getUser()?.MbrID || null;
+    
     // Set up token refresh if authenticated
     if (Auth.isAuthenticated()) {
         Auth.setupTokenRefresh();
+        
+        // Sessions from before permissions were loaded at login
+        if (!Auth.getPermissionData()) {
+            Auth.loadPermissions();
+        }
+    }
+});
+
+// Timers drift or stall while a laptop sleeps - recheck expiry on return
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && Auth.isAuthenticated()) {
+        Auth.setupTokenRefresh();
     }
 });
 
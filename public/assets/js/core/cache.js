@@ -0,0 +1,191 @@
+/**
+ * AliveChMS Response Cache
+ *
+ * Opt-in cache for GET responses with per-endpoint TTLs,
+ * in-flight request deduplication and stale-while-revalidate.
+ * Every caller gets its own copy of the data, so mutating a
+ * response never changes what other callers or the cache see.
+ * @version 1.0.0
+ */
+
+class ResponseCache {
+    constructor() {
+        this.memory = new Map();
+        this.inflight = new Map();
+        this.prefix = Config.API_CACHE_PREFIX;
+    }
+    
+    /**
+     * Get the session storage backend (null if unavailable)
+     * @returns {Storage|null} Storage
+     */
+    get storage() {
+        try {
+            return window.sessionStorage;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    /**
+     * Resolve the TTL for an endpoint
+     * @param {string} endpoint - Endpoint without query string
+     * @param {boolean|number} option - Per-call cache option
+     * @returns {number} TTL in ms (0 = not cached)
+     */
+    resolveTTL(endpoint, option = undefined) {
+        if (option === false) return 0;
+        if (typeof option === 'number') return option;
+        
+        const path = endpoint.split('?')[0];
+        const ttls = Config.API_CACHE_TTL;
+        
+        if (ttls[path]) return ttls[path];
+        
+        // Prefix rules end with a slash (e.g. 'member/view/')
+        const prefix = Object.keys(ttls)
+            .filter(key => key.endsWith('/') && path.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+            
+        if (prefix) return ttls[prefix];
+        
+        return option === true ? Config.API_CACHE_DEFAULT_TTL : 0;
+    }
+    
+    /**
+     * Get cached entry
+     * @param {string} key - Cache key (endpoint with query string)
+     * @returns {Object|null} Entry ({ data, storedAt, ttl })
+     */
+    get(key) {
+        if (this.memory.has(key)) {
+            const entry = this.memory.get(key);
+            return { ...entry, data: this.copy(entry.data) };
+        }
+        
+        const raw = this.storage?.getItem(this.prefix + key);
+        if (!raw) return null;
+        
+        try {
+            const entry = JSON.parse(raw);
+            this.memory.set(key, { ...entry, data: this.copy(entry.data) });
+            return entry;
+        } catch (e) {
+            this.storage.removeItem(this.prefix + key);
+            return null;
+        }
+    }
+    
+    /**
+     * Store response
+     * @param {string} key - Cache key
+     * @param {*} data - Response data
+     * @param {number} ttl - TTL in ms
+     */
+    set(key, data, ttl) {
+        const entry = { data: this.copy(data), ttl, storedAt: Date.now() };
+        this.memory.set(key, entry);
+        
+        try {
+            this.storage?.setItem(this.prefix + key, JSON.stringify(entry));
+        } catch (e) {
+            // Quota exceeded - keep the in-memory copy only
+            Config.warn('Response cache storage full', e);
+        }
+    }
+    
+    /**
+     * Check if entry is within its TTL
+     * @param {Object} entry - Cache entry
+     * @returns {boolean} Is fresh
+     */
+    isFresh(entry) {
+        return Date.now() - entry.storedAt < entry.ttl;
+    }
+    
+    /**
+     * Check if expired entry may still be served while revalidating
+     * @param {Object} entry - Cache entry
+     * @returns {boolean} Is usable stale
+     */
+    isStale(entry) {
+        return !this.isFresh(entry) && Date.now() - entry.storedAt < entry.ttl + Config.API_CACHE_STALE_TTL;
+    }
+    
+    /**
+     * Share one in-flight request between callers of the same key
+     * @param {string} key - Request key
+     * @param {Function} fn - Function performing the request
+     * @returns {Promise} Result (a copy per caller)
+     */
+    dedupe(key, fn) {
+        if (this.inflight.has(key)) {
+            Config.log(`API Request deduplicated: ${key}`);
+            return this.inflight.get(key).then(data => this.copy(data));
+        }
+        
+        const promise = Promise.resolve()
+            .then(fn)
+            .finally(() => this.inflight.delete(key));
+            
+        this.inflight.set(key, promise);
+        return promise.then(data => this.copy(data));
+    }
+    
+    /**
+     * Deep copy response data
+     * @param {*} data - Response data (JSON values)
+     * @returns {*} Copy
+     */
+    copy(data) {
+        if (data === null || typeof data !== 'object') return data;
+        if (typeof structuredClone === 'function') return structuredClone(data);
+        return JSON.parse(JSON.stringify(data));
+    }
+    
+    /**
+     * Remove entries whose key starts with a prefix
+     * @param {string} prefix - Key prefix (e.g. 'member/')
+     */
+    invalidate(prefix) {
+        for (const key of this.memory.keys()) {
+            if (key.startsWith(prefix)) this.memory.delete(key);
+        }
+        
+        const storage = this.storage;
+        if (!storage) return;
+        
+        for (let i = storage.length - 1; i >= 0; i--) {
+            const key = storage.key(i);
+            if (key && key.startsWith(this.prefix + prefix)) {
+                storage.removeItem(key);
+            }
+        }
+    }
+    
+    /**
+     * Invalidate everything affected by a mutation on an endpoint
+     * e.g. 'member/update/5' clears 'member/all' and 'member/view/5'
+     * @param {string} endpoint - Mutated endpoint
+     */
+    invalidateFor(endpoint) {
+        const resource = endpoint.split('?')[0].split('/')[0];
+        const related = Config.API_CACHE_DEPENDENCIES[resource] || [];
+        
+        [resource, ...related].forEach(name => this.invalidate(`${name}/`));
+        Config.log(`Response cache invalidated: ${[resource, ...related].join(', ')}`);
+    }
+    
+    /**
+     * Clear the whole cache (e.g. on login/logout)
+     */
+    clear() {
+        this.memory.clear();
+        this.invalidate('');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseCache;
+}
\ No newline at end of file
@@ -11,22 +11,104 @@ const Config = {
       API_BASE_URL: 'http://www.onechurch.com',
     API_TIMEOUT: 30000, // 30 seconds
     
+    // Automatic retry for idempotent requests (override per call with options.retry)
+    API_RETRY: {
+        retries: 3,
+        baseDelay: 500, // First backoff step in ms, doubled each attempt
+        maxDelay: 10000,
+        maxRetryAfter: 30000, // Give up if the server asks us to wait longer
+        methods: ['GET', 'HEAD'], // PUT/DELETE only when flagged idempotent
+        statuses: [408, 429] // Plus network errors and any 5xx
+    },
+    
+    // Response Cache (opt-in per endpoint, TTL in ms; keys ending in '/' match prefixes)
+    API_CACHE_PREFIX: 'alive_cache:',
+    API_CACHE_DEFAULT_TTL: 60 * 1000,
+    API_CACHE_STALE_TTL: 5 * 60 * 1000, // Serve stale data this long while revalidating
+    API_CACHE_TTL: {
+        'family/all': 5 * 60 * 1000,
+        'role/all': 10 * 60 * 1000,
+        'dashboard/overview': 60 * 1000
+    },
+    // Mutating a resource also invalidates these cached resources
+    API_CACHE_DEPENDENCIES: {
+        member: ['dashboard', 'family'],
+        family: ['member'],
+        contribution: ['dashboard', 'finance'],
+        expense: ['dashboard', 'finance'],
+        budget: ['dashboard', 'finance'],
+        event: ['dashboard'],
+        pledge: ['finance']
+    },
+    
     // Authentication
+    // 'local' keeps tokens in localStorage. 'memory' keeps the access token in
+    // memory and the refresh token in an httpOnly cookie (needs ALLOWED_ORIGINS
+    // set to this site's origin on the backend, not '*').
+    TOKEN_STORAGE: 'local',
     TOKEN_KEY: 'alive_access_token',
     REFRESH_TOKEN_KEY: 'alive_refresh_token',
     USER_KEY: 'alive_user',
+    PERMISSIONS_KEY: 'alive_permissions', // Effective permissions from auth/permissions
+    // Use the built-in role table when permissions can't be loaded (offline).
+    // Off by default: the backend is the source of truth.
+    PERMISSIONS_OFFLINE_FALLBACK: false,
+    DEVICE_TOKEN_KEY: 'alive_device_token', // "Remember this device" for two-factor login
+    OTP_RESEND_COOLDOWN: 30, // Seconds before another SMS/email code can be requested
     TOKEN_EXPIRY_BUFFER: 5 * 60 * 1000, // Refresh 5 minutes before expiry
+    AUTH_CHANNEL: 'alive_auth', // BroadcastChannel for cross-tab session events
+    AUTH_EVENT_KEY: 'alive_auth_event', // storage-event fallback without BroadcastChannel
+    SESSION_SHARE_TIMEOUT: 300, // ms a new tab waits for another tab's session-only login
+    REFRESH_LOCK_KEY: 'alive_refresh_lock',
+    REFRESH_LOCK_TIMEOUT: 10000,
+    REFRESH_ROTATED_KEY: 'alive_refresh_rotated', // Fingerprint of the last refresh token spent by any tab
+    
+    // Idle timeout (shared office PCs) - shortest matching role wins, 0 disables
+    IDLE_TIMEOUT: 30 * 60 * 1000,
+    IDLE_TIMEOUT_BY_ROLE: {
+        'Treasurer': 10 * 60 * 1000,
+        'Admin': 15 * 60 * 1000
+    },
+    IDLE_WARNING_DURATION: 60 * 1000, // Countdown shown before signing out
+    IDLE_ACTIVITY_KEY: 'alive_last_activity',
     
     // Pagination
     DEFAULT_PAGE_SIZE: 10,
     PAGE_SIZE_OPTIONS: [10, 25, 50, 100],
+    MAX_PAGE_SIZE: 100, // Backend caps `limit` at 100
+    
+    // Export / import (see export.js, importer.js); SheetJS is only loaded
+    // when an Excel file is written or read
+    XLSX_LIBRARY_URL: 'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js',
+    IMPORT_BATCH_SIZE: 5, // Rows sent in parallel
+    IMPORT_BATCH_DELAY: 1000, // Pause between batches (ms), to stay clear of rate limits
+    
+    // Printable reports (see reports.js); html2pdf is only loaded when a PDF is saved
+    PDF_LIBRARY_URL: 'https://cdn.jsdelivr.net/npm/html2pdf.js@0.10.2/dist/html2pdf.bundle.min.js',
+    REPORT_PAGE_SIZE: 'a4', // 'a4' or 'letter'
+    
+    // Dashboard (see dashboard-widgets.js); layouts are kept per user in
+    // localStorage. Turn sync on once the backend serves dashboard/layout.
+    DASHBOARD_LAYOUT_KEY: 'alive_dashboard_layout',
+    DASHBOARD_LAYOUT_SYNC: false,
+    DASHBOARD_REFRESH_INTERVAL: 5 * 60 * 1000,
     
     // UI
     TOAST_DURATION: 3000,
     MODAL_FADE_DURATION: 150,
     DEBOUNCE_DELAY: 300,
     
-    // Date Formats
+    // Offline Queue
+    OFFLINE_QUEUE_ENABLED: true,
+    OFFLINE_DB_NAME: 'alive_offline',
+    OFFLINE_STORE_NAME: 'pending_requests',
+    
+    // Locale (see format.js). TIMEZONE null uses the browser's time zone;
+    // backend timestamps without an offset are read as UTC.
+    LOCALE: 'en-GH',
+    TIMEZONE: null,
+    
+    // Date Formats (tokens: Y y m n d j M F D l H G h g i s K; a backslash before a letter prints it as is)
     DATE_FORMAT: 'Y-m-d',
     DATETIME_FORMAT: 'Y-m-d H:i',
     DISPLAY_DATE_FORMAT: 'M d, Y',
@@ -41,37 +123,91 @@ const Config = {
         'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
     ],
     
+    // Phone numbers (see phone.js). `pattern` matches the national number
+    // without the trunk prefix; `groups` splits it for display.
+    PHONE_DEFAULT_COUNTRY: 'GH',
+    PHONE_DISPLAY: 'auto', // 'auto' (national for the default country), 'national' or 'international'
+    PHONE_COUNTRIES: {
+        GH: { name: 'Ghana', dialCode: '233', trunkPrefix: '0', pattern: /^[2-5]\d{8}$/, groups: [2, 3, 4] },
+        NG: { name: 'Nigeria', dialCode: '234', trunkPrefix: '0', pattern: /^[789][01]\d{8}$/, groups: [3, 3, 4] },
+        GB: { name: 'United Kingdom', dialCode: '44', trunkPrefix: '0', pattern: /^(7\d{9}|[123]\d{8,9})$/, groups: [4, 6] },
+        US: { name: 'United States', dialCode: '1', trunkPrefix: '', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, groups: [3, 3, 4] }
+    },
+    
     // Church Specific
-    GHANA_PHONE_REGEX: /^(\+?233|0)[2-5][0-9]{8}$/,
-    CURRENCY: 'GHS',
-    CURRENCY_SYMBOL: '₵',
+    CURRENCY: 'GHS', // Default ISO 4217 code; amounts in other currencies pass their own
+    // Letterhead on printed reports (empty lines are left out)
+    CHURCH: {
+        NAME: 'AliveChMS Church',
+        ADDRESS: '',
+        PHONE: '',
+        EMAIL: '',
+        WEBSITE: '',
+        LOGO_URL: '' // Absolute URL, or relative to the page; must allow CORS for PDFs
+    },
+    // Contribution receipts and giving statements (see statements.js)
+    RECEIPT_PREFIX: 'RCT-', // RCT-000123 (contribution ID)
+    STATEMENT_PREFIX: 'STM-', // STM-2025-00042 (year of the end date, member ID)
+    STATEMENT_NOTE: 'Thank you for your faithful giving. Please keep this statement for your records.',
     
-    // Permissions (should match backend)
+    // Permission names used by Auth::checkPermission() in routes/*.php.
+    // Which ones a user has comes from auth/permissions, not from here.
     PERMISSIONS: {
         VIEW_MEMBERS: 'view_members',
         EDIT_MEMBERS: 'edit_members',
         DELETE_MEMBERS: 'delete_members',
         CREATE_MEMBERS: 'create_members',
         
+        VIEW_FAMILIES: 'view_families',
+        MANAGE_FAMILIES: 'manage_families',
+        
         VIEW_CONTRIBUTION: 'view_contribution',
         CREATE_CONTRIBUTION: 'create_contribution',
         EDIT_CONTRIBUTION: 'edit_contribution',
         DELETE_CONTRIBUTION: 'delete_contribution',
         
+        VIEW_PLEDGES: 'view_pledges',
+        MANAGE_PLEDGES: 'manage_pledges',
+        RECORD_PLEDGE_PAYMENTS: 'record_pledge_payments',
+        
+        VIEW_EXPENSE: 'view_expense',
         VIEW_EXPENSES: 'view_expenses',
         CREATE_EXPENSE: 'create_expense',
         APPROVE_EXPENSES: 'approve_expenses',
+        CANCEL_EXPENSES: 'cancel_expenses',
+        MANAGE_EXPENSE_CATEGORIES: 'manage_expense_categories',
+        
+        VIEW_BUDGETS: 'view_budgets',
+        CREATE_BUDGETS: 'create_budgets',
+        EDIT_BUDGETS: 'edit_budgets',
+        SUBMIT_BUDGETS: 'submit_budgets',
+        APPROVE_BUDGETS: 'approve_budgets',
+        
+        VIEW_FISCAL_YEARS: 'view_fiscal_years',
+        MANAGE_FISCAL_YEARS: 'manage_fiscal_years',
         
         VIEW_EVENTS: 'view_events',
         MANAGE_EVENTS: 'manage_events',
         RECORD_ATTENDANCE: 'record_attendance',
         
+        VIEW_VOLUNTEERS: 'view_volunteers',
+        MANAGE_VOLUNTEERS: 'manage_volunteers',
+        ASSIGN_VOLUNTEERS: 'assign_volunteers',
+        MANAGE_VOLUNTEER_ROLES: 'manage_volunteer_roles',
+        
         VIEW_GROUPS: 'view_groups',
         MANAGE_GROUPS: 'manage_groups',
+        VIEW_GROUP_TYPES: 'view_group_types',
+        MANAGE_GROUP_TYPES: 'manage_group_types',
+        
+        VIEW_MEMBERSHIP_TYPES: 'view_membership_types',
+        MANAGE_MEMBERSHIP_TYPES: 'manage_membership_types',
         
         VIEW_FINANCIAL_REPORTS: 'view_financial_reports',
+        SEND_COMMUNICATION: 'send_communication',
         VIEW_DASHBOARD: 'view_dashboard',
         
+        VIEW_ROLES: 'view_roles',
         MANAGE_ROLES: 'manage_roles',
         MANAGE_PERMISSIONS: 'manage_permissions'
     },
@@ -186,11 +322,28 @@ const Config = {
     }
 };
 
+// Report lookups of permission keys that don't exist (e.g. a typo in a page)
+if (Config.DEBUG && typeof Proxy !== 'undefined') {
+    const permissions = Config.PERMISSIONS;
+    Config.PERMISSIONS = new Proxy(permissions, {
+        get(target, key) {
+            if (typeof key === 'string' && /^[A-Z_]+$/.test(key) && !(key in target)) {
+                Config.warn(`Unknown permission key: Config.PERMISSIONS.${key}`);
+            }
+            return target[key];
+        }
+    });
+}
+
 // Freeze config to prevent modifications
 Object.freeze(Config);
 Object.freeze(Config.PERMISSIONS);
 Object.freeze(Config.STATUS);
 Object.freeze(Config.CHART_COLORS);
+Object.freeze(Config.API_RETRY);
+Object.freeze(Config.API_CACHE_TTL);
+Object.freeze(Config.API_CACHE_DEPENDENCIES);
+Object.freeze(Config.IDLE_TIMEOUT_BY_ROLE);
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,659 @@
+/**
+ * AliveChMS Dashboard Widgets
+ *
+ * Registry and layout for dashboard cards. Each widget declares where its
+ * data comes from, the permission it needs and how to render it; the
+ * layout (order, width, hidden) can be rearranged by each user and is kept
+ * in localStorage per user, and synced to dashboard/layout when the
+ * backend provides it.
+ *
+ *   DashboardWidgets.registerSource('overview', options => resources.dashboard.overview(options));
+ *   DashboardWidgets.register({
+ *       id: 'upcoming-events',
+ *       title: 'Upcoming Events',
+ *       icon: 'calendar-event',
+ *       source: 'overview',
+ *       select: data => data.upcoming_events || [],
+ *       permission: Config.PERMISSIONS.VIEW_EVENTS,
+ *       size: 6,
+ *       render(body, events) { ... } // may return a cleanup function
+ *   });
+ *   await DashboardWidgets.init('#dashboardWidgets', { tray: '#dashboardWidgetTray' });
+ *   DashboardWidgets.refresh();
+ * @version 1.0.0
+ */
+
+const DashboardWidgets = {
+    
+    /**
+     * Widget widths (Bootstrap columns on large screens) and their labels
+     */
+    sizes: {
+        3: 'Small',
+        4: 'Medium',
+        6: 'Half width',
+        8: 'Large',
+        12: 'Full width'
+    },
+    
+    /**
+     * Layout record format, bumped when the saved shape changes
+     */
+    layoutVersion: 1,
+    
+    /**
+     * Registered widgets by ID, in default order
+     */
+    widgets: new Map(),
+    
+    /**
+     * Data sources by name: fn(options) returning a promise
+     */
+    sources: {},
+    
+    /**
+     * Latest result per source ({ data } or { error })
+     */
+    results: new Map(),
+    
+    /**
+     * Cleanup functions returned by widget renderers
+     */
+    cleanups: new Map(),
+    
+    /**
+     * Current layout: [{ id, size, hidden }] in display order
+     */
+    layout: [],
+    
+    /**
+     * Widget container and hidden-widget tray
+     */
+    container: null,
+    tray: null,
+    
+    /**
+     * Layout editing state
+     */
+    editing: false,
+    dragged: null,
+    
+    /**
+     * Whether dashboard/layout exists on the backend (false after a 404)
+     */
+    remoteAvailable: false,
+    
+    /**
+     * Debounced remote save
+     */
+    pushLayout: null,
+    
+    /**
+     * Register a data source
+     * @param {string} name - Source name used by widgets
+     * @param {Function} fetch - fn({ forceRefresh }) returning a promise of data
+     */
+    registerSource(name, fetch) {
+        this.sources[name] = fetch;
+    },
+    
+    /**
+     * Register a widget
+     * @param {Object} widget - Widget definition
+     * @param {string} widget.id - Unique ID (kept in saved layouts)
+     * @param {string} widget.title - Card title
+     * @param {string} widget.icon - Bootstrap icon name
+     * @param {string} widget.source - Data source name (omit for static widgets)
+     * @param {Function} widget.select - fn(sourceData) picking the widget's data
+     * @param {string|Array<string>} widget.permission - Required permission (any of, for an array)
+     * @param {number} widget.size - Default width (a key of sizes)
+     * @param {Array<number>} widget.sizes - Widths offered when resizing
+     * @param {boolean} widget.hidden - Hidden until the user adds it
+     * @param {boolean} widget.header - Show the card header (default true)
+     * @param {string} widget.cardClass - Extra classes for the card
+     * @param {string} widget.headerHtml - Extra header content (links, badges)
+     * @param {Function} widget.render - fn(body, data, element); may return a cleanup function
+     */
+    register(widget) {
+        if (!widget.id || typeof widget.render !== 'function') {
+            throw new Error('Widgets need an id and a render function');
+        }
+        
+        this.widgets.set(widget.id, {
+            icon: 'grid',
+            select: data => data,
+            size: 6,
+            sizes: [4, 6, 8, 12],
+            header: true,
+            cardClass: '',
+            headerHtml: '',
+            ...widget
+        });
+    },
+    
+    /**
+     * Check if the current user may see a widget
+     * @param {Object} widget - Widget definition
+     * @returns {boolean} Allowed or not
+     */
+    isAllowed(widget) {
+        if (!widget.permission) return true;
+        return Array.isArray(widget.permission)
+            ? Auth.hasAnyPermission(widget.permission)
+            : Auth.hasPermission(widget.permission);
+    },
+    
+    /**
+     * Get the layout every user starts with
+     * @returns {Array<Object>} Layout
+     */
+    defaultLayout() {
+        return [...this.widgets.values()].map(widget => ({
+            id: widget.id,
+            size: widget.size,
+            hidden: Boolean(widget.hidden)
+        }));
+    },
+    
+    /**
+     * Reconcile a saved layout with the registered widgets
+     * Unknown widgets are dropped, new ones are added at the end and sizes a
+     * widget no longer offers fall back to its default.
+     * @param {Array<Object>} saved - Saved layout
+     * @returns {Array<Object>} Layout
+     */
+    normalize(saved) {
+        const layout = [];
+        const seen = new Set();
+        
+        (Array.isArray(saved) ? saved : []).forEach(entry => {
+            const widget = this.widgets.get(entry?.id);
+            if (!widget || seen.has(widget.id)) return;
+            
+            seen.add(widget.id);
+            layout.push({
+                id: widget.id,
+                size: widget.sizes.includes(Number(entry.size)) ? Number(entry.size) : widget.size,
+                hidden: Boolean(entry.hidden)
+            });
+        });
+        
+        this.defaultLayout().forEach(entry => {
+            if (!seen.has(entry.id)) layout.push(entry);
+        });
+        
+        return layout;
+    },
+    
+    /**
+     * Get the localStorage key of the signed-in user's layout
+     * @returns {string} Key
+     */
+    storageKey() {
+        return `${Config.DASHBOARD_LAYOUT_KEY}:${Auth.getUser()?.MbrID ?? 'guest'}`;
+    },
+    
+    /**
+     * Read a layout record ({ version, updatedAt, widgets })
+     * @param {*} record - Parsed record
+     * @returns {Object|null} Record, or null if unusable
+     */
+    parseRecord(record) {
+        if (!record || record.version !== this.layoutVersion || !Array.isArray(record.widgets)) return null;
+        return { version: record.version, updatedAt: Number(record.updatedAt) || 0, widgets: record.widgets };
+    },
+    
+    /**
+     * Read the locally saved layout
+     * @returns {Object|null} Layout record
+     */
+    readLocal() {
+        try {
+            return this.parseRecord(JSON.parse(localStorage.getItem(this.storageKey())));
+        } catch (error) {
+            return null;
+        }
+    },
+    
+    /**
+     * Fetch the layout saved on the backend
+     * A 404 means the endpoint doesn't exist: sync is off for this page load.
+     * @returns {Promise<Object|null>} Layout record
+     */
+    async fetchRemote() {
+        if (!this.remoteAvailable) return null;
+        
+        try {
+            const response = await resources.dashboard.layout({ cache: false });
+            return this.parseRecord(response?.layout);
+        } catch (error) {
+            if (error instanceof APIError && error.is(404)) {
+                this.remoteAvailable = false;
+            }
+            Config.warn('Dashboard layout not loaded from the server:', error.message);
+            return null;
+        }
+    },
+    
+    /**
+     * Load the user's layout (the newer of the local and the server copy)
+     * @returns {Promise<Array<Object>>} Layout
+     */
+    async loadLayout() {
+        const local = this.readLocal();
+        const remote = await this.fetchRemote();
+        const record = remote && (!local || remote.updatedAt > local.updatedAt) ? remote : local;
+        
+        if (record && record === remote) {
+            localStorage.setItem(this.storageKey(), JSON.stringify(record));
+        }
+        
+        return this.normalize(record ? record.widgets : this.defaultLayout());
+    },
+    
+    /**
+     * Save the layout locally, then to the server (debounced)
+     */
+    save() {
+        const record = { version: this.layoutVersion, updatedAt: Date.now(), widgets: this.layout };
+        localStorage.setItem(this.storageKey(), JSON.stringify(record));
+        
+        if (this.remoteAvailable) this.pushLayout(record);
+    },
+    
+    /**
+     * Send a layout record to the server
+     * @param {Object} record - Layout record
+     */
+    async saveRemote(record) {
+        try {
+            await resources.dashboard.saveLayout(record, { offlineQueue: false });
+        } catch (error) {
+            if (error instanceof APIError && error.is(404)) {
+                this.remoteAvailable = false;
+            }
+            // The local copy is kept; the next change tries again
+            Config.warn('Dashboard layout not saved to the server:', error.message);
+        }
+    },
+    
+    /**
+     * Load the layout and draw the widgets (without data; see refresh())
+     * @param {string|HTMLElement} container - Widget row (selector or element)
+     * @param {Object} options - Options
+     * @param {string|HTMLElement} options.tray - Element listing hidden widgets while editing
+     */
+    async init(container, options = {}) {
+        const find = target => typeof target === 'string' ? document.querySelector(target) : target;
+        this.container = find(container);
+        this.tray = options.tray ? find(options.tray) : null;
+        this.remoteAvailable = Config.DASHBOARD_LAYOUT_SYNC;
+        this.pushLayout = Utils.debounce(record => this.saveRemote(record), 1000);
+        
+        this.layout = await this.loadLayout();
+        this.bindEvents();
+        this.render();
+    },
+    
+    /**
+     * Listen for toolbar, tray and drag events (delegated)
+     */
+    bindEvents() {
+        this.container.addEventListener('click', event => {
+            const button = event.target.closest('[data-widget-action]');
+            if (!button) return;
+            
+            const id = button.closest('[data-widget]').dataset.widget;
+            switch (button.dataset.widgetAction) {
+                case 'earlier':
+                    this.moveBy(id, -1);
+                    break;
+                case 'later':
+                    this.moveBy(id, 1);
+                    break;
+                case 'hide':
+                    this.hide(id);
+                    break;
+            }
+        });
+        
+        this.container.addEventListener('change', event => {
+            if (event.target.matches('[data-widget-size]')) {
+                this.resize(event.target.closest('[data-widget]').dataset.widget, Number(event.target.value));
+            }
+        });
+        
+        if (this.tray) {
+            this.tray.addEventListener('click', event => {
+                const button = event.target.closest('[data-widget-restore]');
+                if (button) this.restore(button.dataset.widgetRestore);
+            });
+        }
+        
+        this.container.addEventListener('dragstart', event => {
+            const element = event.target.closest('[data-widget]');
+            if (!this.editing || !element) return;
+            
+            this.dragged = element.dataset.widget;
+            element.classList.add('dragging');
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', this.dragged);
+        });
+        
+        this.container.addEventListener('dragover', event => {
+            const target = event.target.closest('[data-widget]');
+            if (!this.dragged || !target || target.dataset.widget === this.dragged) return;
+            
+            event.preventDefault();
+            const after = this.isAfter(event, target);
+            this.clearDropMarkers();
+            target.classList.add(after ? 'drop-after' : 'drop-before');
+        });
+        
+        this.container.addEventListener('drop', event => {
+            const target = event.target.closest('[data-widget]');
+            if (!this.dragged || !target) return;
+            
+            event.preventDefault();
+            const ids = this.layout.map(entry => entry.id).filter(id => id !== this.dragged);
+            const index = ids.indexOf(target.dataset.widget) + (this.isAfter(event, target) ? 1 : 0);
+            this.move(this.dragged, index);
+        });
+        
+        this.container.addEventListener('dragend', () => {
+            this.container.querySelector('.dragging')?.classList.remove('dragging');
+            this.clearDropMarkers();
+            this.dragged = null;
+        });
+    },
+    
+    /**
+     * Check if a drop lands after a widget (right half of it)
+     * @param {DragEvent} event - Drag event
+     * @param {HTMLElement} target - Widget element
+     * @returns {boolean} After or before
+     */
+    isAfter(event, target) {
+        const rect = target.getBoundingClientRect();
+        return event.clientX > rect.left + rect.width / 2;
+    },
+    
+    /**
+     * Remove drop position markers
+     */
+    clearDropMarkers() {
+        this.container.querySelectorAll('.drop-before, .drop-after').forEach(el => {
+            el.classList.remove('drop-before', 'drop-after');
+        });
+    },
+    
+    /**
+     * Get the layout entries the user can see
+     * @returns {Array<Object>} Visible entries, in order
+     */
+    visibleEntries() {
+        return this.layout.filter(entry => !entry.hidden && this.isAllowed(this.widgets.get(entry.id)));
+    },
+    
+    /**
+     * Draw the widget frames and the hidden-widget tray
+     * Widgets that already have data are rendered straight away.
+     */
+    render() {
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups.clear();
+        
+        this.container.classList.toggle('dashboard-editing', this.editing);
+        this.container.innerHTML = '';
+        
+        this.visibleEntries().forEach(entry => {
+            const widget = this.widgets.get(entry.id);
+            this.container.appendChild(this.frame(widget, entry));
+            if (!widget.source || this.results.has(widget.source)) {
+                this.renderWidget(widget);
+            }
+        });
+        
+        this.renderTray();
+    },
+    
+    /**
+     * Build a widget's card
+     * @param {Object} widget - Widget definition
+     * @param {Object} entry - Layout entry
+     * @returns {HTMLElement} Column element
+     */
+    frame(widget, entry) {
+        const column = document.createElement('div');
+        column.className = `col-lg-${entry.size} col-md-${Math.max(entry.size, 6)} col-12 mb-4 dashboard-widget`;
+        column.id = `widget-${widget.id}`;
+        column.dataset.widget = widget.id;
+        column.draggable = this.editing;
+        
+        const title = Utils.escapeHtml(widget.title);
+        const sizeOptions = widget.sizes
+            .map(size => `<option value="${size}"${size === entry.size ? ' selected' : ''}>${this.sizes[size] || size}</option>`)
+            .join('');
+        const toolbar = `
+            <div class="widget-toolbar">
+                <i class="bi bi-grip-vertical widget-handle" title="Drag to move"></i>
+                <button type="button" class="btn btn-sm btn-light" data-widget-action="earlier" title="Move earlier" aria-label="Move ${title} earlier">
+                    <i class="bi bi-arrow-left"></i>
+                </button>
+                <button type="button" class="btn btn-sm btn-light" data-widget-action="later" title="Move later" aria-label="Move ${title} later">
+                    <i class="bi bi-arrow-right"></i>
+                </button>
+                ${widget.sizes.length > 1 ? `<select class="form-select form-select-sm" data-widget-size aria-label="Width of ${title}">${sizeOptions}</select>` : ''}
+                <button type="button" class="btn btn-sm btn-light" data-widget-action="hide" title="Hide" aria-label="Hide ${title}">
+                    <i class="bi bi-eye-slash"></i>
+                </button>
+            </div>`;
+            
+        column.innerHTML = `
+            <div class="card h-100 ${widget.cardClass}">
+                ${widget.header ? `
+                <div class="card-header d-flex justify-content-between align-items-center">
+                    <h5 class="mb-0">${title}</h5>
+                    <div class="d-flex align-items-center gap-2">
+                        <span class="widget-header-extra">${widget.headerHtml}</span>
+                        ${toolbar}
+                    </div>
+                </div>` : toolbar}
+                <div class="card-body" data-widget-body>
+                    <div class="text-center py-3">
+                        <div class="spinner-border spinner-border-sm text-primary"></div>
+                    </div>
+                </div>
+            </div>`;
+            
+        return column;
+    },
+    
+    /**
+     * List hidden widgets the user can add back
+     */
+    renderTray() {
+        if (!this.tray) return;
+        
+        const hidden = this.layout.filter(entry => entry.hidden && this.isAllowed(this.widgets.get(entry.id)));
+        this.tray.classList.toggle('d-none', !this.editing);
+        this.tray.innerHTML = hidden.length
+            ? `<span class="text-muted me-2">Hidden widgets:</span>` + hidden.map(entry => {
+                const widget = this.widgets.get(entry.id);
+                return `
+                    <button type="button" class="btn btn-sm btn-outline-secondary me-2 mb-2" data-widget-restore="${widget.id}">
+                        <i class="bi bi-${widget.icon} me-1"></i>${Utils.escapeHtml(widget.title)}
+                        <i class="bi bi-plus-lg ms-1"></i>
+                    </button>`;
+            }).join('')
+            : '<span class="text-muted">All widgets are shown. Hide one to remove it from your dashboard.</span>';
+    },
+    
+    /**
+     * Render a widget from the latest data of its source
+     * @param {Object} widget - Widget definition
+     */
+    renderWidget(widget) {
+        const element = this.container.querySelector(`[data-widget="${widget.id}"]`);
+        if (!element) return;
+        
+        const body = element.querySelector('[data-widget-body]');
+        this.cleanups.get(widget.id)?.();
+        this.cleanups.delete(widget.id);
+        
+        const result = widget.source ? this.results.get(widget.source) : { data: null };
+        if (result.error) {
+            body.innerHTML = `
+                <div class="text-center text-muted py-3">
+                    <i class="bi bi-exclamation-triangle fs-3"></i>
+                    <p class="mb-0 mt-2">Couldn't load this widget</p>
+                </div>`;
+            return;
+        }
+        
+        try {
+            const cleanup = widget.render(body, widget.select(result.data), element);
+            if (typeof cleanup === 'function') this.cleanups.set(widget.id, cleanup);
+        } catch (error) {
+            Config.error(`Dashboard widget ${widget.id} failed to render:`, error);
+            body.innerHTML = '<p class="text-muted text-center py-3 mb-0">This widget could not be displayed</p>';
+        }
+    },
+    
+    /**
+     * Fetch the data of the visible widgets and render them
+     * Each source is fetched once, however many widgets use it.
+     * @param {boolean} forceRefresh - Bypass the response cache
+     * @returns {Promise<void>} Resolves when all widgets are rendered
+     */
+    async refresh(forceRefresh = false) {
+        const visible = this.visibleEntries().map(entry => this.widgets.get(entry.id));
+        const names = [...new Set(visible.map(widget => widget.source).filter(Boolean))];
+        
+        await Promise.all(names.map(name => this.loadSource(name, forceRefresh)));
+        visible.forEach(widget => this.renderWidget(widget));
+    },
+    
+    /**
+     * Fetch a data source and keep its result
+     * @param {string} name - Source name
+     * @param {boolean} forceRefresh - Bypass the response cache
+     * @returns {Promise<void>} Resolves when fetched (errors are kept, not thrown)
+     */
+    async loadSource(name, forceRefresh = false) {
+        const fetch = this.sources[name];
+        
+        try {
+            if (!fetch) throw new Error(`Unknown dashboard data source: ${name}`);
+            this.results.set(name, { data: await fetch({ forceRefresh }) });
+        } catch (error) {
+            Config.error(`Dashboard source ${name} failed:`, error);
+            this.results.set(name, { error });
+        }
+    },
+    
+    /**
+     * Turn layout editing on or off
+     * @param {boolean} editing - Editing or not
+     */
+    setEditing(editing) {
+        this.editing = Boolean(editing);
+        this.render();
+    },
+    
+    /**
+     * Apply a layout change: save and redraw
+     */
+    update() {
+        this.save();
+        this.render();
+    },
+    
+    /**
+     * Move a widget to a position among all widgets
+     * @param {string} id - Widget ID
+     * @param {number} index - New position
+     */
+    move(id, index) {
+        const entry = this.layout.find(item => item.id === id);
+        if (!entry) return;
+        
+        const rest = this.layout.filter(item => item !== entry);
+        rest.splice(Math.max(0, Math.min(index, rest.length)), 0, entry);
+        this.layout = rest;
+        this.update();
+    },
+    
+    /**
+     * Move a widget past its visible neighbour
+     * @param {string} id - Widget ID
+     * @param {number} delta - -1 (earlier) or 1 (later)
+     */
+    moveBy(id, delta) {
+        const visible = this.visibleEntries();
+        const position = visible.findIndex(entry => entry.id === id);
+        const neighbour = visible[position + delta];
+        if (position === -1 || !neighbour) return;
+        
+        const ids = this.layout.map(entry => entry.id).filter(item => item !== id);
+        this.move(id, ids.indexOf(neighbour.id) + (delta > 0 ? 1 : 0));
+        this.container.querySelector(`[data-widget="${id}"] [data-widget-action="${delta > 0 ? 'later' : 'earlier'}"]`)?.focus();
+    },
+    
+    /**
+     * Change a widget's width
+     * @param {string} id - Widget ID
+     * @param {number} size - Width (one of the widget's sizes)
+     */
+    resize(id, size) {
+        const entry = this.layout.find(item => item.id === id);
+        if (!entry || !this.widgets.get(id).sizes.includes(size)) return;
+        
+        entry.size = size;
+        this.update();
+    },
+    
+    /**
+     * Hide a widget
+     * @param {string} id - Widget ID
+     */
+    hide(id) {
+        const entry = this.layout.find(item => item.id === id);
+        if (!entry) return;
+        
+        entry.hidden = true;
+        this.update();
+    },
+    
+    /**
+     * Show a hidden widget again, fetching its data if needed
+     * @param {string} id - Widget ID
+     */
+    async restore(id) {
+        const entry = this.layout.find(item => item.id === id);
+        if (!entry) return;
+        
+        entry.hidden = false;
+        this.update();
+        
+        const widget = this.widgets.get(id);
+        if (widget.source && !this.results.has(widget.source)) {
+            await this.loadSource(widget.source);
+            this.renderWidget(widget);
+        }
+    },
+    
+    /**
+     * Go back to the default layout
+     */
+    async reset() {
+        this.layout = this.defaultLayout();
+        this.update();
+        await this.refresh();
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DashboardWidgets;
+}
\ No newline at end of file
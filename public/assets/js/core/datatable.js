@@ -0,0 +1,124 @@
+/**
+ * AliveChMS DataTables Adapter
+ *
+ * Connects DataTables' serverSide mode to the backend's paginated
+ * list endpoints (page/limit in, { data, pagination } out)
+ * @version 1.0.0
+ */
+
+const DataTableAdapter = {
+    
+    /**
+     * Endpoint, adapter options and last draw request of each server-side
+     * table, keyed by <table> element (used by Exporter to fetch every page)
+     */
+    sources: new WeakMap(),
+    
+    /**
+     * Translate a DataTables draw request into backend query params
+     * @param {Object} data - DataTables request (draw, start, length, order, search, columns)
+     * @param {Object} options - Adapter options (see ajax())
+     * @returns {Object} Query params
+     */
+    toParams(data, options = {}) {
+        const length = data.length > 0 ? data.length : Config.MAX_PAGE_SIZE;
+        const limit = Math.min(length, Config.MAX_PAGE_SIZE);
+        
+        const params = {
+            page: Math.floor((data.start || 0) / limit) + 1,
+            limit
+        };
+        
+        const search = data.search?.value?.trim();
+        if (options.searchParam && search) {
+            params[options.searchParam] = search;
+        }
+        
+        const order = data.order?.[0];
+        const column = order ? data.columns?.[order.column] : null;
+        const sortBy = column ? (column.name || column.data) : null;
+        if (options.sortParam && sortBy && typeof sortBy === 'string') {
+            params[options.sortParam] = sortBy;
+            params[options.orderParam || 'order'] = order.dir === 'desc' ? 'desc' : 'asc';
+        }
+        
+        const extra = typeof options.params === 'function' ? options.params(data) : options.params;
+        return { ...params, ...(extra || {}) };
+    },
+    
+    /**
+     * Map a backend paginated response to the shape DataTables expects
+     * @param {Object} response - Backend response ({ data, pagination })
+     * @param {number} draw - DataTables draw counter
+     * @param {Function} dataSrc - Optional row extractor
+     * @returns {Object} DataTables response
+     */
+    toResponse(response, draw, dataSrc = null) {
+        const rows = dataSrc ? dataSrc(response) : (response?.data || []);
+        const total = response?.pagination?.total ?? rows.length;
+        
+        return {
+            draw,
+            data: rows,
+            recordsTotal: total,
+            recordsFiltered: total
+        };
+    },
+    
+    /**
+     * Build a DataTables `ajax` function for a paginated endpoint
+     * Requests go through api.get(), so auth headers, token refresh and
+     * retries apply. A newer draw cancels the previous one.
+     * The last draw request is kept in `sources` for the table.
+     * @param {string} endpoint - List endpoint (e.g. 'member/all')
+     * @param {Object} options - Adapter options
+     * @param {Object|Function} options.params - Extra filters (or fn(data) returning them)
+     * @param {string} options.searchParam - Query param for the search box (omit if unsupported)
+     * @param {string} options.sortParam - Query param for the sort column (omit if unsupported)
+     * @param {string} options.orderParam - Query param for the sort direction (default 'order')
+     * @param {Function} options.dataSrc - Extract rows from the response
+     * @returns {Function} DataTables ajax function
+     */
+    ajax(endpoint, options = {}) {
+        const group = `datatable:${endpoint}`;
+        
+        return (data, callback, settings) => {
+            const params = this.toParams(data, options);
+            if (settings?.nTable) {
+                this.sources.set(settings.nTable, { endpoint, options, data });
+            }
+            
+            api.get(endpoint, params, { latest: group })
+                .then(response => callback(this.toResponse(response, data.draw, options.dataSrc)))
+                .catch(error => {
+                    // Superseded by a newer draw - that one will call back
+                    if (error instanceof APIError && error.isCancelled()) return;
+                    
+                    Alerts.handleApiError(error, 'Failed to load table data');
+                    callback(this.toResponse({ data: [] }, data.draw));
+                });
+        };
+    },
+    
+    /**
+     * DataTables options for server-side mode
+     * @param {string} endpoint - List endpoint
+     * @param {Object} options - Adapter options (see ajax())
+     * @returns {Object} Options to spread into $(...).DataTable({...})
+     */
+    options(endpoint, options = {}) {
+        return {
+            serverSide: true,
+            processing: true,
+            searching: !!options.searchParam,
+            ordering: !!options.sortParam,
+            lengthMenu: Config.PAGE_SIZE_OPTIONS,
+            ajax: this.ajax(endpoint, options)
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataTableAdapter;
+}
\ No newline at end of file
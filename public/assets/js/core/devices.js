@@ -0,0 +1,127 @@
+/**
+ * AliveChMS Signed-in Devices
+ *
+ * Lists the devices (refresh-token sessions) the user is signed in on
+ * and lets them sign any of them out
+ * @version 1.0.0
+ */
+
+const DeviceSessions = {
+    
+    /**
+     * Sessions currently shown
+     */
+    sessions: [],
+    
+    /**
+     * Turn a user agent into a short label
+     * @param {string} userAgent - User agent string
+     * @returns {string} Label (e.g. "Chrome on Windows")
+     */
+    describeDevice(userAgent = '') {
+        const browsers = [
+            ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+            ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+        ];
+        const systems = [
+            ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/],
+            ['macOS', /Mac OS X/], ['Linux', /Linux/]
+        ];
+        
+        const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+        const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+        
+        if (browser && system) return `${browser} on ${system}`;
+        return browser || system || 'Unknown device';
+    },
+    
+    /**
+     * Render the session list
+     * @param {Array<Object>} sessions - Sessions from Auth.getSessions()
+     * @returns {string} HTML
+     */
+    render(sessions) {
+        if (sessions.length === 0) {
+            return '<p class="text-muted mb-0">No active sessions.</p>';
+        }
+        
+        const items = sessions.map(session => `
+            <li class="list-group-item d-flex justify-content-between align-items-center gap-3 text-start">
+                <div>
+                    <div class="fw-semibold">
+                        ${Utils.escapeHtml(this.describeDevice(session.device))}
+                        ${session.current ? '<span class="badge bg-success ms-1">This device</span>' : ''}
+                    </div>
+                    <small class="text-muted">
+                        ${Utils.escapeHtml(session.ip || 'Unknown IP')} &middot;
+                        Active ${Utils.escapeHtml(Utils.timeAgo(session.last_active))} &middot;
+                        ${session.remember ? 'Remembered' : 'Until browser closes'}
+                    </small>
+                </div>
+                <button type="button" class="btn btn-sm btn-outline-danger" data-session-id="${Utils.escapeHtml(session.id)}">
+                    Sign out
+                </button>
+            </li>`).join('');
+            
+        return `<ul class="list-group">${items}</ul>`;
+    },
+    
+    /**
+     * Sign out one session from the open list
+     * @param {HTMLElement} button - Clicked button
+     */
+    async revoke(button) {
+        const session = this.sessions.find(item => item.id === button.dataset.sessionId);
+        if (!session) return;
+        
+        button.disabled = true;
+        
+        try {
+            await Auth.revokeSession(session);
+            
+            this.sessions = this.sessions.filter(item => item.id !== session.id);
+            const container = Swal.getHtmlContainer();
+            if (container) {
+                container.innerHTML = this.render(this.sessions);
+            }
+            Alerts.success('Device signed out');
+        } catch (error) {
+            button.disabled = false;
+            Alerts.handleApiError(error, 'Failed to sign out device');
+        }
+    },
+    
+    /**
+     * Show the signed-in devices dialog
+     */
+    async show() {
+        try {
+            Alerts.loading('Loading devices...');
+            this.sessions = await Auth.getSessions();
+            Alerts.closeLoading();
+        } catch (error) {
+            Alerts.closeLoading();
+            Alerts.handleApiError(error, 'Failed to load signed-in devices');
+            return;
+        }
+        
+        await Swal.fire({
+            title: 'Signed-in Devices',
+            html: this.render(this.sessions),
+            width: 600,
+            confirmButtonText: 'Close',
+            confirmButtonColor: Config.SWAL_CONFIG.confirmButtonColor,
+            didOpen: () => {
+                Swal.getHtmlContainer().addEventListener('click', event => {
+                    const button = event.target.closest('[data-session-id]');
+                    if (button) this.revoke(button);
+                });
+            }
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeviceSessions;
+}
\ No newline at end of file
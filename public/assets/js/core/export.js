@@ -0,0 +1,317 @@
+/**
+ * AliveChMS Export
+ *
+ * Exports a DataTable, or every page of a list endpoint, to CSV (RFC 4180)
+ * or Excel (.xlsx). Server-side tables are re-fetched page by page with
+ * their current filters and sort; only visible columns are exported.
+ *
+ * Columns are { title, data, type, format, currency } where data is a
+ * row key ('a.b' for nested values) or fn(row), and type is one of
+ * text (default), number, currency, date, datetime or phone.
+ *
+ *   Exporter.exportTable(membersTable, 'csv', {
+ *       filename: 'members',
+ *       columns: { full_name: { data: row => `${row.MbrFirstName} ${row.MbrFamilyName}` } }
+ *   });
+ * @version 1.0.0
+ */
+
+const Exporter = {
+    
+    /**
+     * Upper bound on pages fetched for one export
+     */
+    maxPages: 1000,
+    
+    /**
+     * Pending load of the SheetJS library
+     */
+    xlsxLoader: null,
+    
+    /**
+     * Fetch every page of a paginated list endpoint
+     * @param {string|ResourceClient} source - Endpoint (e.g. 'member/all') or resource client
+     * @param {Object} params - Filters and sort params
+     * @param {Object} options - Options
+     * @param {Function} options.dataSrc - Extract rows from a response
+     * @param {Function} options.onProgress - Called with (fetched, total)
+     * @returns {Promise<Array<Object>>} All rows
+     */
+    async fetchAll(source, params = {}, options = {}) {
+        const endpoint = typeof source === 'string' ? source : source.path('all');
+        const limit = Config.MAX_PAGE_SIZE;
+        const rows = [];
+        
+        for (let page = 1; page <= this.maxPages; page++) {
+            const response = await api.get(endpoint, { ...params, page, limit }, { cache: false });
+            const data = options.dataSrc ? options.dataSrc(response) : (response?.data || []);
+            rows.push(...data);
+            
+            if (options.onProgress) {
+                options.onProgress(rows.length, response?.pagination?.total ?? rows.length);
+            }
+            
+            const pages = response?.pagination?.pages;
+            if (data.length < limit || (pages && page >= pages)) break;
+        }
+        
+        return rows;
+    },
+    
+    /**
+     * Read a value from a row
+     * @param {Object} row - Row
+     * @param {string|Function} data - Key ('a.b' for nested) or fn(row)
+     * @returns {*} Value
+     */
+    getValue(row, data) {
+        if (typeof data === 'function') return data(row);
+        return String(data).split('.').reduce((value, key) => value?.[key], row);
+    },
+    
+    /**
+     * Format a cell for export
+     * @param {Object} row - Row
+     * @param {Object} column - Column definition
+     * @returns {string|number} Cell value
+     */
+    formatCell(row, column) {
+        const value = this.getValue(row, column.data);
+        if (value === null || value === undefined || value === '') return '';
+        
+        switch (column.type) {
+            case 'number':
+                return isNaN(Number(value)) ? String(value) : Number(value);
+            case 'currency': {
+                const currency = typeof column.currency === 'function' ? column.currency(row) : column.currency;
+                return Utils.formatCurrency(value, currency || Config.CURRENCY);
+            }
+            case 'date':
+                return Utils.formatDate(value, column.format || Config.DISPLAY_DATE_FORMAT);
+            case 'datetime':
+                return Format.dateTime(value, column.format || Config.DISPLAY_DATETIME_FORMAT);
+            case 'phone':
+                return Utils.formatPhone(value);
+            default:
+                return String(value);
+        }
+    },
+    
+    /**
+     * Neutralise text a spreadsheet would run as a formula (CSV injection)
+     * Values starting with = + - @ tab or CR get a leading apostrophe.
+     * @param {*} value - Cell value
+     * @returns {*} Safe value
+     */
+    guardFormula(value) {
+        return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    },
+    
+    /**
+     * Build the header and body of an export
+     * @param {Array<Object>} rows - Rows
+     * @param {Array<Object>} columns - Column definitions
+     * @param {boolean} guard - Apply guardFormula() to text cells (CSV)
+     * @returns {Array<Array>} Header row followed by data rows
+     */
+    toMatrix(rows, columns, guard = false) {
+        return [
+            columns.map(column => column.title),
+            ...rows.map(row => columns.map(column => {
+                const value = this.formatCell(row, column);
+                // Only free text can carry a formula; generated money/dates/numbers are safe
+                const generated = ['number', 'currency', 'date', 'datetime'].includes(column.type);
+                return guard && !generated ? this.guardFormula(value) : value;
+            }))
+        ];
+    },
+    
+    /**
+     * Serialise rows to RFC 4180 CSV
+     * @param {Array<Array>} matrix - Rows of cells (see toMatrix())
+     * @returns {string} CSV text (CRLF line endings)
+     */
+    toCsv(matrix) {
+        const quote = value => {
+            const text = String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        return matrix.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+    },
+    
+    /**
+     * Load SheetJS on first use
+     * @returns {Promise<Object>} XLSX global
+     */
+    loadXlsx() {
+        if (typeof XLSX !== 'undefined') return Promise.resolve(XLSX);
+        
+        if (!this.xlsxLoader) {
+            this.xlsxLoader = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = Config.XLSX_LIBRARY_URL;
+                script.onload = () => resolve(XLSX);
+                script.onerror = () => {
+                    this.xlsxLoader = null;
+                    script.remove();
+                    reject(new Error('Failed to load the Excel export library'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        
+        return this.xlsxLoader;
+    },
+    
+    /**
+     * Serialise rows to an .xlsx workbook
+     * Cells are written as typed values, never as formulas.
+     * @param {Array<Array>} matrix - Rows of cells (see toMatrix())
+     * @param {string} sheetName - Worksheet name
+     * @returns {Promise<ArrayBuffer>} Workbook
+     */
+    async toXlsx(matrix, sheetName = 'Sheet1') {
+        const xlsx = await this.loadXlsx();
+        
+        const sheet = xlsx.utils.aoa_to_sheet(matrix);
+        sheet['!cols'] = matrix[0].map((title, index) => ({
+            wch: Math.min(50, matrix.reduce((width, row) => Math.max(width, String(row[index] ?? '').length), 8) + 2)
+        }));
+        
+        const book = xlsx.utils.book_new();
+        // Excel limits sheet names to 31 characters and forbids []:*?/\
+        xlsx.utils.book_append_sheet(book, sheet, sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+        
+        return xlsx.write(book, { bookType: 'xlsx', type: 'array' });
+    },
+    
+    /**
+     * Download rows as a file
+     * @param {Array<Object>} rows - Rows
+     * @param {Array<Object>} columns - Column definitions
+     * @param {string} format - 'csv' or 'xlsx'
+     * @param {string} filename - File name without extension (today's date is appended)
+     */
+    async download(rows, columns, format = 'csv', filename = 'export') {
+        const matrix = this.toMatrix(rows, columns, format !== 'xlsx');
+        const name = `${filename}-${Format.date(new Date(), 'Y-m-d')}`;
+        
+        if (format === 'xlsx') {
+            const data = await this.toXlsx(matrix, filename);
+            Utils.downloadFile(data, `${name}.xlsx`, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            return;
+        }
+        
+        // BOM so Excel opens the file as UTF-8
+        Utils.downloadFile('\uFEFF' + this.toCsv(matrix), `${name}.csv`, 'text/csv;charset=utf-8');
+    },
+    
+    /**
+     * Get the export columns of a DataTable
+     * Visible columns with a data key are exported as is; overrides are
+     * looked up by the column's `name`, then its data key, and `false`
+     * leaves a column out. Columns without data (actions, rendered-only)
+     * need an override with `data`.
+     * @param {DataTable} table - DataTables API instance
+     * @param {Object} overrides - Column overrides by name or data key
+     * @returns {Array<Object>} Column definitions
+     */
+    tableColumns(table, overrides = {}) {
+        const columns = [];
+        
+        table.settings()[0].aoColumns.forEach((setting, index) => {
+            if (!table.column(index).visible()) return;
+            
+            const key = typeof setting.mData === 'string' ? setting.mData : null;
+            const override = overrides[setting.sName] ?? (key ? overrides[key] : undefined);
+            if (override === false) return;
+            
+            const column = {
+                title: table.column(index).header().textContent.trim(),
+                data: key,
+                ...(override || {})
+            };
+            if (column.data !== null && column.data !== undefined) {
+                columns.push(column);
+            }
+        });
+        
+        return columns;
+    },
+    
+    /**
+     * Get the rows of a DataTable with its current filters and sort
+     * Server-side tables are fetched from their endpoint page by page.
+     * @param {DataTable} table - DataTables API instance
+     * @param {Object} options - fetchAll() options
+     * @returns {Promise<Array<Object>>} Rows
+     */
+    async tableRows(table, options = {}) {
+        const source = DataTableAdapter.sources.get(table.table().node());
+        
+        if (!source) {
+            return table.rows({ search: 'applied', order: 'applied' }).data().toArray();
+        }
+        
+        const { page, limit, ...params } = DataTableAdapter.toParams(source.data, source.options);
+        return this.fetchAll(source.endpoint, params, { dataSrc: source.options.dataSrc, ...options });
+    },
+    
+    /**
+     * Export a DataTable
+     * @param {DataTable} table - DataTables API instance
+     * @param {string} format - 'csv' or 'xlsx'
+     * @param {Object} options - Options
+     * @param {string} options.filename - File name without extension
+     * @param {Object} options.columns - Column overrides (see tableColumns())
+     */
+    async exportTable(table, format = 'csv', options = {}) {
+        try {
+            Alerts.loading('Preparing export...');
+            
+            const columns = this.tableColumns(table, options.columns);
+            const rows = await this.tableRows(table, {
+                onProgress: (fetched, total) => Alerts.updateLoading(`Fetched ${fetched} of ${total} records`)
+            });
+            await this.download(rows, columns, format, options.filename);
+            
+            Alerts.closeLoading();
+        } catch (error) {
+            Alerts.closeLoading();
+            Alerts.handleApiError(error, 'Export failed');
+        }
+    },
+    
+    /**
+     * Export every page of a list endpoint
+     * @param {string|ResourceClient} source - Endpoint or resource client
+     * @param {Array<Object>} columns - Column definitions
+     * @param {string} format - 'csv' or 'xlsx'
+     * @param {Object} options - Options
+     * @param {Object} options.params - Filters and sort params
+     * @param {string} options.filename - File name without extension
+     * @param {Function} options.dataSrc - Extract rows from a response
+     */
+    async exportList(source, columns, format = 'csv', options = {}) {
+        try {
+            Alerts.loading('Preparing export...');
+            
+            const rows = await this.fetchAll(source, options.params, {
+                dataSrc: options.dataSrc,
+                onProgress: (fetched, total) => Alerts.updateLoading(`Fetched ${fetched} of ${total} records`)
+            });
+            await this.download(rows, columns, format, options.filename);
+            
+            Alerts.closeLoading();
+        } catch (error) {
+            Alerts.closeLoading();
+            Alerts.handleApiError(error, 'Export failed');
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Exporter;
+}
\ No newline at end of file
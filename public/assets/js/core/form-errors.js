@@ -0,0 +1,256 @@
+/**
+ * AliveChMS Form Errors
+ *
+ * Renders field validation errors (422 `errors` from the backend, or the
+ * client-side validator) onto Bootstrap form controls
+ * @version 1.0.0
+ */
+
+const FormErrors = {
+    
+    /**
+     * Class of the summary shown for errors that match no field
+     */
+    summaryClass: 'form-error-summary',
+    
+    /**
+     * Normalize an errors payload to { field: [messages] }
+     * A plain list of messages (no field names) is kept under ''.
+     * @param {Object|Array|string} errors - Errors payload
+     * @returns {Object} Messages by field
+     */
+    normalize(errors) {
+        if (!errors) return {};
+        
+        if (typeof errors === 'string' || Array.isArray(errors)) {
+            return { '': [].concat(errors).map(String) };
+        }
+        
+        const normalized = {};
+        Object.entries(errors).forEach(([key, messages]) => {
+            const list = [].concat(messages).filter(Boolean).map(String);
+            if (list.length > 0) normalized[key] = list;
+        });
+        return normalized;
+    },
+    
+    /**
+     * Extract field errors from an API error
+     * @param {Error} error - Error (APIError with data.errors)
+     * @returns {Object|null} Messages by field, or null if it has none
+     */
+    fromError(error) {
+        if (!(error instanceof APIError) || !error.data?.errors) return null;
+        
+        const errors = this.normalize(error.data.errors);
+        return Object.keys(errors).length > 0 ? errors : null;
+    },
+    
+    /**
+     * Split a field key into its name and position
+     * 'phone_numbers[1]' and 'phone_numbers.1' give { base: 'phone_numbers', index: 1 }
+     * @param {string} key - Field key
+     * @returns {Object} { base, index } (index null when absent)
+     */
+    parseKey(key) {
+        const match = key.match(/^([^[.]+)(?:\[(\d*)\]|\.(\d+))?/);
+        if (!match) return { base: key, index: null };
+        
+        const index = match[2] ?? match[3];
+        return { base: match[1], index: index ? parseInt(index, 10) : null };
+    },
+    
+    /**
+     * Find the control for an error key
+     * Tries, in order: options.fields[key], options.fields[base] (selector
+     * or fn(index, form)), name="key", name="base[]" / name="base" at the
+     * index, then an element with id="key".
+     * @param {HTMLFormElement} form - Form
+     * @param {string} key - Error key
+     * @param {Object} fields - Map of error keys to selectors or functions
+     * @returns {HTMLElement|null} Control
+     */
+    findField(form, key, fields = {}) {
+        const { base, index } = this.parseKey(key);
+        const pick = (target, position) => {
+            if (!target) return null;
+            if (typeof target === 'function') return target(position, form) || null;
+            if (target instanceof Element) return target;
+            return form.querySelectorAll(target)[position ?? 0] || null;
+        };
+        const byName = name => form.querySelectorAll(`[name="${CSS.escape(name)}"]`);
+        
+        return pick(fields[key], null)
+            || pick(fields[base], index)
+            || byName(key)[0]
+            || byName(`${base}[]`)[index ?? 0]
+            || byName(base)[index ?? 0]
+            || form.querySelector(`#${CSS.escape(key)}`)
+            || null;
+    },
+    
+    /**
+     * Get (or create) the feedback element of a control
+     * Inside an .input-group the feedback must be in the group itself.
+     * @param {HTMLElement} field - Control
+     * @returns {HTMLElement} .invalid-feedback element
+     */
+    getFeedback(field) {
+        const group = field.closest('.input-group');
+        const anchor = group || field;
+        const parent = anchor.parentElement;
+        
+        const existing = group
+            ? group.querySelector(':scope > .invalid-feedback')
+            : [...parent.children].find(el => el.classList.contains('invalid-feedback') && el.previousElementSibling === field);
+        if (existing) return existing;
+        
+        const feedback = document.createElement('div');
+        feedback.className = 'invalid-feedback';
+        
+        if (group) {
+            group.classList.add('has-validation');
+            group.appendChild(feedback);
+        } else {
+            field.insertAdjacentElement('afterend', feedback);
+        }
+        
+        return feedback;
+    },
+    
+    /**
+     * Mark a control invalid
+     * The mark is lifted as soon as the user edits the control.
+     * @param {HTMLElement} field - Control
+     * @param {Array<string>} messages - Messages
+     */
+    setFieldError(field, messages) {
+        field.classList.add('is-invalid');
+        field.setAttribute('aria-invalid', 'true');
+        this.getFeedback(field).textContent = messages.join(' ');
+        
+        const lift = () => this.clearField(field);
+        field.addEventListener('input', lift, { once: true });
+        field.addEventListener('change', lift, { once: true });
+    },
+    
+    /**
+     * Remove the error mark from a control
+     * @param {HTMLElement} field - Control
+     */
+    clearField(field) {
+        field.classList.remove('is-invalid');
+        field.removeAttribute('aria-invalid');
+        
+        const feedback = field.closest('.input-group')?.querySelector(':scope > .invalid-feedback')
+            || (field.nextElementSibling?.classList.contains('invalid-feedback') ? field.nextElementSibling : null);
+        if (feedback) feedback.textContent = '';
+    },
+    
+    /**
+     * Show errors that match no field at the top of the form
+     * @param {HTMLFormElement} form - Form
+     * @param {Array<string>} messages - Messages
+     */
+    showSummary(form, messages) {
+        const summary = document.createElement('div');
+        summary.className = `alert alert-danger ${this.summaryClass}`;
+        summary.setAttribute('role', 'alert');
+        summary.innerHTML = `<ul class="mb-0">${messages.map(m => `<li>${Utils.escapeHtml(m)}</li>`).join('')}</ul>`;
+        form.insertBefore(summary, form.firstChild);
+    },
+    
+    /**
+     * Reveal a control hidden in an inactive Bootstrap tab and focus it
+     * @param {HTMLElement} field - Control
+     */
+    focus(field) {
+        const pane = field.closest('.tab-pane');
+        if (pane && !pane.classList.contains('active') && pane.id && typeof bootstrap !== 'undefined') {
+            const trigger = document.querySelector(`[data-bs-target="#${pane.id}"], [href="#${pane.id}"]`);
+            if (trigger) {
+                bootstrap.Tab.getOrCreateInstance(trigger).show();
+            }
+        }
+        
+        field.focus();
+    },
+    
+    /**
+     * Render errors onto a form
+     * @param {HTMLFormElement} form - Form
+     * @param {Object|APIError} errors - Messages by field, or an APIError carrying them
+     * @param {Object} options - Options
+     * @param {Object} options.fields - Map of error keys to selectors or fn(index, form)
+     * @param {boolean} options.focus - Focus the first invalid control (default true)
+     * @returns {Object} { mapped: [keys], unmapped: [keys] }
+     */
+    show(form, errors, options = {}) {
+        const { fields = {}, focus = true } = options;
+        const normalized = errors instanceof Error ? (this.fromError(errors) || {}) : this.normalize(errors);
+        
+        this.clear(form);
+        
+        const mapped = [];
+        const unmapped = [];
+        const summary = [];
+        let first = null;
+        
+        Object.entries(normalized).forEach(([key, messages]) => {
+            const field = key ? this.findField(form, key, fields) : null;
+            
+            if (field) {
+                this.setFieldError(field, messages);
+                mapped.push(key);
+                first = first || field;
+            } else {
+                unmapped.push(key);
+                summary.push(...messages);
+            }
+        });
+        
+        if (summary.length > 0) {
+            this.showSummary(form, summary);
+        }
+        
+        if (focus && first) {
+            this.focus(first);
+        }
+        
+        return { mapped, unmapped };
+    },
+    
+    /**
+     * Remove all error marks and the summary from a form
+     * @param {HTMLFormElement} form - Form
+     */
+    clear(form) {
+        form.querySelectorAll('.is-invalid').forEach(field => this.clearField(field));
+        form.querySelectorAll(`.${this.summaryClass}`).forEach(el => el.remove());
+    },
+    
+    /**
+     * Show an API error on a form: field errors go onto the form, anything
+     * else is handled by Alerts.handleApiError
+     * @param {HTMLFormElement} form - Form
+     * @param {Error} error - Error
+     * @param {Object} options - Options (see show())
+     * @returns {boolean} Whether field errors were shown
+     */
+    handle(form, error, options = {}) {
+        const errors = this.fromError(error);
+        if (!errors) {
+            Alerts.handleApiError(error);
+            return false;
+        }
+        
+        const { mapped } = this.show(form, errors, options);
+        Alerts.error(mapped.length > 0 ? 'Please correct the highlighted fields.' : 'Please correct the errors and try again.');
+        return true;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormErrors;
+}
\ No newline at end of file
@@ -0,0 +1,215 @@
+/**
+ * AliveChMS Formatting
+ *
+ * Intl-based currency, number, date and relative time formatting for
+ * Config.LOCALE and Config.TIMEZONE. Date formats use the tokens of the
+ * Config.*_FORMAT strings:
+ *
+ *   Y 2025   y 25   m 03   n 3   d 07   j 7   M Mar   F March   D Fri   l Friday
+ *   H 14 (00-23)   G 14 (0-23)   h 02 (01-12)   g 2 (1-12)   i 05   s 09   K PM
+ *
+ * A backslash prints the next character as is ('\\d\\a\\y j' gives "day 7").
+ * @version 1.0.0
+ */
+
+const Format = {
+    
+    /**
+     * Cached Intl formatters by type and options
+     */
+    formatters: new Map(),
+    
+    /**
+     * Get a cached Intl formatter for Config.LOCALE
+     * @param {string} type - Intl constructor name (NumberFormat, DateTimeFormat, RelativeTimeFormat)
+     * @param {Object} options - Formatter options
+     * @returns {Object} Formatter
+     */
+    formatter(type, options = {}) {
+        const key = `${type}|${Config.LOCALE}|${JSON.stringify(options)}`;
+        
+        if (!this.formatters.has(key)) {
+            this.formatters.set(key, new Intl[type](Config.LOCALE, options));
+        }
+        return this.formatters.get(key);
+    },
+    
+    /**
+     * Format an amount of money
+     * @param {number|string} amount - Amount
+     * @param {string} currency - ISO 4217 code (default Config.CURRENCY)
+     * @param {Object} options - Extra Intl.NumberFormat options
+     * @returns {string} Formatted amount, or '-' if not a number
+     */
+    currency(amount, currency = Config.CURRENCY, options = {}) {
+        if (amount === null || amount === undefined || amount === '') return '-';
+        const num = Number(amount);
+        if (isNaN(num)) return '-';
+        
+        return this.formatter('NumberFormat', { style: 'currency', currency: currency || Config.CURRENCY, ...options }).format(num);
+    },
+    
+    /**
+     * Format a number
+     * @param {number|string} value - Number
+     * @param {Object} options - Intl.NumberFormat options (e.g. { maximumFractionDigits: 0 })
+     * @returns {string} Formatted number, or '-' if not a number
+     */
+    number(value, options = {}) {
+        if (value === null || value === undefined || value === '') return '-';
+        const num = Number(value);
+        if (isNaN(num)) return '-';
+        
+        return this.formatter('NumberFormat', options).format(num);
+    },
+    
+    /**
+     * Check if a value is a date without a time (YYYY-MM-DD)
+     * @param {*} value - Value
+     * @returns {boolean} Is a plain date
+     */
+    isDateOnly(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim());
+    },
+    
+    /**
+     * Convert a value to a Date
+     * Backend timestamps without an offset ("2025-03-07 14:05:09") are read as UTC.
+     * @param {Date|string|number} value - Date, ISO/MySQL string or timestamp
+     * @returns {Date|null} Date, or null if invalid
+     */
+    toDate(value) {
+        if (value === null || value === undefined || value === '') return null;
+        
+        let date;
+        if (value instanceof Date) {
+            date = new Date(value.getTime());
+        } else if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value.trim())) {
+            date = new Date(value.trim().replace(' ', 'T') + 'Z');
+        } else if (this.isDateOnly(value)) {
+            date = new Date(value.trim() + 'T00:00:00Z');
+        } else {
+            date = new Date(value);
+        }
+        
+        return isNaN(date) ? null : date;
+    },
+    
+    /**
+     * Split a date into its fields in a time zone
+     * @param {Date} date - Date
+     * @param {string} timeZone - IANA time zone (undefined for the browser's)
+     * @returns {Object} Numeric year, month, day, hour, minute and second
+     */
+    fields(date, timeZone) {
+        const parts = {};
+        this.formatter('DateTimeFormat', {
+            timeZone,
+            numberingSystem: 'latn',
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(date).forEach(part => {
+            parts[part.type] = Number(part.value);
+        });
+        
+        return parts;
+    },
+    
+    /**
+     * Format a date with Config.*_FORMAT tokens
+     * Plain dates (YYYY-MM-DD) keep their calendar day in every time zone.
+     * @param {Date|string|number} value - Date
+     * @param {string} format - Format string
+     * @param {Object} options - { timeZone } to override Config.TIMEZONE
+     * @returns {string} Formatted date, or '-' if invalid
+     */
+    date(value, format = Config.DISPLAY_DATE_FORMAT, options = {}) {
+        const date = this.toDate(value);
+        if (!date) return '-';
+        
+        const timeZone = this.isDateOnly(value) ? 'UTC' : (options.timeZone || Config.TIMEZONE || undefined);
+        const f = this.fields(date, timeZone);
+        const text = opts => this.formatter('DateTimeFormat', { timeZone, ...opts }).format(date);
+        const pad = n => String(n).padStart(2, '0');
+        const hour12 = f.hour % 12 || 12;
+        
+        const tokens = {
+            Y: () => String(f.year),
+            y: () => pad(f.year % 100),
+            m: () => pad(f.month),
+            n: () => String(f.month),
+            d: () => pad(f.day),
+            j: () => String(f.day),
+            M: () => text({ month: 'short' }),
+            F: () => text({ month: 'long' }),
+            D: () => text({ weekday: 'short' }),
+            l: () => text({ weekday: 'long' }),
+            H: () => pad(f.hour),
+            G: () => String(f.hour),
+            h: () => pad(hour12),
+            g: () => String(hour12),
+            i: () => pad(f.minute),
+            s: () => pad(f.second),
+            K: () => {
+                const period = this.formatter('DateTimeFormat', { timeZone, hour: 'numeric', hour12: true })
+                    .formatToParts(date).find(part => part.type === 'dayPeriod');
+                return period ? period.value.toUpperCase() : (f.hour < 12 ? 'AM' : 'PM');
+            }
+        };
+        
+        // One pass, so letters in the output are never replaced again
+        return format.replace(/\\(.)|[YymndjMFDlHGhgisK]/g, (token, escaped) => escaped ?? tokens[token]());
+    },
+    
+    /**
+     * Format a date and time
+     * @param {Date|string|number} value - Date
+     * @param {string} format - Format string
+     * @param {Object} options - { timeZone } to override Config.TIMEZONE
+     * @returns {string} Formatted date and time
+     */
+    dateTime(value, format = Config.DISPLAY_DATETIME_FORMAT, options = {}) {
+        return this.date(value, format, options);
+    },
+    
+    /**
+     * Format a date relative to now ("3 hours ago", "in 2 days", "yesterday")
+     * @param {Date|string|number} value - Date
+     * @param {Date} now - Reference time
+     * @returns {string} Relative time, or '-' if invalid
+     */
+    relative(value, now = new Date()) {
+        const date = this.toDate(value);
+        if (!date) return '-';
+        
+        const seconds = Math.round((date - now) / 1000);
+        const units = [
+            ['year', 31536000],
+            ['month', 2592000],
+            ['week', 604800],
+            ['day', 86400],
+            ['hour', 3600],
+            ['minute', 60]
+        ];
+        const rtf = this.formatter('RelativeTimeFormat', { numeric: 'auto' });
+        
+        for (const [unit, size] of units) {
+            const amount = Math.trunc(seconds / size);
+            if (amount !== 0) {
+                return rtf.format(amount, unit);
+            }
+        }
+        
+        return rtf.format(0, 'second');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Format;
+}
\ No newline at end of file
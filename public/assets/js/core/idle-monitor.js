@@ -0,0 +1,173 @@
+/**
+ * AliveChMS Idle Monitor
+ *
+ * Signs users out after a period of inactivity (shared office PCs).
+ * Activity is shared between tabs through localStorage, so working in
+ * one tab keeps the others signed in too.
+ * @version 1.0.0
+ */
+
+const IdleMonitor = {
+    
+    /**
+     * DOM events that count as activity
+     */
+    events: ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart', 'scroll'],
+    
+    /**
+     * Expiry check interval handle
+     */
+    checkInterval: null,
+    
+    /**
+     * Abort controller of the warning modal currently shown (null when none)
+     */
+    warning: null,
+    
+    /**
+     * Bound activity handler (kept for removeEventListener)
+     */
+    activityHandler: null,
+    
+    /**
+     * Get the idle timeout for the current user
+     * Users with several roles get the shortest configured timeout.
+     * @returns {number} Timeout in ms (0 = disabled)
+     */
+    getTimeout() {
+        const roles = Auth.getUserRoles();
+        const timeouts = roles
+            .map(role => Config.IDLE_TIMEOUT_BY_ROLE[role])
+            .filter(timeout => typeof timeout === 'number');
+            
+        return timeouts.length > 0 ? Math.min(...timeouts) : Config.IDLE_TIMEOUT;
+    },
+    
+    /**
+     * Get the last activity time across all tabs
+     * @returns {number} Timestamp in ms
+     */
+    getLastActivity() {
+        return parseInt(localStorage.getItem(Config.IDLE_ACTIVITY_KEY), 10) || Date.now();
+    },
+    
+    /**
+     * Record user activity (shared with other tabs)
+     */
+    recordActivity() {
+        localStorage.setItem(Config.IDLE_ACTIVITY_KEY, String(Date.now()));
+    },
+    
+    /**
+     * Check how long the user has been idle and warn or sign out
+     */
+    check() {
+        if (!Auth.isAuthenticated()) {
+            this.stop();
+            return;
+        }
+        
+        const idle = Date.now() - this.getLastActivity();
+        const timeout = this.getTimeout();
+        
+        if (idle >= timeout) {
+            this.expire();
+        } else if (idle >= timeout - Config.IDLE_WARNING_DURATION) {
+            if (!this.warning) {
+                this.showWarning(timeout - idle);
+            }
+        } else if (this.warning) {
+            // Activity in another tab - dismiss our warning, not other dialogs
+            const warning = this.warning;
+            this.warning = null;
+            warning.abort();
+        }
+    },
+    
+    /**
+     * Show the "you will be signed out" countdown
+     * @param {number} remaining - Time left before sign-out in ms
+     */
+    async showWarning(remaining) {
+        const warning = new AbortController();
+        this.warning = warning;
+        
+        const result = await Alerts.countdown({
+            title: 'Are you still there?',
+            text: 'You will be signed out in {seconds}s due to inactivity.',
+            duration: remaining,
+            confirmButtonText: 'Stay signed in',
+            cancelButtonText: 'Sign out',
+            signal: warning.signal
+        });
+        
+        // Closed by check() because of activity elsewhere
+        if (this.warning !== warning) return;
+        this.warning = null;
+        
+        if (result === 'confirmed') {
+            this.recordActivity();
+        } else if (result === 'cancelled' || result === 'expired') {
+            this.expire();
+        }
+    },
+    
+    /**
+     * Sign the user out for inactivity
+     */
+    expire() {
+        Config.log('Signing out after inactivity');
+        this.stop();
+        Auth.logout();
+    },
+    
+    /**
+     * Start monitoring (no-op when the timeout is disabled)
+     */
+    start() {
+        if (this.checkInterval || this.getTimeout() <= 0) return;
+        
+        // Activity while the warning is up must be an explicit "Stay signed in"
+        this.activityHandler = Utils.throttle(() => {
+            if (!this.warning) this.recordActivity();
+        }, 1000);
+        
+        this.events.forEach(event => {
+            document.addEventListener(event, this.activityHandler, { passive: true });
+        });
+        
+        this.recordActivity();
+        this.checkInterval = setInterval(() => this.check(), 1000);
+        
+        Config.log(`Idle timeout enabled (${Math.round(this.getTimeout() / 60000)} min)`);
+    },
+    
+    /**
+     * Stop monitoring
+     */
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+        
+        if (this.activityHandler) {
+            this.events.forEach(event => {
+                document.removeEventListener(event, this.activityHandler);
+            });
+            this.activityHandler = null;
+        }
+    }
+};
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', async () => {
+    if (await Auth.ready) {
+        IdleMonitor.start();
+    }
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IdleMonitor;
+}
\ No newline at end of file
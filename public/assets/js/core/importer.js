@@ -0,0 +1,218 @@
+/**
+ * AliveChMS Importer
+ *
+ * Building blocks for spreadsheet imports: reading CSV (RFC 4180) and
+ * Excel files into rows keyed by header, matching file columns to fields,
+ * and sending rows to the API in throttled batches with a result per row
+ * @version 1.0.0
+ */
+
+const Importer = {
+    
+    /**
+     * Parse CSV text
+     * Handles quoted fields with commas, quotes and line breaks, CRLF/LF
+     * line endings and a UTF-8 BOM. The delimiter (comma or semicolon) is
+     * detected from the first line unless given.
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Field delimiter
+     * @returns {Array<Array<string>>} Rows of fields
+     */
+    parseCsv(text, delimiter = null) {
+        text = String(text).replace(/^\uFEFF/, '');
+        
+        if (!delimiter) {
+            const firstLine = text.split(/\r?\n/, 1)[0];
+            delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+        }
+        
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        
+        return rows;
+    },
+    
+    /**
+     * Turn rows of fields into objects keyed by the header row
+     * Blank rows are dropped; blank or repeated headers get a column name.
+     * @param {Array<Array>} matrix - Header row followed by data rows
+     * @returns {Object} { headers, rows }
+     */
+    toRecords(matrix) {
+        const [headerRow = [], ...body] = matrix;
+        const seen = new Set();
+        
+        const headers = headerRow.map((header, index) => {
+            let name = String(header ?? '').trim() || `Column ${index + 1}`;
+            if (seen.has(name)) name = `${name} (${index + 1})`;
+            seen.add(name);
+            return name;
+        });
+        
+        const rows = body
+            .filter(fields => fields.some(value => String(value ?? '').trim() !== ''))
+            .map(fields => Object.fromEntries(headers.map((header, index) => [header, String(fields[index] ?? '').trim()])));
+            
+        return { headers, rows };
+    },
+    
+    /**
+     * Read a CSV or Excel file (first worksheet)
+     * @param {File} file - Uploaded file
+     * @returns {Promise<Object>} { headers, rows } with rows keyed by header
+     */
+    async readFile(file) {
+        if (/\.xlsx?$/i.test(file.name)) {
+            const xlsx = await Exporter.loadXlsx();
+            const book = xlsx.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+            const sheet = book.Sheets[book.SheetNames[0]];
+            const matrix = sheet
+                ? xlsx.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', dateNF: 'yyyy-mm-dd' })
+                : [];
+            return this.toRecords(matrix);
+        }
+        
+        return this.toRecords(this.parseCsv(await file.text()));
+    },
+    
+    /**
+     * Reduce a header or label to lowercase letters and digits
+     * @param {string} text - Header
+     * @returns {string} Comparable form ("E-mail Address" -> "emailaddress")
+     */
+    normalizeHeader(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+    },
+    
+    /**
+     * Guess which file column holds each field
+     * @param {Array<string>} headers - File headers
+     * @param {Array<Object>} fields - Fields ({ key, label, aliases })
+     * @returns {Object} Header by field key (fields without a match are left out)
+     */
+    guessMapping(headers, fields) {
+        const mapping = {};
+        const used = new Set();
+        
+        fields.forEach(field => {
+            const names = [field.key, field.label, ...(field.aliases || [])].map(name => this.normalizeHeader(name));
+            const header = headers.find(candidate => !used.has(candidate) && names.includes(this.normalizeHeader(candidate)));
+            
+            if (header) {
+                mapping[field.key] = header;
+                used.add(header);
+            }
+        });
+        
+        return mapping;
+    },
+    
+    /**
+     * Pick the mapped values out of a file row
+     * @param {Object} row - Row keyed by header
+     * @param {Object} mapping - Header by field key
+     * @returns {Object} Values by field key
+     */
+    mapRow(row, mapping) {
+        const values = {};
+        Object.entries(mapping).forEach(([key, header]) => {
+            if (header) values[key] = row[header] ?? '';
+        });
+        return values;
+    },
+    
+    /**
+     * Send items in throttled batches
+     * Each batch runs in parallel; failures don't stop the import.
+     * @param {Array} items - Items to send
+     * @param {Function} send - fn(item) returning a promise
+     * @param {Object} options - Options
+     * @param {number} options.batchSize - Requests per batch (default Config.IMPORT_BATCH_SIZE)
+     * @param {number} options.delay - Pause between batches in ms (default Config.IMPORT_BATCH_DELAY)
+     * @param {Function} options.onProgress - Called with (done, total, results) after each batch
+     * @param {AbortSignal} options.signal - Stops before the next batch when aborted
+     * @returns {Promise<Array<Object>>} { item, ok, response, error } per item, in order
+     */
+    async submit(items, send, options = {}) {
+        const {
+            batchSize = Config.IMPORT_BATCH_SIZE,
+            delay = Config.IMPORT_BATCH_DELAY,
+            onProgress = null,
+            signal = null
+        } = options;
+        const results = [];
+        
+        for (let start = 0; start < items.length; start += batchSize) {
+            if (signal?.aborted) break;
+            if (start > 0 && delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+            
+            const batch = items.slice(start, start + batchSize);
+            const settled = await Promise.allSettled(batch.map(item => send(item)));
+            
+            settled.forEach((outcome, index) => {
+                results.push(outcome.status === 'fulfilled'
+                    ? { item: batch[index], ok: true, response: outcome.value, error: null }
+                    : { item: batch[index], ok: false, response: null, error: outcome.reason });
+            });
+            
+            if (onProgress) onProgress(results.length, items.length, results);
+        }
+        
+        return results;
+    },
+    
+    /**
+     * Get a readable message for a failed row
+     * @param {Error} error - Error
+     * @returns {string} Message (422 field errors are joined)
+     */
+    errorMessage(error) {
+        const fieldErrors = typeof FormErrors !== 'undefined' ? FormErrors.fromError(error) : null;
+        if (fieldErrors) {
+            return Object.values(fieldErrors).flat().join('; ');
+        }
+        return error?.data?.message || error?.message || 'Unknown error';
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Importer;
+}
\ No newline at end of file
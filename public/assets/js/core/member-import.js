@@ -0,0 +1,482 @@
+/**
+ * AliveChMS Member Import
+ *
+ * Three-step wizard in #importModal (members page): upload a CSV/Excel
+ * file, match its columns to member fields, then preview every row with
+ * its validation errors and create the valid ones through member/create
+ * in throttled batches. Rows that fail can be downloaded as a CSV to fix
+ * and import again.
+ * @version 1.0.0
+ */
+
+const MemberImport = {
+    
+    /**
+     * Importable fields (key = member/create field)
+     */
+    fields: [
+        { key: 'first_name', label: 'First Name', aliases: ['firstname', 'first', 'given name', 'forename'] },
+        { key: 'family_name', label: 'Family Name', aliases: ['surname', 'last name', 'lastname'] },
+        { key: 'other_names', label: 'Other Names', aliases: ['middle name', 'middle names'] },
+        { key: 'gender', label: 'Gender', aliases: ['sex'] },
+        { key: 'date_of_birth', label: 'Date of Birth', aliases: ['dob', 'birthday', 'birth date', 'birthdate'] },
+        { key: 'email_address', label: 'Email Address', aliases: ['email', 'e-mail'] },
+        { key: 'phone_numbers', label: 'Phone Numbers', aliases: ['phone', 'phones', 'phone number', 'mobile', 'telephone'] },
+        { key: 'address', label: 'Address', aliases: ['residential address', 'home address'] },
+        { key: 'occupation', label: 'Occupation', aliases: ['profession', 'job'] },
+        { key: 'marital_status', label: 'Marital Status', aliases: ['marital'] },
+        { key: 'family', label: 'Family', aliases: ['family id', 'household'] },
+        { key: 'username', label: 'Username', aliases: ['user name', 'login'] },
+        { key: 'password', label: 'Password' }
+    ],
+    
+    /**
+     * Wizard state
+     */
+    state: null,
+    
+    /**
+     * Row validator
+     */
+    validator: null,
+    
+    /**
+     * Called after an import created members
+     */
+    onComplete: null,
+    
+    /**
+     * Set up the wizard
+     * @param {Object} options - Options
+     * @param {Object} options.schema - Member form schema (FormValidator); its
+     *   rules for the importable fields are applied to every row
+     * @param {Function} options.onComplete - Called after members were created
+     */
+    init(options = {}) {
+        this.onComplete = options.onComplete || null;
+        this.validator = new FormValidator(null, this.buildSchema(options.schema || {}));
+        
+        document.getElementById('importFile').addEventListener('change', event => {
+            const file = event.target.files[0];
+            if (file) this.load(file);
+        });
+        document.getElementById('importTemplateBtn').addEventListener('click', event => {
+            event.preventDefault();
+            this.downloadTemplate();
+        });
+        document.getElementById('importNextBtn').addEventListener('click', () => this.next());
+        document.getElementById('importBackBtn').addEventListener('click', () => this.back());
+        document.getElementById('importErrorsBtn').addEventListener('click', () => this.downloadErrors());
+        document.getElementById('importModal').addEventListener('hidden.bs.modal', () => {
+            this.state?.controller?.abort();
+        });
+    },
+    
+    /**
+     * Build the row schema from the member form schema
+     * The form's async email check is left out (one request per row); the
+     * backend still rejects emails that are taken and the row is reported.
+     * Login fields are optional here (see toPayload()).
+     * @param {Object} formSchema - Member form schema
+     * @returns {Object} Row schema
+     */
+    buildSchema(formSchema) {
+        const schema = {};
+        
+        this.fields.forEach(({ key, label }) => {
+            const { selector, rules, when, ...fieldRules } = formSchema[key] || {};
+            schema[key] = { label, ...fieldRules };
+        });
+        
+        schema.email_address.rules = [(value, values) => !values.duplicateEmail || 'Email address appears more than once in the file'];
+        schema.family.rules = [(value, values) => values.family_id !== null || `Family "${value}" was not found`];
+        schema.username.required = false;
+        schema.password.required = false;
+        
+        return schema;
+    },
+    
+    /**
+     * Open the wizard at the first step
+     */
+    open() {
+        this.state = { step: 'file', file: null, headers: [], rows: [], mapping: {}, items: [], results: null, controller: null };
+        document.getElementById('importFile').value = '';
+        this.showStep('file');
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('importModal')).show();
+    },
+    
+    /**
+     * Show a step and set the footer buttons for it
+     * @param {string} step - 'file', 'map' or 'preview'
+     */
+    showStep(step) {
+        this.state.step = step;
+        
+        document.querySelectorAll('[data-import-step]').forEach(el => {
+            el.classList.toggle('d-none', el.dataset.importStep !== step);
+        });
+        
+        const next = document.getElementById('importNextBtn');
+        const back = document.getElementById('importBackBtn');
+        const errors = document.getElementById('importErrorsBtn');
+        
+        back.classList.toggle('d-none', step === 'file' || this.state.results !== null);
+        errors.classList.add('d-none');
+        next.classList.toggle('d-none', step === 'file');
+        next.disabled = false;
+        
+        if (step === 'map') {
+            next.textContent = 'Preview';
+            this.updateMapButton();
+        } else if (step === 'preview') {
+            const valid = this.state.items.filter(item => item.valid).length;
+            next.textContent = `Import ${valid} Member${valid === 1 ? '' : 's'}`;
+            next.disabled = valid === 0;
+            errors.classList.toggle('d-none', !this.state.items.some(item => ['invalid', 'failed'].includes(item.status)));
+        }
+    },
+    
+    /**
+     * Read the chosen file and go to column mapping
+     * @param {File} file - Uploaded file
+     */
+    async load(file) {
+        try {
+            Alerts.loading('Reading file...');
+            const { headers, rows } = await Importer.readFile(file);
+            Alerts.closeLoading();
+            
+            if (rows.length === 0) {
+                Alerts.warning('The file has no data rows.');
+                return;
+            }
+            
+            Object.assign(this.state, {
+                file,
+                headers,
+                rows,
+                mapping: Importer.guessMapping(headers, this.fields)
+            });
+            this.renderMapping();
+            this.showStep('map');
+        } catch (error) {
+            Alerts.closeLoading();
+            Config.error('Import read error', error);
+            Alerts.error('Could not read the file. Use a CSV or Excel (.xlsx) file with a header row.');
+        }
+    },
+    
+    /**
+     * Render one select per field listing the file's columns
+     */
+    renderMapping() {
+        const { headers, mapping, file, rows } = this.state;
+        document.getElementById('importFileName').textContent = `${file.name} (${rows.length} rows)`;
+        
+        const options = headers.map(header => `<option value="${Utils.escapeHtml(header)}">${Utils.escapeHtml(header)}</option>`).join('');
+        const container = document.getElementById('importMapping');
+        
+        container.innerHTML = this.fields.map(field => {
+            const required = this.validator.schema[field.key].required === true;
+            return `
+                <div class="col-md-4">
+                    <label class="form-label" for="importMap_${field.key}">
+                        ${Utils.escapeHtml(field.label)} ${required ? '<span class="text-danger">*</span>' : ''}
+                    </label>
+                    <select class="form-select form-select-sm" id="importMap_${field.key}" data-field="${field.key}">
+                        <option value="">- Not imported -</option>
+                        ${options}
+                    </select>
+                </div>`;
+        }).join('');
+        
+        container.querySelectorAll('select[data-field]').forEach(select => {
+            select.value = mapping[select.dataset.field] || '';
+            select.addEventListener('change', () => {
+                mapping[select.dataset.field] = select.value;
+                this.updateMapButton();
+            });
+        });
+    },
+    
+    /**
+     * Only allow the preview once every required field has a column
+     */
+    updateMapButton() {
+        const missing = this.fields.filter(field => this.validator.schema[field.key].required === true && !this.state.mapping[field.key]);
+        const next = document.getElementById('importNextBtn');
+        next.disabled = missing.length > 0;
+        next.title = missing.length > 0 ? `Map: ${missing.map(field => field.label).join(', ')}` : '';
+    },
+    
+    /**
+     * Convert a date from the file to YYYY-MM-DD
+     * Day-first dates (07/03/1990) are read as day/month/year.
+     * @param {string} value - Date as written in the file
+     * @returns {string} ISO date, or the value unchanged if not recognised
+     */
+    parseDate(value) {
+        const dayFirst = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+        if (dayFirst) {
+            return `${dayFirst[3]}-${dayFirst[2].padStart(2, '0')}-${dayFirst[1].padStart(2, '0')}`;
+        }
+        return value;
+    },
+    
+    /**
+     * Clean up a mapped row before validation
+     * @param {Object} values - Values by field key
+     * @param {Map} families - Family ID by lower-case name and by ID
+     * @returns {Object} Values ready to validate
+     */
+    prepare(values, families) {
+        const prepared = { ...values };
+        
+        if (prepared.gender) {
+            const gender = prepared.gender.toLowerCase();
+            prepared.gender = Object.values(Config.GENDER).find(option => {
+                const name = option.toLowerCase();
+                return name === gender || name.charAt(0) === gender;
+            }) || prepared.gender;
+        }
+        
+        if (prepared.date_of_birth) {
+            prepared.date_of_birth = this.parseDate(prepared.date_of_birth);
+        }
+        
+        prepared.phone_numbers = String(prepared.phone_numbers || '').split(/[;,/]/).map(phone => phone.trim()).filter(Boolean);
+        
+        prepared.family_id = null;
+        if (prepared.family) {
+            prepared.family_id = families.get(prepared.family.toLowerCase()) ?? null;
+        }
+        
+        return prepared;
+    },
+    
+    /**
+     * Load every family for name lookups
+     * @returns {Promise<Map>} Family ID by lower-case name and by ID
+     */
+    async loadFamilies() {
+        const families = new Map();
+        const list = await Exporter.fetchAll(resources.families);
+        
+        list.forEach(family => {
+            families.set(String(family.FamilyName).toLowerCase(), family.FamilyID);
+            families.set(String(family.FamilyID), family.FamilyID);
+        });
+        
+        return families;
+    },
+    
+    /**
+     * Validate every row and show the preview
+     */
+    async preview() {
+        const { rows, mapping } = this.state;
+        
+        try {
+            Alerts.loading('Checking rows...');
+            const families = mapping.family ? await this.loadFamilies() : new Map();
+            
+            const emails = new Map();
+            const items = rows.map((row, index) => {
+                const values = this.prepare(Importer.mapRow(row, mapping), families);
+                const email = String(values.email_address || '').toLowerCase();
+                if (email) emails.set(email, (emails.get(email) || 0) + 1);
+                return { line: index + 2, row, values };
+            });
+            
+            for (const item of items) {
+                item.values.duplicateEmail = emails.get(String(item.values.email_address || '').toLowerCase()) > 1;
+                item.errors = await this.validator.validateValues(item.values);
+                item.valid = Object.keys(item.errors).length === 0;
+                item.status = item.valid ? 'ready' : 'invalid';
+            }
+            
+            this.state.items = items;
+            this.state.results = null;
+            Alerts.closeLoading();
+            
+            this.renderPreview();
+            this.showStep('preview');
+        } catch (error) {
+            Alerts.closeLoading();
+            Alerts.handleApiError(error, 'Failed to check the import rows');
+        }
+    },
+    
+    /**
+     * Messages of an item's errors
+     * @param {Object} item - Import item
+     * @returns {string} Messages joined with '; '
+     */
+    describeErrors(item) {
+        if (item.error) return Importer.errorMessage(item.error);
+        return Object.values(item.errors || {}).flat().join('; ');
+    },
+    
+    /**
+     * Render the preview table and summary
+     */
+    renderPreview() {
+        const { items, mapping } = this.state;
+        const columns = this.fields.filter(field => mapping[field.key]);
+        const badges = {
+            ready: '<span class="badge bg-secondary">Ready</span>',
+            invalid: '<span class="badge bg-danger">Invalid</span>',
+            imported: '<span class="badge bg-success">Imported</span>',
+            failed: '<span class="badge bg-danger">Failed</span>'
+        };
+        
+        const table = document.getElementById('importPreview');
+        table.tHead.innerHTML = `<tr><th>Row</th><th>Status</th>${columns.map(field => `<th>${Utils.escapeHtml(field.label)}</th>`).join('')}<th>Errors</th></tr>`;
+        table.tBodies[0].innerHTML = items.map(item => `
+            <tr class="${item.status === 'invalid' || item.status === 'failed' ? 'table-danger' : ''}">
+                <td>${item.line}</td>
+                <td>${badges[item.status]}</td>
+                ${columns.map(field => `<td>${Utils.escapeHtml(item.row[mapping[field.key]])}</td>`).join('')}
+                <td class="small text-danger">${Utils.escapeHtml(this.describeErrors(item))}</td>
+            </tr>`).join('');
+            
+        const count = status => items.filter(item => item.status === status).length;
+        const parts = [
+            `<strong>${items.length}</strong> rows`,
+            count('ready') ? `<span class="text-secondary">${count('ready')} ready</span>` : '',
+            count('imported') ? `<span class="text-success">${count('imported')} imported</span>` : '',
+            count('invalid') ? `<span class="text-danger">${count('invalid')} with errors</span>` : '',
+            count('failed') ? `<span class="text-danger">${count('failed')} failed</span>` : ''
+        ].filter(Boolean);
+        document.getElementById('importSummary').innerHTML = parts.join(' &middot; ');
+    },
+    
+    /**
+     * Build the member/create payload for a row
+     * Username defaults to the email address; members without a password
+     * get a random one and can be given a real one from Edit Member.
+     * @param {Object} values - Validated values
+     * @returns {Object} Payload
+     */
+    toPayload(values) {
+        const random = new Uint8Array(12);
+        crypto.getRandomValues(random);
+        
+        return {
+            first_name: values.first_name,
+            family_name: values.family_name,
+            other_names: values.other_names || null,
+            gender: values.gender || undefined,
+            date_of_birth: values.date_of_birth || null,
+            email_address: values.email_address,
+            phone_numbers: values.phone_numbers.map(phone => Phone.normalize(phone) || phone),
+            address: values.address || null,
+            occupation: values.occupation || undefined,
+            marital_status: values.marital_status || null,
+            family_id: values.family_id,
+            username: values.username || values.email_address,
+            password: values.password || Array.from(random, byte => byte.toString(16).padStart(2, '0')).join('')
+        };
+    },
+    
+    /**
+     * Create the valid rows in throttled batches
+     */
+    async run() {
+        const items = this.state.items.filter(item => item.status === 'ready');
+        const progress = document.getElementById('importProgress');
+        const bar = progress.querySelector('.progress-bar');
+        const next = document.getElementById('importNextBtn');
+        
+        this.state.controller = new AbortController();
+        next.disabled = true;
+        document.getElementById('importBackBtn').classList.add('d-none');
+        progress.classList.remove('d-none');
+        
+        const results = await Importer.submit(items, item => resources.members.create(this.toPayload(item.values), { offlineQueue: false }), {
+            signal: this.state.controller.signal,
+            onProgress: (done, total, sent) => {
+                sent.forEach(result => {
+                    result.item.status = result.ok ? 'imported' : 'failed';
+                    result.item.error = result.error;
+                });
+                bar.style.width = `${Math.round(done / total * 100)}%`;
+                bar.textContent = `${done} / ${total}`;
+                this.renderPreview();
+            }
+        });
+        
+        this.state.results = results;
+        progress.classList.add('d-none');
+        this.showStep('preview');
+        
+        const imported = results.filter(result => result.ok).length;
+        const failed = results.length - imported;
+        next.textContent = 'Done';
+        next.disabled = false;
+        
+        if (imported > 0 && this.onComplete) this.onComplete(imported);
+        
+        if (failed > 0) {
+            Alerts.warning(`${imported} member(s) imported, ${failed} failed. Download the errors to fix and re-import them.`);
+        } else if (imported > 0) {
+            Alerts.success(`${imported} member(s) imported`);
+        }
+    },
+    
+    /**
+     * Move to the next step
+     */
+    next() {
+        const { step, results } = this.state;
+        
+        if (step === 'map') {
+            this.preview();
+        } else if (step === 'preview' && results === null) {
+            this.run();
+        } else {
+            bootstrap.Modal.getInstance(document.getElementById('importModal'))?.hide();
+        }
+    },
+    
+    /**
+     * Move to the previous step
+     */
+    back() {
+        if (this.state.step === 'preview') {
+            this.showStep('map');
+        } else if (this.state.step === 'map') {
+            document.getElementById('importFile').value = '';
+            this.showStep('file');
+        }
+    },
+    
+    /**
+     * Download the rows that are invalid or failed, with their errors,
+     * in the file's own columns so they can be fixed and imported again
+     */
+    downloadErrors() {
+        const rows = this.state.items.filter(item => item.status === 'invalid' || item.status === 'failed');
+        const columns = [
+            ...this.state.headers.map(header => ({ title: header, data: item => item.row[header] })),
+            { title: 'Row', data: 'line', type: 'number' },
+            { title: 'Errors', data: item => this.describeErrors(item) }
+        ];
+        
+        Exporter.download(rows, columns, 'csv', 'member-import-errors');
+    },
+    
+    /**
+     * Download an empty CSV with the expected headers
+     */
+    downloadTemplate() {
+        const columns = this.fields.map(field => ({ title: field.label, data: field.key }));
+        Exporter.download([], columns, 'csv', 'member-import-template');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemberImport;
+}
\ No newline at end of file
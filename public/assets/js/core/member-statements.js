@@ -0,0 +1,272 @@
+/**
+ * AliveChMS Member Statements
+ *
+ * Giving statement dialog in #statementModal (members page): pick a fiscal
+ * year or date range, preview the member's statement, open the receipt of
+ * any contribution in it, and print, save as PDF or email whichever
+ * document is showing.
+ * @version 1.0.0
+ */
+
+const MemberStatements = {
+    
+    /**
+     * Dialog state
+     */
+    state: null,
+    
+    /**
+     * Fiscal years for the period select (loaded on first open)
+     */
+    fiscalYears: null,
+    
+    /**
+     * Date pickers for a custom period
+     */
+    pickers: null,
+    
+    /**
+     * Set up the dialog
+     */
+    init() {
+        this.pickers = {
+            from: flatpickr('#statementDateFrom', { dateFormat: 'Y-m-d' }),
+            to: flatpickr('#statementDateTo', { dateFormat: 'Y-m-d' })
+        };
+        
+        document.getElementById('statementPeriod').addEventListener('change', () => this.toggleDates());
+        document.getElementById('statementLoadBtn').addEventListener('click', () => this.load());
+        document.getElementById('statementBackBtn').addEventListener('click', () => this.showStatement());
+        document.getElementById('statementPrintBtn').addEventListener('click', () => this.print());
+        document.getElementById('statementPdfBtn').addEventListener('click', () => this.pdf());
+        document.getElementById('statementEmailBtn').addEventListener('click', () => this.email());
+        document.getElementById('statementReceipts').addEventListener('click', event => {
+            const button = event.target.closest('[data-receipt]');
+            if (button) this.showReceipt(button.dataset.receipt);
+        });
+    },
+    
+    /**
+     * Open the dialog for a member
+     * @param {number} memberId - Member ID
+     */
+    async open(memberId) {
+        this.state = { memberId, statement: null, document: null };
+        this.setDocument(null);
+        document.getElementById('statementReceipts').innerHTML = '';
+        document.getElementById('statementPreview').innerHTML =
+            '<p class="text-muted text-center py-5 mb-0">Choose a period, then select Load.</p>';
+            
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('statementModal')).show();
+        
+        if (!this.fiscalYears) {
+            try {
+                this.fiscalYears = await Reports.fiscalYears();
+                this.fillPeriods();
+            } catch (error) {
+                console.error('Load fiscal years error:', error);
+                this.fiscalYears = null;
+                Alerts.handleApiError(error, 'Failed to load fiscal years');
+            }
+        }
+    },
+    
+    /**
+     * Fill the period select: fiscal years (current one selected), then custom dates
+     */
+    fillPeriods() {
+        const select = document.getElementById('statementPeriod');
+        const today = Format.date(new Date(), 'Y-m-d');
+        const current = this.fiscalYears.find(year => year.FiscalYearStartDate <= today && today <= year.FiscalYearEndDate);
+        
+        select.innerHTML = '';
+        this.fiscalYears.forEach(year => {
+            const option = document.createElement('option');
+            option.value = year.FiscalYearID;
+            option.textContent = year.YearName;
+            option.selected = year === current;
+            select.appendChild(option);
+        });
+        select.insertAdjacentHTML('beforeend', '<option value="custom">Custom dates</option>');
+        
+        this.toggleDates();
+    },
+    
+    /**
+     * Show the date inputs when custom dates are selected
+     */
+    toggleDates() {
+        const custom = document.getElementById('statementPeriod').value === 'custom';
+        document.querySelectorAll('[data-statement-dates]').forEach(el => el.classList.toggle('d-none', !custom));
+    },
+    
+    /**
+     * Read the selected period
+     * @returns {Object} { fiscalYear } or { from, to }
+     */
+    getPeriod() {
+        const value = document.getElementById('statementPeriod').value;
+        if (value === 'custom') {
+            return {
+                from: document.getElementById('statementDateFrom').value,
+                to: document.getElementById('statementDateTo').value
+            };
+        }
+        return { fiscalYear: (this.fiscalYears || []).find(year => String(year.FiscalYearID) === value) };
+    },
+    
+    /**
+     * Load and preview the statement for the selected period
+     */
+    async load() {
+        const button = document.getElementById('statementLoadBtn');
+        button.disabled = true;
+        
+        try {
+            const statement = await Statements.build(this.state.memberId, this.getPeriod());
+            this.state.statement = statement;
+            this.renderReceipts();
+            this.showStatement();
+        } catch (error) {
+            console.error('Load statement error:', error);
+            if (error instanceof APIError) {
+                Alerts.handleApiError(error, 'Failed to load the statement');
+            } else {
+                // Period not chosen or dates out of order (see Statements.resolvePeriod())
+                Alerts.warning(error.message);
+            }
+        } finally {
+            button.disabled = false;
+        }
+    },
+    
+    /**
+     * List the statement's contributions, each with a receipt button
+     */
+    renderReceipts() {
+        const list = document.getElementById('statementReceipts');
+        const { contributions } = this.state.statement;
+        
+        list.innerHTML = contributions.length
+            ? contributions.map(contribution => `
+                <button type="button" class="list-group-item list-group-item-action d-flex justify-content-between align-items-center" data-receipt="${contribution.ContributionID}">
+                    <span>
+                        <span class="d-block small text-muted">${Utils.escapeHtml(Statements.receiptNumber(contribution.ContributionID))} · ${Utils.escapeHtml(Format.date(contribution.ContributionDate))}</span>
+                        ${Utils.escapeHtml(String(contribution.ContributionTypeName ?? ''))}
+                    </span>
+                    <span class="fw-semibold">${Utils.escapeHtml(Reports.money(contribution.ContributionAmount))}</span>
+                </button>`).join('')
+            : '<p class="text-muted small mb-0">No contributions in this period</p>';
+    },
+    
+    /**
+     * Show the statement
+     */
+    showStatement() {
+        const { statement } = this.state;
+        if (!statement) return;
+        
+        const name = Statements.memberName(statement.member);
+        this.setDocument({
+            html: Statements.renderStatement(statement),
+            title: `${statement.number} - ${name}`,
+            filename: `statement-${statement.number}`,
+            send: () => Statements.emailStatement(this.state.memberId, statement.period)
+        });
+    },
+    
+    /**
+     * Show the receipt of a contribution in the statement
+     * @param {string} contributionId - Contribution ID
+     */
+    showReceipt(contributionId) {
+        const contribution = this.state.statement.contributions.find(row => String(row.ContributionID) === String(contributionId));
+        if (!contribution) return;
+        
+        const number = Statements.receiptNumber(contribution.ContributionID);
+        this.setDocument({
+            html: Statements.renderReceipt(contribution),
+            title: number,
+            filename: `receipt-${number}`,
+            send: () => Statements.emailReceipt(contribution.ContributionID)
+        });
+        document.getElementById('statementBackBtn').classList.remove('d-none');
+    },
+    
+    /**
+     * Preview a document and enable its actions
+     * @param {Object|null} doc - { html, title, filename, send }
+     */
+    setDocument(doc) {
+        this.state.document = doc;
+        if (doc) document.getElementById('statementPreview').innerHTML = doc.html;
+        
+        ['statementPrintBtn', 'statementPdfBtn', 'statementEmailBtn'].forEach(id => {
+            document.getElementById(id).disabled = !doc;
+        });
+        document.getElementById('statementBackBtn').classList.add('d-none');
+    },
+    
+    /**
+     * Print the current document
+     */
+    print() {
+        const doc = this.state.document;
+        if (doc) Reports.print(doc.html, doc.title);
+    },
+    
+    /**
+     * Save the current document as a PDF
+     */
+    async pdf() {
+        const doc = this.state.document;
+        if (!doc) return;
+        
+        try {
+            Alerts.loading('Preparing PDF...');
+            await Reports.pdf(doc.html, doc.filename);
+            Alerts.closeLoading();
+        } catch (error) {
+            Alerts.closeLoading();
+            console.error('PDF error:', error);
+            Alerts.error(error.message || 'Failed to create the PDF');
+        }
+    },
+    
+    /**
+     * Email the current document to the member
+     */
+    async email() {
+        const doc = this.state.document;
+        const member = this.state.statement?.member;
+        if (!doc || !member) return;
+        
+        if (!member.MbrEmailAddress) {
+            Alerts.warning('This member has no email address on file');
+            return;
+        }
+        
+        const confirmed = await Alerts.confirm({
+            title: 'Email Document',
+            text: `Send ${doc.title} to ${member.MbrEmailAddress}?`,
+            icon: 'question',
+            confirmButtonText: 'Send'
+        });
+        if (!confirmed) return;
+        
+        try {
+            Alerts.loading('Sending email...');
+            await doc.send();
+            Alerts.closeLoading();
+            Alerts.success(`Sent to ${member.MbrEmailAddress}`);
+        } catch (error) {
+            Alerts.closeLoading();
+            Alerts.handleApiError(error, 'Failed to send the email');
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemberStatements;
+}
\ No newline at end of file
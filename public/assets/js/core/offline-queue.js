@@ -0,0 +1,399 @@
+/**
+ * AliveChMS Offline Write Queue
+ *
+ * Persists POST/PUT/DELETE requests that fail with a network error to
+ * IndexedDB and replays them in order once the browser is back online.
+ * Each item keeps the Idempotency-Key of the original request: if that
+ * request did reach the server, the replay gets its response back instead
+ * of creating the record twice.
+ * @version 1.0.0
+ */
+
+const OfflineQueue = {
+    
+    /**
+     * Open database handle (lazy)
+     */
+    db: null,
+    
+    /**
+     * Replay in progress flag
+     */
+    replaying: false,
+    
+    /**
+     * Check if the queue can be used in this browser
+     * @returns {boolean} Is supported
+     */
+    isSupported() {
+        return Config.OFFLINE_QUEUE_ENABLED && typeof indexedDB !== 'undefined';
+    },
+    
+    /**
+     * Open (or create) the IndexedDB database
+     * @returns {Promise<IDBDatabase>} Database handle
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(Config.OFFLINE_DB_NAME, 1);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(Config.OFFLINE_STORE_NAME)) {
+                    const store = db.createObjectStore(Config.OFFLINE_STORE_NAME, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    store.createIndex('status', 'status', { unique: false });
+                }
+            };
+            
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            
+            request.onerror = () => reject(request.error);
+        });
+    },
+    
+    /**
+     * Run a callback inside an object store transaction
+     * @param {string} mode - Transaction mode (readonly, readwrite)
+     * @param {Function} callback - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async withStore(mode, callback) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(Config.OFFLINE_STORE_NAME, mode);
+            const request = callback(tx.objectStore(Config.OFFLINE_STORE_NAME));
+            
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+    
+    /**
+     * Check if a request should be queued when the network is down
+     * Session calls (login, refresh, logout, two-factor) carry credentials
+     * and only make sense now, so they are never stored or replayed.
+     * @param {string} endpoint - API endpoint
+     * @param {string} method - HTTP method
+     * @param {Object} options - Request options
+     * @returns {boolean} Should queue
+     */
+    shouldQueue(endpoint, method, options = {}) {
+        if (!this.isSupported() || options.offlineQueue === false) return false;
+        if (!['POST', 'PUT', 'DELETE'].includes(method)) return false;
+        if (endpoint.split('?')[0].startsWith('auth/')) return false;
+        
+        // Only JSON/string bodies can be stored and replayed
+        return options.body === undefined || typeof options.body === 'string';
+    },
+    
+    /**
+     * Persist a failed request for later replay
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Original request options
+     * @returns {Promise<Object>} Queued response placeholder
+     */
+    async enqueue(endpoint, options = {}) {
+        // Never persist the bearer token; the current one is used on replay
+        const headers = { ...(options.headers || {}) };
+        delete headers['Authorization'];
+        
+        if (!headers['Idempotency-Key']) {
+            headers['Idempotency-Key'] = api.createIdempotencyKey();
+        }
+        
+        const user = typeof Auth !== 'undefined' ? Auth.getUser() : null;
+        
+        const item = {
+            endpoint,
+            method: (options.method || 'POST').toUpperCase(),
+            body: options.body,
+            headers,
+            label: options.offlineLabel || null,
+            userId: user?.MbrID || null,
+            status: 'pending',
+            error: null,
+            createdAt: new Date().toISOString()
+        };
+        
+        const id = await this.withStore('readwrite', store => store.add(item));
+        
+        Config.log(`Queued offline request #${id}: ${item.method} ${endpoint}`);
+        this.updateIndicator();
+        
+        return {
+            status: 'queued',
+            queued: true,
+            queue_id: id,
+            message: 'You are offline. Your changes will be saved when the connection is restored.'
+        };
+    },
+    
+    /**
+     * Get all queued items in insertion order
+     * @param {string|null} status - Filter by status (pending, failed)
+     * @returns {Promise<Array>} Queued items
+     */
+    async getAll(status = null) {
+        if (!this.isSupported()) return [];
+        
+        const items = await this.withStore('readonly', store => store.getAll());
+        const user = typeof Auth !== 'undefined' ? Auth.getUser() : null;
+        
+        return (items || [])
+            .filter(item => !item.userId || !user || item.userId === user.MbrID)
+            .filter(item => !status || item.status === status)
+            .sort((a, b) => a.id - b.id);
+    },
+    
+    /**
+     * Count queued items by status
+     * @returns {Promise<Object>} Counts ({ pending, failed })
+     */
+    async count() {
+        const items = await this.getAll();
+        return {
+            pending: items.filter(item => item.status === 'pending').length,
+            failed: items.filter(item => item.status === 'failed').length
+        };
+    },
+    
+    /**
+     * Remove an item from the queue
+     * @param {number} id - Queue item ID
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        await this.withStore('readwrite', store => store.delete(id));
+        this.updateIndicator();
+    },
+    
+    /**
+     * Update a queued item
+     * @param {Object} item - Queue item
+     * @returns {Promise<void>}
+     */
+    async save(item) {
+        await this.withStore('readwrite', store => store.put(item));
+    },
+    
+    /**
+     * Mark a failed item as pending again and replay
+     * @param {number} id - Queue item ID
+     * @returns {Promise<Object>} Replay summary
+     */
+    async retry(id) {
+        const item = (await this.getAll('failed')).find(entry => entry.id === id);
+        if (item) {
+            await this.save({ ...item, status: 'pending', error: null });
+        }
+        return this.replay();
+    },
+    
+    /**
+     * Replay pending requests in order
+     * Stops at the first network error or expired session so ordering is
+     * preserved; the rest replays once back online or signed in again.
+     * @returns {Promise<Object>} Summary ({ sent, failed, remaining })
+     */
+    async replay() {
+        const summary = { sent: 0, failed: 0, remaining: 0 };
+        
+        if (!this.isSupported() || this.replaying || !navigator.onLine) {
+            return summary;
+        }
+        
+        this.replaying = true;
+        
+        try {
+            const items = await this.getAll('pending');
+            
+            for (let i = 0; i < items.length; i++) {
+                const item = items[i];
+                
+                try {
+                    await api.request(item.endpoint, {
+                        method: item.method,
+                        body: item.body,
+                        headers: item.headers,
+                        offlineQueue: false
+                    });
+                    
+                    await this.remove(item.id);
+                    summary.sent++;
+                } catch (error) {
+                    if (error instanceof APIError && (error.isNetworkError() || error.status === 401)) {
+                        // Still offline, or the session expired (not a rejection of
+                        // the change) - keep this and the following items queued
+                        summary.remaining = items.length - i;
+                        break;
+                    }
+                    
+                    await this.markFailed(item, error);
+                    summary.failed++;
+                }
+            }
+        } catch (error) {
+            Config.error('Offline queue replay failed', error);
+        } finally {
+            this.replaying = false;
+            this.updateIndicator();
+        }
+        
+        if (summary.sent > 0) {
+            Alerts.success(`${summary.sent} offline change(s) synced`);
+        }
+        
+        Config.log('Offline queue replay finished', summary);
+        return summary;
+    },
+    
+    /**
+     * Record a replay failure (conflict, validation error, etc.)
+     * @param {Object} item - Queue item
+     * @param {Error} error - Replay error
+     */
+    async markFailed(item, error) {
+        const failed = {
+            ...item,
+            status: 'failed',
+            error: {
+                status: error.status || 0,
+                message: error.data?.message || error.message,
+                errors: error.data?.errors || null
+            },
+            failedAt: new Date().toISOString()
+        };
+        
+        await this.save(failed);
+        
+        const what = item.label || `${item.method} ${item.endpoint}`;
+        const reason = error.status === 409
+            ? 'conflicts with a newer change'
+            : error.status === 422 ? 'failed validation' : 'was rejected';
+            
+        Alerts.warning(`Offline change "${what}" ${reason}: ${failed.error.message}`, Config.TOAST_DURATION + 4000);
+        Config.warn('Offline request failed on replay', failed);
+        
+        window.dispatchEvent(new CustomEvent('offlinequeue:failed', { detail: failed }));
+    },
+    
+    /**
+     * Refresh the pending-changes badge in the header
+     */
+    async updateIndicator() {
+        const badge = document.getElementById('pendingChangesBadge');
+        if (!badge || !this.isSupported()) return;
+        
+        try {
+            const { pending, failed } = await this.count();
+            const text = document.getElementById('pendingChangesText');
+            
+            Utils.toggle(badge, pending + failed > 0);
+            badge.classList.toggle('bg-warning', failed === 0);
+            badge.classList.toggle('text-dark', failed === 0);
+            badge.classList.toggle('bg-danger', failed > 0);
+            
+            const parts = [];
+            if (pending) parts.push(`${pending} pending`);
+            if (failed) parts.push(`${failed} failed`);
+            text.textContent = parts.join(', ');
+        } catch (error) {
+            Config.warn('Failed to update offline indicator', error);
+        }
+    },
+    
+    /**
+     * Show queued and failed items with options to retry or discard
+     */
+    async showDetails() {
+        const items = await this.getAll();
+        if (items.length === 0) return;
+        
+        const rows = items.map(item => `
+            <tr>
+                <td class="text-start">${Utils.escapeHtml(item.label || `${item.method} ${item.endpoint}`)}</td>
+                <td>${item.status === 'failed'
+                    ? `<span class="badge bg-danger" title="${Utils.escapeHtml(item.error?.message || '')}">Failed (${item.error?.status || 0})</span>`
+                    : '<span class="badge bg-warning text-dark">Pending</span>'}</td>
+                <td class="text-muted small">${Utils.timeAgo(item.createdAt)}</td>
+            </tr>
+        `).join('');
+        
+        const hasFailed = items.some(item => item.status === 'failed');
+        
+        const result = await Swal.fire({
+            title: 'Offline changes',
+            html: `<table class="table table-sm mb-0"><tbody>${rows}</tbody></table>`,
+            width: 640,
+            showConfirmButton: navigator.onLine,
+            confirmButtonText: 'Sync now',
+            confirmButtonColor: Config.SWAL_CONFIG.confirmButtonColor,
+            showDenyButton: hasFailed,
+            denyButtonText: 'Discard failed',
+            showCancelButton: true,
+            cancelButtonText: 'Close'
+        });
+        
+        if (result.isConfirmed) {
+            const failed = items.filter(item => item.status === 'failed');
+            for (const item of failed) {
+                await this.save({ ...item, status: 'pending', error: null });
+            }
+            await this.replay();
+        } else if (result.isDenied) {
+            for (const item of items.filter(entry => entry.status === 'failed')) {
+                await this.remove(item.id);
+            }
+        }
+    },
+    
+    /**
+     * Wire up online/offline listeners and the header indicator
+     */
+    init() {
+        if (!this.isSupported()) return;
+        
+        window.addEventListener('online', () => {
+            Config.log('Connection restored, replaying offline queue');
+            this.replay();
+        });
+        
+        window.addEventListener('offline', () => {
+            Alerts.warning('You are offline. Changes will be saved and synced when you reconnect.');
+        });
+        
+        const badge = document.getElementById('pendingChangesBadge');
+        if (badge) {
+            badge.addEventListener('click', () => this.showDetails());
+        }
+        
+        this.updateIndicator();
+        
+        if (navigator.onLine && typeof Auth !== 'undefined' && Auth.isAuthenticated()) {
+            this.replay();
+        }
+    }
+};
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', async () => {
+    if (typeof Auth !== 'undefined') {
+        await Auth.ready;
+    }
+    OfflineQueue.init();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineQueue;
+}
\ No newline at end of file
@@ -0,0 +1,241 @@
+/**
+ * AliveChMS Permission Directives
+ *
+ * Applies data-permission attributes to the DOM, including elements added
+ * later (DataTables rows, modals), and re-applies them when permissions change.
+ *
+ *   data-permission="edit_members"            single permission
+ *   data-permission-any="a, b"                at least one
+ *   data-permission-all="a, b"                every one
+ *   data-permission-mode="hide|disable|readonly"  (default hide)
+ * @version 1.0.0
+ */
+
+const PermissionDirectives = {
+    
+    /**
+     * Attributes that make an element a directive
+     */
+    attributes: ['data-permission', 'data-permission-any', 'data-permission-all', 'data-permission-mode'],
+    
+    /**
+     * Form controls affected by readonly mode
+     */
+    controls: 'input, select, textarea, button',
+    
+    /**
+     * Original element state, restored when access is granted again
+     */
+    originals: new WeakMap(),
+    
+    /**
+     * DOM observer
+     */
+    observer: null,
+    
+    /**
+     * Selector matching every directive element
+     * @returns {string} CSS selector
+     */
+    get selector() {
+        return '[data-permission], [data-permission-any], [data-permission-all]';
+    },
+    
+    /**
+     * Split a permission list attribute
+     * @param {string} value - Comma or space separated names
+     * @returns {Array<string>} Permission names
+     */
+    parseList(value) {
+        return (value || '').split(/[\s,]+/).filter(Boolean);
+    },
+    
+    /**
+     * Check if the user satisfies an element's directives
+     * All present attributes must pass.
+     * @param {HTMLElement} element - Element
+     * @returns {boolean} Is allowed
+     */
+    isAllowed(element) {
+        const single = element.getAttribute('data-permission');
+        const any = element.getAttribute('data-permission-any');
+        const all = element.getAttribute('data-permission-all');
+        
+        if (single !== null && !Auth.hasPermission(single.trim())) return false;
+        if (any !== null && !Auth.hasAnyPermission(this.parseList(any))) return false;
+        if (all !== null && !Auth.hasAllPermissions(this.parseList(all))) return false;
+        
+        return true;
+    },
+    
+    /**
+     * Evaluate one element and hide/disable/lock it as needed
+     * @param {HTMLElement} element - Directive element
+     */
+    apply(element) {
+        const mode = element.getAttribute('data-permission-mode') || 'hide';
+        const allowed = this.isAllowed(element);
+        const denied = element.getAttribute('data-permission-denied');
+        
+        // Lift the restriction when access is granted or the mode changed
+        if (denied !== null && (allowed || denied !== mode)) {
+            this.restore(element, denied);
+            element.removeAttribute('data-permission-denied');
+        }
+        
+        if (!allowed && !element.hasAttribute('data-permission-denied')) {
+            element.setAttribute('data-permission-denied', mode);
+            this.restrict(element, mode);
+        }
+    },
+    
+    /**
+     * Restrict an element
+     * @param {HTMLElement} element - Element
+     * @param {string} mode - hide, disable or readonly
+     */
+    restrict(element, mode) {
+        if (mode === 'disable') {
+            this.lock(element, false);
+        } else if (mode === 'readonly') {
+            const targets = element.matches(this.controls) ? [element] : element.querySelectorAll(this.controls);
+            targets.forEach(control => this.lock(control, true));
+        } else {
+            this.originals.set(element, { display: element.style.display });
+            element.style.display = 'none';
+        }
+    },
+    
+    /**
+     * Undo a restriction
+     * @param {HTMLElement} element - Element
+     * @param {string} mode - Mode the element was restricted with
+     */
+    restore(element, mode) {
+        if (mode === 'disable') {
+            this.unlock(element);
+        } else if (mode === 'readonly') {
+            const targets = element.matches(this.controls) ? [element] : element.querySelectorAll(this.controls);
+            targets.forEach(control => this.unlock(control));
+        } else {
+            element.style.display = this.originals.get(element)?.display || '';
+        }
+        
+        this.originals.delete(element);
+    },
+    
+    /**
+     * Disable (or make read-only) a single element
+     * Text inputs become readOnly in readonly mode; other controls,
+     * which have no read-only state, are disabled.
+     * @param {HTMLElement} element - Element
+     * @param {boolean} readonly - Prefer readOnly over disabled
+     */
+    lock(element, readonly) {
+        if (this.originals.has(element)) return;
+        
+        this.originals.set(element, {
+            disabled: element.disabled,
+            readOnly: element.readOnly,
+            tabIndex: element.getAttribute('tabindex'),
+            ariaDisabled: element.getAttribute('aria-disabled')
+        });
+        
+        const textual = element.matches('textarea, input:not([type=checkbox]):not([type=radio]):not([type=file]):not([type=button]):not([type=submit])');
+        
+        if (readonly && textual) {
+            element.readOnly = true;
+        } else if ('disabled' in element) {
+            element.disabled = true;
+        } else {
+            // Links and other non-form elements
+            element.classList.add('disabled');
+            element.setAttribute('aria-disabled', 'true');
+            element.setAttribute('tabindex', '-1');
+        }
+    },
+    
+    /**
+     * Restore an element locked by lock()
+     * @param {HTMLElement} element - Element
+     */
+    unlock(element) {
+        const original = this.originals.get(element);
+        if (!original) return;
+        
+        if ('disabled' in element) element.disabled = original.disabled;
+        if ('readOnly' in element) element.readOnly = original.readOnly;
+        
+        if (!('disabled' in element)) {
+            element.classList.remove('disabled');
+            original.ariaDisabled === null
+                ? element.removeAttribute('aria-disabled')
+                : element.setAttribute('aria-disabled', original.ariaDisabled);
+            original.tabIndex === null
+                ? element.removeAttribute('tabindex')
+                : element.setAttribute('tabindex', original.tabIndex);
+        }
+        
+        this.originals.delete(element);
+    },
+    
+    /**
+     * Apply directives to a subtree (including the root)
+     * @param {ParentNode} root - Root node (default document)
+     */
+    scan(root = document) {
+        if (root.nodeType === Node.ELEMENT_NODE && root.matches(this.selector)) {
+            this.apply(root);
+        }
+        root.querySelectorAll(this.selector).forEach(element => this.apply(element));
+    },
+    
+    /**
+     * Re-evaluate every directive (e.g. after permissions change)
+     */
+    refresh() {
+        this.scan(document);
+    },
+    
+    /**
+     * Start watching the DOM for new or changed directives
+     */
+    init() {
+        this.refresh();
+        
+        if (typeof MutationObserver === 'undefined' || this.observer) return;
+        
+        this.observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                if (mutation.type === 'attributes') {
+                    this.apply(mutation.target);
+                    return;
+                }
+                
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) this.scan(node);
+                });
+            });
+        });
+        
+        this.observer.observe(document.body, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: this.attributes
+        });
+        
+        window.addEventListener('auth:permissionschanged', () => this.refresh());
+    }
+};
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', async () => {
+    await Auth.ready;
+    PermissionDirectives.init();
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PermissionDirectives;
+}
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * AliveChMS Phone Numbers
+ *
+ * Parses, validates and formats phone numbers for the countries in
+ * Config.PHONE_COUNTRIES. Numbers are stored in E.164 (+233244123456);
+ * anything without a country code is read as a national number of
+ * Config.PHONE_DEFAULT_COUNTRY.
+ *
+ *   Phone.normalize('024 412 3456')            // '+233244123456'
+ *   Phone.format('+447700900123', 'national')  // '07700 900123'
+ * @version 1.0.0
+ */
+
+const Phone = {
+    
+    /**
+     * Strip spacing and punctuation
+     * @param {string} phone - Phone number as typed
+     * @returns {string} Digits, with a leading + kept
+     */
+    clean(phone) {
+        return String(phone ?? '').trim().replace(/[\s\-().\/]/g, '').replace(/^00/, '+');
+    },
+    
+    /**
+     * Get a configured country
+     * @param {string} code - ISO country code
+     * @returns {Object|null} Country settings
+     */
+    getCountry(code) {
+        return Config.PHONE_COUNTRIES[String(code).toUpperCase()] || null;
+    },
+    
+    /**
+     * Match international digits (no +) against the configured countries
+     * @param {string} digits - Dial code followed by the national number
+     * @returns {Object|null} Parsed number
+     */
+    parseInternational(digits) {
+        for (const [code, country] of Object.entries(Config.PHONE_COUNTRIES)) {
+            if (!digits.startsWith(country.dialCode)) continue;
+            
+            let national = digits.slice(country.dialCode.length);
+            // Tolerate a trunk prefix typed after the code: +44 (0)7700 900123
+            if (country.trunkPrefix && !country.pattern.test(national) && national.startsWith(country.trunkPrefix)) {
+                national = national.slice(country.trunkPrefix.length);
+            }
+            
+            if (country.pattern.test(national)) {
+                return this.build(code, country, national);
+            }
+        }
+        return null;
+    },
+    
+    /**
+     * Parse a phone number
+     * @param {string} phone - Phone number in national or international form
+     * @param {string} defaultCountry - Country for numbers without a country code
+     * @returns {Object|null} { country, dialCode, national, e164 }, or null if invalid
+     */
+    parse(phone, defaultCountry = Config.PHONE_DEFAULT_COUNTRY) {
+        const cleaned = this.clean(phone);
+        
+        if (cleaned.startsWith('+')) {
+            const digits = cleaned.slice(1);
+            return /^\d+$/.test(digits) ? this.parseInternational(digits) : null;
+        }
+        if (!/^\d+$/.test(cleaned)) return null;
+        
+        const country = this.getCountry(defaultCountry);
+        if (country) {
+            const national = country.trunkPrefix && cleaned.startsWith(country.trunkPrefix)
+                ? cleaned.slice(country.trunkPrefix.length)
+                : cleaned;
+            if (country.pattern.test(national)) {
+                return this.build(defaultCountry.toUpperCase(), country, national);
+            }
+        }
+        
+        // International number typed without the + (e.g. 233244123456)
+        return this.parseInternational(cleaned);
+    },
+    
+    /**
+     * Build a parse result
+     * @param {string} code - ISO country code
+     * @param {Object} country - Country settings
+     * @param {string} national - National number without the trunk prefix
+     * @returns {Object} Parsed number
+     */
+    build(code, country, national) {
+        return {
+            country: code,
+            dialCode: country.dialCode,
+            national,
+            e164: `+${country.dialCode}${national}`
+        };
+    },
+    
+    /**
+     * Check if a phone number is valid
+     * @param {string} phone - Phone number
+     * @param {string} defaultCountry - Country for numbers without a country code
+     * @returns {boolean} Valid or not
+     */
+    isValid(phone, defaultCountry = Config.PHONE_DEFAULT_COUNTRY) {
+        return this.parse(phone, defaultCountry) !== null;
+    },
+    
+    /**
+     * Convert a phone number to E.164
+     * @param {string} phone - Phone number
+     * @param {string} defaultCountry - Country for numbers without a country code
+     * @returns {string|null} E.164 number, or null if invalid
+     */
+    normalize(phone, defaultCountry = Config.PHONE_DEFAULT_COUNTRY) {
+        return this.parse(phone, defaultCountry)?.e164 || null;
+    },
+    
+    /**
+     * Split a national number into its display groups
+     * @param {string} national - National number
+     * @param {Array<number>} groups - Group sizes (the last group takes the rest)
+     * @returns {Array<string>} Groups
+     */
+    group(national, groups = []) {
+        const parts = [];
+        let rest = national;
+        
+        groups.slice(0, -1).forEach(size => {
+            if (rest.length > size) {
+                parts.push(rest.slice(0, size));
+                rest = rest.slice(size);
+            }
+        });
+        parts.push(rest);
+        
+        return parts;
+    },
+    
+    /**
+     * Format a phone number for display
+     * Numbers that cannot be parsed are returned as given.
+     * @param {string} phone - Phone number
+     * @param {string} mode - 'national', 'international', 'e164' or 'auto'
+     *                        (national for the default country, else international)
+     * @param {string} defaultCountry - Country for numbers without a country code
+     * @returns {string} Formatted phone
+     */
+    format(phone, mode = Config.PHONE_DISPLAY, defaultCountry = Config.PHONE_DEFAULT_COUNTRY) {
+        const parsed = this.parse(phone, defaultCountry);
+        if (!parsed) return String(phone ?? '');
+        
+        if (mode === 'e164') return parsed.e164;
+        if (mode === 'auto') {
+            mode = parsed.country === String(defaultCountry).toUpperCase() ? 'national' : 'international';
+        }
+        
+        const country = this.getCountry(parsed.country);
+        const parts = this.group(parsed.national, country.groups);
+        
+        if (mode === 'national') {
+            parts[0] = country.trunkPrefix + parts[0];
+            return parts.join(' ');
+        }
+        
+        return `+${parsed.dialCode} ${parts.join(' ')}`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Phone;
+}
\ No newline at end of file
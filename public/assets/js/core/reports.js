@@ -0,0 +1,480 @@
+/**
+ * AliveChMS Reports
+ *
+ * Renders the finance report endpoints (finance/<type>/<fiscalYearId>) as
+ * print-ready HTML under the church letterhead from Config.CHURCH, and
+ * sends that HTML to the browser's print dialog or to a client-side PDF.
+ *
+ *   const html = await Reports.generate('income-statement', fiscalYear, { date_from: '2025-01-01' });
+ *   Reports.print(html, 'Income Statement');
+ *   Reports.pdf(html, 'income-statement');
+ * @version 1.0.0
+ */
+
+const Reports = {
+    
+    /**
+     * Finance reports by endpoint type
+     * render(data) returns the report body; amounts from the backend may be
+     * number_format() strings ("1,250.00").
+     */
+    types: {
+        'income-statement': {
+            title: 'Income Statement',
+            render(data) {
+                const net = Reports.amount(data.net_surplus);
+                
+                return Reports.section('Income', Reports.table([
+                    { title: 'Source', data: 'ContributionTypeName' },
+                    { title: 'Amount', data: 'total', type: 'currency' }
+                ], data.income, ['Total income', Reports.money(data.total_income)])) +
+                Reports.section('Expenses', Reports.table([
+                    { title: 'Category', data: 'CategoryName' },
+                    { title: 'Amount', data: 'total', type: 'currency' }
+                ], data.expenses, ['Total expenses', Reports.money(data.total_expenses)])) +
+                Reports.summary([
+                    [net < 0 ? 'Net deficit' : 'Net surplus', Reports.money(net)]
+                ]);
+            }
+        },
+        
+        'balance-sheet': {
+            title: 'Balance Sheet',
+            render(data) {
+                return Reports.section('Assets', Reports.table([
+                    { title: 'Item', data: 'item' },
+                    { title: 'Amount', data: 'amount', type: 'currency' }
+                ], [{ item: 'Cash in hand', amount: data.assets?.cash_in_hand }])) +
+                Reports.section('Liabilities', Reports.table([
+                    { title: 'Item', data: 'item' },
+                    { title: 'Amount', data: 'amount', type: 'currency' }
+                ], [{ item: 'Approved expenses', amount: data.liabilities?.approved_expenses }])) +
+                Reports.summary([
+                    ['Net assets', Reports.money(data.net_assets)]
+                ]);
+            }
+        },
+        
+        'budget-vs-actual': {
+            title: 'Budget vs Actual',
+            render(data) {
+                const rows = data.data || [];
+                const sum = key => rows.reduce((total, row) => total + Reports.amount(row[key]), 0);
+                const used = row => {
+                    const budgeted = Reports.amount(row.budgeted);
+                    return budgeted ? Format.number(Reports.amount(row.actual) / budgeted, { style: 'percent', maximumFractionDigits: 1 }) : '-';
+                };
+                
+                return Reports.section(null, Reports.table([
+                    { title: 'Category', data: 'category' },
+                    { title: 'Budgeted', data: 'budgeted', type: 'currency' },
+                    { title: 'Actual', data: 'actual', type: 'currency' },
+                    { title: 'Variance', data: 'variance', type: 'currency' },
+                    { title: 'Used', data: used, type: 'number' }
+                ], rows, [
+                    'Total',
+                    Reports.money(sum('budgeted')),
+                    Reports.money(sum('actual')),
+                    Reports.money(sum('variance')),
+                    used({ budgeted: sum('budgeted'), actual: sum('actual') })
+                ]));
+            }
+        },
+        
+        'contribution-summary': {
+            title: 'Contribution Summary',
+            render(data) {
+                return Reports.section(null, Reports.table([
+                    { title: 'Contribution type', data: 'ContributionTypeName' },
+                    { title: 'Count', data: 'count', type: 'number' },
+                    { title: 'Amount', data: 'total', type: 'currency' },
+                    { title: 'Share', data: row => Reports.share(row.total, data.grand_total), type: 'number' }
+                ], data.summary, ['Total', Reports.count(data.summary), Reports.money(data.grand_total), '']));
+            }
+        },
+        
+        'expense-summary': {
+            title: 'Expense Summary',
+            render(data) {
+                return Reports.section(null, Reports.table([
+                    { title: 'Category', data: 'CategoryName' },
+                    { title: 'Count', data: 'count', type: 'number' },
+                    { title: 'Amount', data: 'total', type: 'currency' },
+                    { title: 'Share', data: row => Reports.share(row.total, data.grand_total), type: 'number' }
+                ], data.summary, ['Total', Reports.count(data.summary), Reports.money(data.grand_total), '']));
+            }
+        }
+    },
+    
+    /**
+     * Report layout, scoped to .report-document so the on-page preview
+     * doesn't restyle the rest of the page
+     */
+    styles: `
+        .report-document { font-family: 'Helvetica Neue', Arial, sans-serif; font-size: 12px; color: #212529; background: #fff; }
+        .report-document .report-letterhead { display: flex; align-items: center; gap: 16px; padding-bottom: 12px; border-bottom: 2px solid #212529; }
+        .report-document .report-logo { max-height: 64px; max-width: 120px; }
+        .report-document .report-church { font-size: 18px; font-weight: 700; margin: 0; }
+        .report-document .report-contact { margin: 2px 0 0; color: #6c757d; }
+        .report-document .report-title { font-size: 16px; font-weight: 700; margin: 20px 0 2px; text-transform: uppercase; letter-spacing: 0.5px; }
+        .report-document .report-period { margin: 0 0 16px; color: #6c757d; }
+        .report-document .report-section { margin-bottom: 16px; page-break-inside: avoid; }
+        .report-document .report-section h3 { font-size: 13px; font-weight: 700; margin: 0 0 6px; }
+        .report-document table { width: 100%; border-collapse: collapse; }
+        .report-document th, .report-document td { padding: 5px 8px; border-bottom: 1px solid #dee2e6; text-align: left; }
+        .report-document th { background: #f1f3f5; font-weight: 600; }
+        .report-document tr { page-break-inside: avoid; }
+        .report-document tfoot td { font-weight: 700; border-top: 1px solid #212529; border-bottom: 0; }
+        .report-document .text-end { text-align: right; }
+        .report-document .report-empty { color: #6c757d; font-style: italic; }
+        .report-document .report-summary td { font-size: 13px; font-weight: 700; border-bottom: 0; border-top: 2px solid #212529; }
+        .report-document .negative { color: #b02a37; }
+        .report-document .report-details th { width: 35%; background: none; font-weight: 600; }
+        .report-document .report-note { margin: 16px 0 0; }
+        .report-document .report-signature { margin-top: 48px; width: 240px; padding-top: 4px; border-top: 1px solid #212529; text-align: center; }
+        .report-document .report-footer { margin-top: 24px; padding-top: 8px; border-top: 1px solid #dee2e6; color: #6c757d; font-size: 10px; }
+    `,
+    
+    /**
+     * Pending load of the html2pdf library
+     */
+    pdfLoader: null,
+    
+    /**
+     * Most recent print frame
+     */
+    printFrame: null,
+    
+    /**
+     * Read an amount from a report
+     * @param {number|string} value - Number or number_format() string
+     * @returns {number} Amount (0 if missing)
+     */
+    amount(value) {
+        const num = Number(String(value ?? '').replace(/,/g, ''));
+        return isNaN(num) ? 0 : num;
+    },
+    
+    /**
+     * Format a report amount as money
+     * @param {number|string} value - Number or number_format() string
+     * @returns {string} Formatted amount
+     */
+    money(value) {
+        return Format.currency(this.amount(value));
+    },
+    
+    /**
+     * Format a part of a total as a percentage
+     * @param {number|string} part - Part
+     * @param {number|string} total - Total
+     * @returns {string} Percentage, or '-' for a zero total
+     */
+    share(part, total) {
+        const whole = this.amount(total);
+        return whole ? Format.number(this.amount(part) / whole, { style: 'percent', maximumFractionDigits: 1 }) : '-';
+    },
+    
+    /**
+     * Total the transaction counts of summary rows
+     * @param {Array<Object>} rows - Rows with a count
+     * @returns {string} Formatted count
+     */
+    count(rows = []) {
+        return Format.number(rows.reduce((total, row) => total + this.amount(row.count), 0));
+    },
+    
+    /**
+     * Escape a value for HTML
+     * @param {*} value - Value
+     * @returns {string} Escaped text
+     */
+    escape(value) {
+        return Utils.escapeHtml(String(value ?? ''));
+    },
+    
+    /**
+     * Render a table
+     * Cells are read and typed like export columns (see Exporter.formatCell()),
+     * with number and currency columns aligned right.
+     * @param {Array<Object>} columns - Column definitions ({ title, data, type })
+     * @param {Array<Object>} rows - Rows
+     * @param {Array<string>} totals - Footer cells, already formatted
+     * @returns {string} HTML
+     */
+    table(columns, rows = [], totals = null) {
+        const align = column => ['number', 'currency'].includes(column.type) ? ' class="text-end"' : '';
+        const cell = (row, column) => {
+            const value = Exporter.getValue(row, column.data);
+            if (column.type === 'currency') {
+                const amount = this.amount(value);
+                return `<td class="text-end${amount < 0 ? ' negative' : ''}">${this.escape(this.money(amount))}</td>`;
+            }
+            if (column.type === 'number') {
+                const numeric = value !== '' && value !== null && !isNaN(Number(value));
+                return `<td${align(column)}>${this.escape(numeric ? Format.number(value) : value)}</td>`;
+            }
+            return `<td>${this.escape(Exporter.formatCell(row, column))}</td>`;
+        };
+        
+        const head = columns.map(column => `<th${align(column)}>${this.escape(column.title)}</th>`).join('');
+        const body = rows.length
+            ? rows.map(row => `<tr>${columns.map(column => cell(row, column)).join('')}</tr>`).join('')
+            : `<tr><td colspan="${columns.length}" class="report-empty">No records for this period</td></tr>`;
+        const foot = totals
+            ? `<tfoot><tr>${totals.map((value, index) => `<td${index ? align(columns[index]) : ''}>${this.escape(value)}</td>`).join('')}</tr></tfoot>`
+            : '';
+            
+        return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody>${foot}</table>`;
+    },
+    
+    /**
+     * Render a report section
+     * @param {string|null} heading - Section heading
+     * @param {string} content - HTML
+     * @returns {string} HTML
+     */
+    section(heading, content) {
+        return `<div class="report-section">${heading ? `<h3>${this.escape(heading)}</h3>` : ''}${content}</div>`;
+    },
+    
+    /**
+     * Render the closing figures of a report
+     * @param {Array<Array<string>>} lines - [label, formatted value] pairs
+     * @returns {string} HTML
+     */
+    summary(lines) {
+        const rows = lines.map(([label, value]) => `<tr><td>${this.escape(label)}</td><td class="text-end">${this.escape(value)}</td></tr>`);
+        return `<div class="report-section"><table class="report-summary">${rows.join('')}</table></div>`;
+    },
+    
+    /**
+     * Render label/value lines (receipt and statement headers)
+     * Lines without a value are left out.
+     * @param {Array<Array<string>>} lines - [label, value] pairs
+     * @returns {string} HTML
+     */
+    details(lines) {
+        const rows = lines
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([label, value]) => `<tr><th>${this.escape(label)}</th><td>${this.escape(value)}</td></tr>`);
+        return `<div class="report-section"><table class="report-details">${rows.join('')}</table></div>`;
+    },
+    
+    /**
+     * Render the church letterhead from Config.CHURCH
+     * @returns {string} HTML
+     */
+    letterhead() {
+        const church = Config.CHURCH;
+        const contact = [church.PHONE && Utils.formatPhone(church.PHONE), church.EMAIL, church.WEBSITE].filter(Boolean).join(' · ');
+        
+        return `
+            <div class="report-letterhead">
+                ${church.LOGO_URL ? `<img class="report-logo" src="${this.escape(church.LOGO_URL)}" alt="" crossorigin="anonymous">` : ''}
+                <div>
+                    <p class="report-church">${this.escape(church.NAME)}</p>
+                    ${church.ADDRESS ? `<p class="report-contact">${this.escape(church.ADDRESS)}</p>` : ''}
+                    ${contact ? `<p class="report-contact">${this.escape(contact)}</p>` : ''}
+                </div>
+            </div>`;
+    },
+    
+    /**
+     * Describe the period a report covers
+     * @param {Object} fiscalYear - Fiscal year from fiscalyear/all
+     * @param {Object} params - { date_from, date_to }
+     * @returns {string} Period text
+     */
+    period(fiscalYear, params = {}) {
+        const from = params.date_from || fiscalYear.FiscalYearStartDate;
+        const to = params.date_to || fiscalYear.FiscalYearEndDate;
+        return `Fiscal year ${fiscalYear.YearName} · ${Format.date(from)} to ${Format.date(to)}`;
+    },
+    
+    /**
+     * Wrap report content in the letterhead, title and footer
+     * @param {string} title - Report title
+     * @param {string} subtitle - Period or other line under the title
+     * @param {string} body - HTML
+     * @returns {string} Report HTML (self-styled)
+     */
+    layout(title, subtitle, body) {
+        return `
+            <div class="report-document">
+                <style>${this.styles}</style>
+                ${this.letterhead()}
+                <h2 class="report-title">${this.escape(title)}</h2>
+                <p class="report-period">${this.escape(subtitle)}</p>
+                ${body}
+                <div class="report-footer">Generated ${this.escape(Format.dateTime(new Date()))} by ${this.escape(Auth.getUserName() || 'AliveChMS')}</div>
+            </div>`;
+    },
+    
+    /**
+     * Render a finance report
+     * @param {string} type - Report type (a key of Reports.types)
+     * @param {Object} data - Report from the API
+     * @param {Object} fiscalYear - Fiscal year from fiscalyear/all
+     * @param {Object} params - { date_from, date_to }
+     * @returns {string} Report HTML
+     */
+    render(type, data, fiscalYear, params = {}) {
+        const report = this.types[type];
+        if (!report) throw new Error(`Unknown report: ${type}`);
+        
+        return this.layout(report.title, this.period(fiscalYear, params), report.render(data || {}));
+    },
+    
+    /**
+     * Fetch and render a finance report
+     * @param {string} type - Report type (a key of Reports.types)
+     * @param {Object} fiscalYear - Fiscal year from fiscalyear/all
+     * @param {Object} params - Optional { date_from, date_to } (YYYY-MM-DD)
+     * @returns {Promise<string>} Report HTML
+     */
+    async generate(type, fiscalYear, params = {}) {
+        if (!this.types[type]) throw new Error(`Unknown report: ${type}`);
+        
+        const range = Object.fromEntries(Object.entries(params).filter(([, value]) => value));
+        const data = await resources.finance.report(type, fiscalYear.FiscalYearID, range, { cache: false });
+        return this.render(type, data, fiscalYear, range);
+    },
+    
+    /**
+     * Fetch the fiscal years to report on
+     * @returns {Promise<Array<Object>>} Fiscal years, newest first
+     */
+    fiscalYears() {
+        return Exporter.fetchAll(resources.fiscalYears);
+    },
+    
+    /**
+     * Fill a select with fiscal years
+     * Closed years are listed but disabled: the finance endpoints only
+     * report on active ones. The active year containing today is selected.
+     * @param {HTMLSelectElement} select - Select
+     * @param {Array<Object>} years - Fiscal years from fiscalyear/all
+     */
+    fillFiscalYears(select, years) {
+        const today = Format.date(new Date(), 'Y-m-d');
+        const active = years.filter(year => year.Status === 'Active');
+        const current = active.find(year => year.FiscalYearStartDate <= today && today <= year.FiscalYearEndDate) || active[0];
+        
+        select.innerHTML = years.length ? '' : '<option value="">No fiscal years</option>';
+        years.forEach(year => {
+            const option = document.createElement('option');
+            option.value = year.FiscalYearID;
+            option.textContent = `${year.YearName} (${Format.date(year.FiscalYearStartDate)} - ${Format.date(year.FiscalYearEndDate)})`;
+            if (year.Status !== 'Active') {
+                option.textContent += ' - Closed';
+                option.disabled = true;
+            }
+            option.selected = year === current;
+            select.appendChild(option);
+        });
+    },
+    
+    /**
+     * Build a standalone page around report HTML
+     * @param {string} html - Report HTML
+     * @param {string} title - Document title
+     * @returns {string} HTML document
+     */
+    page(html, title) {
+        return `<!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="utf-8">
+                <title>${this.escape(title)}</title>
+                <style>@page { size: ${Config.REPORT_PAGE_SIZE}; margin: 15mm; } body { margin: 0; }</style>
+            </head>
+            <body>${html}</body>
+            </html>`;
+    },
+    
+    /**
+     * Open the print dialog for a report
+     * Prints from a hidden frame so the page itself isn't printed.
+     * @param {string} html - Report HTML
+     * @param {string} title - Document title (browsers suggest it as the PDF file name)
+     * @returns {Promise<void>} Resolves once the dialog has been opened
+     */
+    async print(html, title = 'Report') {
+        if (this.printFrame) this.printFrame.remove();
+        
+        const frame = document.createElement('iframe');
+        frame.setAttribute('aria-hidden', 'true');
+        frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+        document.body.appendChild(frame);
+        this.printFrame = frame;
+        
+        const doc = frame.contentDocument;
+        doc.open();
+        doc.write(this.page(html, title));
+        doc.close();
+        
+        // Wait for the logo, or it prints blank
+        await Promise.all(Array.from(doc.images)
+            .filter(image => !image.complete)
+            .map(image => new Promise(resolve => {
+                image.onload = image.onerror = resolve;
+            })));
+            
+        frame.contentWindow.addEventListener('afterprint', () => {
+            frame.remove();
+            if (this.printFrame === frame) this.printFrame = null;
+        });
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+    },
+    
+    /**
+     * Load html2pdf on first use
+     * @returns {Promise<Function>} html2pdf global
+     */
+    loadPdf() {
+        if (typeof html2pdf !== 'undefined') return Promise.resolve(html2pdf);
+        
+        if (!this.pdfLoader) {
+            this.pdfLoader = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = Config.PDF_LIBRARY_URL;
+                script.onload = () => resolve(html2pdf);
+                script.onerror = () => {
+                    this.pdfLoader = null;
+                    script.remove();
+                    reject(new Error('Failed to load the PDF library'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        
+        return this.pdfLoader;
+    },
+    
+    /**
+     * Save a report as a PDF
+     * @param {string} html - Report HTML
+     * @param {string} filename - File name without extension (today's date is appended)
+     * @param {Object} options - Options
+     * @param {string} options.orientation - 'portrait' (default) or 'landscape'
+     */
+    async pdf(html, filename = 'report', options = {}) {
+        const converter = await this.loadPdf();
+        
+        await converter().set({
+            margin: 15,
+            filename: `${filename}-${Format.date(new Date(), 'Y-m-d')}.pdf`,
+            image: { type: 'jpeg', quality: 0.98 },
+            html2canvas: { scale: 2, useCORS: true, backgroundColor: '#ffffff' },
+            jsPDF: { unit: 'mm', format: Config.REPORT_PAGE_SIZE, orientation: options.orientation || 'portrait' },
+            pagebreak: { mode: ['css', 'legacy'], avoid: 'tr' }
+        }).from(html).save();
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Reports;
+}
\ No newline at end of file
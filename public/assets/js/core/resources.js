@@ -0,0 +1,728 @@
+/**
+ * AliveChMS Resource Clients
+ *
+ * One client per backend route module (routes/*.php) so pages call
+ * resources.members.get(id) instead of hand-building endpoint strings
+ * @version 1.0.0
+ */
+
+/**
+ * @typedef {Object} Pagination
+ * @property {number} page - Current page
+ * @property {number} limit - Page size
+ * @property {number} total - Total records
+ * @property {number} pages - Total pages
+ */
+
+/**
+ * @typedef {Object} PaginatedResponse
+ * @property {Array<Object>} data - Records on this page
+ * @property {Pagination} pagination - Pagination info
+ */
+
+/**
+ * @typedef {Object} ListParams
+ * @property {number} [page] - Page number (default 1)
+ * @property {number} [limit] - Page size (default 10, max 100)
+ */
+
+/**
+ * @typedef {Object} MutationResponse
+ * @property {string} status - 'success' (or 'queued' when saved offline)
+ * @property {string} [message] - Result message
+ * @property {number} [id] - ID of the created record
+ */
+
+/**
+ * @typedef {Object} ReviewPayload
+ * @property {'approve'|'reject'} action - Review decision
+ * @property {string} [remarks] - Reviewer remarks
+ */
+
+/**
+ * @typedef {Object} DateRange
+ * @property {string} [date_from] - Start date (YYYY-MM-DD)
+ * @property {string} [date_to] - End date (YYYY-MM-DD)
+ */
+
+class ResourceClient {
+    /**
+     * @param {string} resource - Route prefix (e.g. 'member')
+     * @param {Object} options - Client options
+     * @param {Array<string>} options.actions - Supported CRUD actions
+     * @param {string} options.updateMethod - HTTP method of the update route
+     * @param {string} options.deleteMethod - HTTP method of the delete route
+     */
+    constructor(resource, options = {}) {
+        this.resource = resource;
+        this.actions = options.actions || ['list', 'get', 'create', 'update', 'delete'];
+        this.updateMethod = options.updateMethod || 'PUT';
+        this.deleteMethod = options.deleteMethod || 'DELETE';
+    }
+    
+    /**
+     * Build an endpoint under this resource
+     * @param {...(string|number)} segments - Path segments
+     * @returns {string} Endpoint (e.g. 'member/view/5')
+     */
+    path(...segments) {
+        return [this.resource, ...segments.map(segment => encodeURIComponent(segment))].join('/');
+    }
+    
+    /**
+     * Throw if the backend has no route for an action
+     * @param {string} action - CRUD action
+     * @throws {Error} When unsupported
+     */
+    assertSupports(action) {
+        if (!this.actions.includes(action)) {
+            throw new Error(`${this.resource} does not support ${action}`);
+        }
+    }
+    
+    /**
+     * Send a write request, routing FormData through api.upload
+     * @param {string} method - HTTP method
+     * @param {string} endpoint - API endpoint
+     * @param {Object|FormData} data - Request body
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Response data
+     */
+    send(method, endpoint, data = {}, options = {}) {
+        if (typeof FormData !== 'undefined' && data instanceof FormData) {
+            return api.upload(endpoint, data, { ...options, method });
+        }
+        
+        switch (method) {
+            case 'PUT':
+                return api.put(endpoint, data, options);
+            case 'DELETE':
+                return api.delete(endpoint, options);
+            default:
+                return api.post(endpoint, data, options);
+        }
+    }
+    
+    /**
+     * List records
+     * @param {ListParams} params - Pagination and filters
+     * @param {Object} options - api.get options (cache, forceRefresh, signal...)
+     * @returns {Promise<PaginatedResponse>} Records
+     */
+    list(params = {}, options = {}) {
+        this.assertSupports('list');
+        return api.get(this.path('all'), params, options);
+    }
+    
+    /**
+     * Get a single record
+     * @param {number} id - Record ID
+     * @param {Object} options - api.get options
+     * @returns {Promise<Object>} Record
+     */
+    get(id, options = {}) {
+        this.assertSupports('get');
+        return api.get(this.path('view', id), null, options);
+    }
+    
+    /**
+     * Create a record
+     * @param {Object|FormData} data - Record data
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    create(data, options = {}) {
+        this.assertSupports('create');
+        return this.send('POST', this.path('create'), data, options);
+    }
+    
+    /**
+     * Update a record
+     * @param {number} id - Record ID
+     * @param {Object|FormData} data - Changed fields
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    update(id, data, options = {}) {
+        this.assertSupports('update');
+        return this.send(this.updateMethod, this.path('update', id), data, options);
+    }
+    
+    /**
+     * Delete a record
+     * @param {number} id - Record ID
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    delete(id, options = {}) {
+        this.assertSupports('delete');
+        return this.send(this.deleteMethod, this.path('delete', id), {}, options);
+    }
+}
+
+class MemberClient extends ResourceClient {
+    constructor() {
+        super('member');
+    }
+    
+    /**
+     * Get recently registered members
+     * @param {Object} options - api.get options
+     * @returns {Promise<Array<Object>>} Members
+     */
+    recent(options = {}) {
+        return api.get(this.path('recent'), null, options);
+    }
+}
+
+class FamilyClient extends ResourceClient {
+    constructor() {
+        super('family');
+    }
+    
+    /**
+     * Add a member to a family
+     * @param {number} familyId - Family ID
+     * @param {Object} data - { member_id, role }
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    addMember(familyId, data, options = {}) {
+        return api.post(this.path('addMember', familyId), data, options);
+    }
+    
+    /**
+     * Remove a member from a family
+     * @param {number} familyId - Family ID
+     * @param {number} memberId - Member ID
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    removeMember(familyId, memberId, options = {}) {
+        return api.delete(this.path('removeMember', familyId, memberId), options);
+    }
+    
+    /**
+     * Change a member's role within a family
+     * @param {number} familyId - Family ID
+     * @param {number} memberId - Member ID
+     * @param {Object} data - { role }
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    updateMemberRole(familyId, memberId, data, options = {}) {
+        return api.put(this.path('updateMemberRole', familyId, memberId), data, options);
+    }
+}
+
+class ContributionClient extends ResourceClient {
+    constructor() {
+        super('contribution');
+    }
+    
+    /**
+     * Restore a soft-deleted contribution
+     * @param {number} id - Contribution ID
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    restore(id, options = {}) {
+        return api.post(this.path('restore', id), {}, options);
+    }
+    
+    /**
+     * Get the contribution total for the given filters
+     * @param {Object} params - Filters
+     * @param {Object} options - api.get options
+     * @returns {Promise<Object>} Total
+     */
+    total(params = {}, options = {}) {
+        return api.get(this.path('total'), params, options);
+    }
+    
+    /**
+     * Email a contribution's receipt to the member (built by the backend)
+     * @param {number} id - Contribution ID
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    emailReceipt(id, options = {}) {
+        return api.post(this.path('receipt', 'email', id), {}, options);
+    }
+    
+    /**
+     * Email a member's giving statement (built by the backend)
+     * @param {Object} data - { member_id, fiscal_year_id } or { member_id, start_date, end_date }
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    emailStatement(data, options = {}) {
+        return api.post(this.path('statement', 'email'), data, options);
+    }
+}
+
+class PledgeClient extends ResourceClient {
+    constructor() {
+        super('pledge', { actions: ['list', 'get', 'create'] });
+    }
+    
+    /**
+     * Record a payment against a pledge
+     * @param {number} id - Pledge ID
+     * @param {Object} data - Payment details
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    addPayment(id, data, options = {}) {
+        return api.post(this.path('payment', 'add', id), data, options);
+    }
+    
+    /**
+     * Get fulfilment progress (percentage, balance, status)
+     * @param {number} id - Pledge ID
+     * @param {Object} options - api.get options
+     * @returns {Promise<Object>} Progress
+     */
+    progress(id, options = {}) {
+        return api.get(this.path('progress', id), null, options);
+    }
+}
+
+class ExpenseClient extends ResourceClient {
+    constructor() {
+        super('expense', { actions: ['list', 'get', 'create'] });
+    }
+    
+    /**
+     * Approve or reject an expense
+     * @param {number} id - Expense ID
+     * @param {ReviewPayload} data - Review decision
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    review(id, data, options = {}) {
+        return api.post(this.path('review', id), data, options);
+    }
+    
+    /**
+     * Cancel a pending expense
+     * @param {number} id - Expense ID
+     * @param {string} reason - Cancellation reason (required)
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    cancel(id, reason, options = {}) {
+        return api.post(this.path('cancel', id), { reason }, options);
+    }
+}
+
+class BudgetClient extends ResourceClient {
+    constructor() {
+        super('budget', { actions: ['list', 'get', 'create', 'update'] });
+    }
+    
+    /**
+     * Submit a draft budget for approval
+     * @param {number} id - Budget ID
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    submit(id, options = {}) {
+        return api.put(this.path('submit', id), {}, options);
+    }
+    
+    /**
+     * Approve or reject a submitted budget
+     * @param {number} id - Budget ID
+     * @param {ReviewPayload} data - Review decision
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    review(id, data, options = {}) {
+        return api.post(this.path('review', id), data, options);
+    }
+    
+    /**
+     * Add a line item to a budget
+     * @param {number} budgetId - Budget ID
+     * @param {Object} data - Item data
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    addItem(budgetId, data, options = {}) {
+        return api.post(this.path('item', 'add', budgetId), data, options);
+    }
+    
+    /**
+     * Update a budget line item
+     * @param {number} itemId - Item ID
+     * @param {Object} data - Changed fields
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    updateItem(itemId, data, options = {}) {
+        return api.put(this.path('item', 'update', itemId), data, options);
+    }
+    
+    /**
+     * Delete a budget line item
+     * @param {number} itemId - Item ID
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    deleteItem(itemId, options = {}) {
+        return api.delete(this.path('item', 'delete', itemId), options);
+    }
+}
+
+class EventClient extends ResourceClient {
+    constructor() {
+        super('event');
+    }
+    
+    /**
+     * Record attendance for many members at once
+     * @param {number} eventId - Event ID
+     * @param {Array<Object>} attendances - [{ member_id, status }]
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    recordAttendance(eventId, attendances, options = {}) {
+        return api.post(this.path('attendance', 'bulk', eventId), { attendances }, options);
+    }
+    
+    /**
+     * Record attendance for one member (self check-in)
+     * @param {number} eventId - Event ID
+     * @param {number} memberId - Member ID
+     * @param {string} status - Attendance status
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    checkIn(eventId, memberId, status = 'Present', options = {}) {
+        return api.post(this.path('attendance', 'single', eventId), { member_id: memberId, status }, options);
+    }
+}
+
+class GroupClient extends ResourceClient {
+    constructor() {
+        super('group');
+    }
+    
+    /**
+     * Add a member to a group
+     * @param {number} groupId - Group ID
+     * @param {number} memberId - Member ID
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    addMember(groupId, memberId, options = {}) {
+        return api.post(this.path('addMember', groupId), { member_id: memberId }, options);
+    }
+    
+    /**
+     * Remove a member from a group
+     * @param {number} groupId - Group ID
+     * @param {number} memberId - Member ID
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    removeMember(groupId, memberId, options = {}) {
+        return api.delete(this.path('removeMember', groupId, memberId), options);
+    }
+    
+    /**
+     * List members of a group
+     * @param {number} groupId - Group ID
+     * @param {ListParams} params - Pagination
+     * @param {Object} options - api.get options
+     * @returns {Promise<PaginatedResponse>} Members
+     */
+    members(groupId, params = {}, options = {}) {
+        return api.get(this.path('members', groupId), params, options);
+    }
+}
+
+class FiscalYearClient extends ResourceClient {
+    constructor() {
+        super('fiscalyear', { updateMethod: 'POST', deleteMethod: 'POST' });
+    }
+    
+    /**
+     * Close a fiscal year
+     * @param {number} id - Fiscal year ID
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    close(id, options = {}) {
+        return api.post(this.path('close', id), {}, options);
+    }
+}
+
+class MembershipTypeClient extends ResourceClient {
+    constructor() {
+        super('membershiptype', { updateMethod: 'POST', deleteMethod: 'POST' });
+    }
+    
+    /**
+     * Assign a membership type to a member
+     * @param {number} memberId - Member ID
+     * @param {Object} data - { membership_type_id, start_date, end_date }
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    assign(memberId, data, options = {}) {
+        return api.post(this.path('assign', memberId), data, options);
+    }
+    
+    /**
+     * Update an existing assignment
+     * @param {number} assignmentId - Assignment ID
+     * @param {Object} data - Changed fields
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    updateAssignment(assignmentId, data, options = {}) {
+        return api.post(this.path('updateAssignment', assignmentId), data, options);
+    }
+    
+    /**
+     * Get a member's membership type assignments
+     * @param {number} memberId - Member ID
+     * @param {Object} params - { active, start_date, end_date }
+     * @param {Object} options - api.get options
+     * @returns {Promise<Array<Object>>} Assignments
+     */
+    memberAssignments(memberId, params = {}, options = {}) {
+        return api.get(this.path('memberassignments', memberId), params, options);
+    }
+}
+
+class RoleClient extends ResourceClient {
+    constructor() {
+        super('role');
+    }
+    
+    /**
+     * Replace the permissions of a role
+     * @param {number} roleId - Role ID
+     * @param {Array<number>} permissionIds - Permission IDs
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    setPermissions(roleId, permissionIds, options = {}) {
+        return api.post(this.path('permissions', roleId), { permission_ids: permissionIds }, options);
+    }
+    
+    /**
+     * Assign a role to a member
+     * @param {number} memberId - Member ID
+     * @param {number} roleId - Role ID
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    assign(memberId, roleId, options = {}) {
+        return api.post(this.path('assign', memberId), { role_id: roleId }, options);
+    }
+}
+
+class VolunteerClient extends ResourceClient {
+    constructor() {
+        super('volunteer', { actions: [] });
+    }
+    
+    /**
+     * Create a volunteer role
+     * @param {Object} data - { name, description }
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    createRole(data, options = {}) {
+        return api.post(this.path('role', 'create'), data, options);
+    }
+    
+    /**
+     * List volunteer roles
+     * @param {Object} options - api.get options
+     * @returns {Promise<Array<Object>>} Roles
+     */
+    roles(options = {}) {
+        return api.get(this.path('role', 'all'), null, options);
+    }
+    
+    /**
+     * Assign volunteers to an event
+     * @param {number} eventId - Event ID
+     * @param {Array<Object>} volunteers - [{ member_id, role_id, notes }]
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    assign(eventId, volunteers, options = {}) {
+        return api.post(this.path('assign', eventId), { volunteers }, options);
+    }
+    
+    /**
+     * Confirm or decline an assignment
+     * @param {number} assignmentId - Assignment ID
+     * @param {'confirm'|'decline'} action - Response
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    respond(assignmentId, action, options = {}) {
+        return api.post(this.path('confirm', assignmentId), { action }, options);
+    }
+    
+    /**
+     * Mark an assignment as completed
+     * @param {number} assignmentId - Assignment ID
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    complete(assignmentId, options = {}) {
+        return api.post(this.path('complete', assignmentId), {}, options);
+    }
+    
+    /**
+     * List volunteers assigned to an event
+     * @param {number} eventId - Event ID
+     * @param {ListParams} params - Pagination (default limit 50)
+     * @param {Object} options - api.get options
+     * @returns {Promise<PaginatedResponse>} Assignments
+     */
+    forEvent(eventId, params = {}, options = {}) {
+        return api.get(this.path('event', eventId), params, options);
+    }
+    
+    /**
+     * Remove a volunteer assignment
+     * @param {number} assignmentId - Assignment ID
+     * @param {Object} options - Request options
+     * @returns {Promise<MutationResponse>} Result
+     */
+    remove(assignmentId, options = {}) {
+        return api.delete(this.path('remove', assignmentId), options);
+    }
+}
+
+class FinanceClient extends ResourceClient {
+    constructor() {
+        super('finance', { actions: [] });
+    }
+    
+    /**
+     * Get a financial report for a fiscal year
+     * @param {string} type - Report (income-statement, budget-vs-actual,
+     *     expense-summary, contribution-summary, balance-sheet)
+     * @param {number} fiscalYearId - Fiscal year ID
+     * @param {DateRange} params - Optional date range
+     * @param {Object} options - api.get options
+     * @returns {Promise<Object>} Report
+     */
+    report(type, fiscalYearId, params = {}, options = {}) {
+        return api.get(this.path(type, fiscalYearId), params, options);
+    }
+    
+    /**
+     * @param {number} fiscalYearId - Fiscal year ID
+     * @param {DateRange} params - Optional date range
+     * @returns {Promise<Object>} Income statement
+     */
+    incomeStatement(fiscalYearId, params = {}) {
+        return this.report('income-statement', fiscalYearId, params);
+    }
+    
+    /**
+     * @param {number} fiscalYearId - Fiscal year ID
+     * @param {DateRange} params - Optional date range
+     * @returns {Promise<Object>} Budget vs actual comparison
+     */
+    budgetVsActual(fiscalYearId, params = {}) {
+        return this.report('budget-vs-actual', fiscalYearId, params);
+    }
+    
+    /**
+     * @param {number} fiscalYearId - Fiscal year ID
+     * @param {DateRange} params - Optional date range
+     * @returns {Promise<Object>} Expense summary by category
+     */
+    expenseSummary(fiscalYearId, params = {}) {
+        return this.report('expense-summary', fiscalYearId, params);
+    }
+    
+    /**
+     * @param {number} fiscalYearId - Fiscal year ID
+     * @param {DateRange} params - Optional date range
+     * @returns {Promise<Object>} Contribution summary by type
+     */
+    contributionSummary(fiscalYearId, params = {}) {
+        return this.report('contribution-summary', fiscalYearId, params);
+    }
+    
+    /**
+     * @param {number} fiscalYearId - Fiscal year ID
+     * @param {DateRange} params - Optional date range
+     * @returns {Promise<Object>} Balance sheet
+     */
+    balanceSheet(fiscalYearId, params = {}) {
+        return this.report('balance-sheet', fiscalYearId, params);
+    }
+}
+
+class DashboardClient extends ResourceClient {
+    constructor() {
+        super('dashboard', { actions: [] });
+    }
+    
+    /**
+     * Get dashboard overview statistics
+     * @param {Object} options - api.get options (e.g. { forceRefresh: true })
+     * @returns {Promise<Object>} Overview
+     */
+    overview(options = {}) {
+        return api.get(this.path('overview'), null, options);
+    }
+    
+    /**
+     * Get the signed-in user's dashboard layout
+     * @param {Object} options - api.get options
+     * @returns {Promise<Object>} { layout } (null when none is saved)
+     */
+    layout(options = {}) {
+        return api.get(this.path('layout'), null, options);
+    }
+    
+    /**
+     * Save the signed-in user's dashboard layout
+     * @param {Object} layout - Layout record (see DashboardWidgets.save())
+     * @param {Object} options - api.put options
+     * @returns {Promise<Object>} Result
+     */
+    saveLayout(layout, options = {}) {
+        return api.put(this.path('layout'), { layout }, options);
+    }
+}
+
+// Create singleton instances
+const resources = {
+    members: new MemberClient(),
+    families: new FamilyClient(),
+    contributions: new ContributionClient(),
+    pledges: new PledgeClient(),
+    expenses: new ExpenseClient(),
+    expenseCategories: new ResourceClient('expensecategory'),
+    budgets: new BudgetClient(),
+    events: new EventClient(),
+    groups: new GroupClient(),
+    groupTypes: new ResourceClient('grouptype'),
+    fiscalYears: new FiscalYearClient(),
+    membershipTypes: new MembershipTypeClient(),
+    roles: new RoleClient(),
+    volunteers: new VolunteerClient(),
+    finance: new FinanceClient(),
+    dashboard: new DashboardClient()
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResourceClient, resources };
+}
\ No newline at end of file
@@ -0,0 +1,274 @@
+/**
+ * AliveChMS Statements
+ *
+ * Contribution receipts and giving statements. A statement gathers a
+ * member's contributions (contribution/all) and pledge payments for a
+ * date range or fiscal year; both documents are numbered and laid out with
+ * Reports (letterhead, print, PDF). Emailed copies are built by the backend
+ * (contribution/receipt/email, contribution/statement/email).
+ *
+ *   const statement = await Statements.build(42, { fiscalYear });
+ *   const html = Statements.renderStatement(statement);
+ *   await Statements.emailStatement(42, statement.period);
+ * @version 1.0.0
+ */
+
+const Statements = {
+    
+    /**
+     * Get the receipt number of a contribution
+     * @param {number} contributionId - Contribution ID
+     * @returns {string} Receipt number (e.g. RCT-000123)
+     */
+    receiptNumber(contributionId) {
+        return `${Config.RECEIPT_PREFIX}${String(contributionId).padStart(6, '0')}`;
+    },
+    
+    /**
+     * Get the number of a member's statement
+     * Reprints of the same period get the same number.
+     * @param {number} memberId - Member ID
+     * @param {Object} period - Period (see resolvePeriod())
+     * @returns {string} Statement number (e.g. STM-2025-00042)
+     */
+    statementNumber(memberId, period) {
+        return `${Config.STATEMENT_PREFIX}${Format.date(period.to, 'Y')}-${String(memberId).padStart(5, '0')}`;
+    },
+    
+    /**
+     * Get a member's full name
+     * @param {Object} member - Member or contribution row
+     * @returns {string} Name
+     */
+    memberName(member) {
+        return [member.MbrFirstName, member.MbrOtherNames, member.MbrFamilyName].filter(Boolean).join(' ');
+    },
+    
+    /**
+     * Fill in the dates of a period
+     * @param {Object} period - { fiscalYear } (from fiscalyear/all) or { from, to } (YYYY-MM-DD)
+     * @returns {Object} { from, to, fiscalYear }
+     */
+    resolvePeriod(period) {
+        if (period.fiscalYear) {
+            return {
+                from: period.fiscalYear.FiscalYearStartDate,
+                to: period.fiscalYear.FiscalYearEndDate,
+                fiscalYear: period.fiscalYear
+            };
+        }
+        if (!period.from || !period.to) throw new Error('A fiscal year or a start and end date is required');
+        if (period.from > period.to) throw new Error('The start date must be before the end date');
+        
+        return { from: period.from, to: period.to, fiscalYear: null };
+    },
+    
+    /**
+     * Check if a period is a whole year (fiscal or calendar)
+     * @param {Object} period - Resolved period
+     * @returns {boolean} Annual or not
+     */
+    isAnnual(period) {
+        return Boolean(period.fiscalYear) ||
+            (period.from.slice(5) === '01-01' && period.to.slice(5) === '12-31' && period.from.slice(0, 4) === period.to.slice(0, 4));
+    },
+    
+    /**
+     * Get the API filters of a period
+     * @param {Object} period - Resolved period
+     * @returns {Object} { fiscal_year_id } or { start_date, end_date }
+     */
+    periodParams(period) {
+        return period.fiscalYear
+            ? { fiscal_year_id: period.fiscalYear.FiscalYearID }
+            : { start_date: period.from, end_date: period.to };
+    },
+    
+    /**
+     * Fetch a member's contributions in a period
+     * @param {number} memberId - Member ID
+     * @param {Object} period - Resolved period
+     * @returns {Promise<Array<Object>>} Contributions, oldest first
+     */
+    async fetchContributions(memberId, period) {
+        const rows = await Exporter.fetchAll(resources.contributions, { member_id: memberId, ...this.periodParams(period) });
+        return rows.sort((a, b) => String(a.ContributionDate).localeCompare(String(b.ContributionDate)));
+    },
+    
+    /**
+     * Fetch a member's pledge payments in a period
+     * pledge/all has no payments, so each of the member's pledges is viewed.
+     * @param {number} memberId - Member ID
+     * @param {Object} period - Resolved period
+     * @returns {Promise<Array<Object>>} Payments with their pledge type, oldest first
+     */
+    async fetchPledgePayments(memberId, period) {
+        const pledges = await Exporter.fetchAll(resources.pledges, { member_id: memberId });
+        const details = await Promise.all(pledges.map(pledge => resources.pledges.get(pledge.PledgeID, { cache: false })));
+        
+        return details
+            .flatMap(pledge => (pledge.payments || []).map(payment => ({
+                ...payment,
+                PledgeTypeName: pledge.PledgeTypeName,
+                PledgeAmount: pledge.PledgeAmount
+            })))
+            .filter(payment => {
+                const date = String(payment.PaymentDate).slice(0, 10);
+                return date >= period.from && date <= period.to;
+            })
+            .sort((a, b) => String(a.PaymentDate).localeCompare(String(b.PaymentDate)));
+    },
+    
+    /**
+     * Total contributions by type and pledge payments
+     * Pledge payments recorded as a contribution are only counted once, as
+     * the contribution.
+     * @param {Array<Object>} contributions - Contributions
+     * @param {Array<Object>} payments - Pledge payments
+     * @returns {Object} { byType, payments, contributionsTotal, paymentsTotal, total }
+     */
+    aggregate(contributions, payments) {
+        const types = new Map();
+        contributions.forEach(contribution => {
+            const type = contribution.ContributionTypeName || 'Other';
+            const entry = types.get(type) || { type, count: 0, total: 0 };
+            entry.count++;
+            entry.total += Reports.amount(contribution.ContributionAmount);
+            types.set(type, entry);
+        });
+        
+        const contributionIds = new Set(contributions.map(contribution => String(contribution.ContributionID)));
+        const separate = payments.filter(payment => !payment.ContributionID || !contributionIds.has(String(payment.ContributionID)));
+        
+        const contributionsTotal = contributions.reduce((total, row) => total + Reports.amount(row.ContributionAmount), 0);
+        const paymentsTotal = separate.reduce((total, row) => total + Reports.amount(row.PaymentAmount), 0);
+        
+        return {
+            byType: [...types.values()].sort((a, b) => b.total - a.total),
+            payments: separate,
+            contributionsTotal,
+            paymentsTotal,
+            total: contributionsTotal + paymentsTotal
+        };
+    },
+    
+    /**
+     * Gather a member's giving statement
+     * @param {number} memberId - Member ID
+     * @param {Object} period - { fiscalYear } or { from, to }
+     * @returns {Promise<Object>} Statement data for renderStatement()
+     */
+    async build(memberId, period) {
+        const resolved = this.resolvePeriod(period);
+        const [member, contributions, payments] = await Promise.all([
+            resources.members.get(memberId),
+            this.fetchContributions(memberId, resolved),
+            this.fetchPledgePayments(memberId, resolved)
+        ]);
+        
+        return {
+            number: this.statementNumber(memberId, resolved),
+            member,
+            period: resolved,
+            contributions,
+            ...this.aggregate(contributions, payments)
+        };
+    },
+    
+    /**
+     * Render a giving statement
+     * @param {Object} statement - Statement from build()
+     * @returns {string} Statement HTML
+     */
+    renderStatement(statement) {
+        const { member, period } = statement;
+        const title = this.isAnnual(period) ? 'Annual Giving Statement' : 'Giving Statement';
+        const range = `${Format.date(period.from)} to ${Format.date(period.to)}`;
+        
+        const body = Reports.details([
+            ['Statement No.', statement.number],
+            ['Member', this.memberName(member)],
+            ['Address', member.MbrResidentialAddress],
+            ['Email', member.MbrEmailAddress],
+            ['Period', period.fiscalYear ? `${period.fiscalYear.YearName} (${range})` : range],
+            ['Date issued', Format.date(new Date())]
+        ]) +
+        Reports.section('Summary by Contribution Type', Reports.table([
+            { title: 'Contribution type', data: 'type' },
+            { title: 'Count', data: 'count', type: 'number' },
+            { title: 'Amount', data: 'total', type: 'currency' }
+        ], statement.byType, [
+            'Total contributions',
+            Format.number(statement.contributions.length),
+            Reports.money(statement.contributionsTotal)
+        ])) +
+        Reports.section('Contributions', Reports.table([
+            { title: 'Receipt No.', data: row => this.receiptNumber(row.ContributionID) },
+            { title: 'Date', data: 'ContributionDate', type: 'date' },
+            { title: 'Type', data: 'ContributionTypeName' },
+            { title: 'Method', data: 'PaymentOptionName' },
+            { title: 'Amount', data: 'ContributionAmount', type: 'currency' }
+        ], statement.contributions)) +
+        (statement.payments.length ? Reports.section('Pledge Payments', Reports.table([
+            { title: 'Date', data: 'PaymentDate', type: 'date' },
+            { title: 'Pledge', data: 'PledgeTypeName' },
+            { title: 'Amount', data: 'PaymentAmount', type: 'currency' }
+        ], statement.payments, ['Total pledge payments', '', Reports.money(statement.paymentsTotal)])) : '') +
+        Reports.summary([
+            ['Total giving', Reports.money(statement.total)]
+        ]) +
+        (Config.STATEMENT_NOTE ? `<p class="report-note">${Reports.escape(Config.STATEMENT_NOTE)}</p>` : '');
+        
+        return Reports.layout(title, range, body);
+    },
+    
+    /**
+     * Render a contribution receipt
+     * @param {Object} contribution - Contribution (contribution/view or contribution/all row)
+     * @returns {string} Receipt HTML
+     */
+    renderReceipt(contribution) {
+        const number = this.receiptNumber(contribution.ContributionID);
+        
+        const body = Reports.details([
+            ['Receipt No.', number],
+            ['Received from', this.memberName(contribution)],
+            ['Amount', Reports.money(contribution.ContributionAmount)],
+            ['Being', contribution.ContributionTypeName],
+            ['Description', contribution.Description],
+            ['Payment method', contribution.PaymentOptionName]
+        ]) +
+        `<div class="report-signature">${Reports.escape(Auth.getUserName() || 'Received by')}</div>`;
+        
+        return Reports.layout('Official Receipt', Format.date(contribution.ContributionDate), body);
+    },
+    
+    /**
+     * Email a contribution's receipt to the member's address on file
+     * The backend builds the email from the contribution, like renderReceipt().
+     * @param {number} contributionId - Contribution ID
+     * @returns {Promise<Object>} Result
+     */
+    emailReceipt(contributionId) {
+        return resources.contributions.emailReceipt(contributionId, { offlineQueue: false });
+    },
+    
+    /**
+     * Email a member's giving statement to their address on file
+     * The backend builds the email from the same period, like renderStatement().
+     * @param {number} memberId - Member ID
+     * @param {Object} period - Resolved period
+     * @returns {Promise<Object>} Result
+     */
+    emailStatement(memberId, period) {
+        return resources.contributions.emailStatement({
+            member_id: memberId,
+            ...this.periodParams(period)
+        }, { offlineQueue: false });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Statements;
+}
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * AliveChMS Token Storage
+ *
+ * Where the session (tokens and user profile) is kept, selected with
+ * Config.TOKEN_STORAGE:
+ *   'local'   access token, refresh token and user in localStorage (default),
+ *             or sessionStorage when "remember me" was off at login
+ *   'memory'  access token and user in memory only; the backend keeps the
+ *             refresh token in an httpOnly cookie and Auth restores the
+ *             session from it on every page load
+ * @version 1.0.0
+ */
+
+const TokenStorage = {
+    
+    /**
+     * Registered strategies by name
+     */
+    strategies: {},
+    
+    /**
+     * Register a storage strategy
+     * A strategy implements getAccessToken, getRefreshToken, setTokens,
+     * getUser, setUser, clear and isSessionOnly, and sets usesCookie when
+     * the refresh token lives in an httpOnly cookie.
+     * @param {string} name - Strategy name (value of Config.TOKEN_STORAGE)
+     * @param {Object} strategy - Strategy implementation
+     */
+    register(name, strategy) {
+        this.strategies[name] = strategy;
+    },
+    
+    /**
+     * Get the configured strategy
+     * @returns {Object} Storage strategy
+     */
+    get current() {
+        const strategy = this.strategies[Config.TOKEN_STORAGE];
+        if (!strategy) {
+            Config.warn(`Unknown token storage "${Config.TOKEN_STORAGE}", using local`);
+            return this.strategies.local;
+        }
+        return strategy;
+    }
+};
+
+TokenStorage.register('local', {
+    usesCookie: false,
+    
+    /**
+     * Storage holding the current session
+     * @returns {Storage} sessionStorage for session-only logins, else localStorage
+     */
+    get storage() {
+        return sessionStorage.getItem(Config.TOKEN_KEY) !== null ? sessionStorage : localStorage;
+    },
+    
+    /**
+     * Check if the session ends when the browser closes
+     * @returns {boolean} Is session-only
+     */
+    isSessionOnly() {
+        return this.storage === sessionStorage;
+    },
+    
+    /**
+     * Get the access token
+     * @returns {string|null} Access token
+     */
+    getAccessToken() {
+        return this.storage.getItem(Config.TOKEN_KEY);
+    },
+    
+    /**
+     * Get the refresh token
+     * @returns {string|null} Refresh token
+     */
+    getRefreshToken() {
+        return this.storage.getItem(Config.REFRESH_TOKEN_KEY);
+    },
+    
+    /**
+     * Store a token pair
+     * @param {string} accessToken - Access token
+     * @param {string} refreshToken - Refresh token
+     * @param {boolean} remember - Persist across browser restarts (omit to keep the current choice)
+     */
+    setTokens(accessToken, refreshToken, remember = undefined) {
+        let storage = this.storage;
+        
+        if (remember !== undefined) {
+            this.clear();
+            storage = remember ? localStorage : sessionStorage;
+        }
+        
+        storage.setItem(Config.TOKEN_KEY, accessToken);
+        storage.setItem(Config.REFRESH_TOKEN_KEY, refreshToken);
+    },
+    
+    /**
+     * Get the stored user
+     * @returns {Object|null} User data
+     */
+    getUser() {
+        const userData = this.storage.getItem(Config.USER_KEY);
+        if (!userData) return null;
+        
+        try {
+            return JSON.parse(userData);
+        } catch (e) {
+            Config.error('Failed to parse user data', e);
+            return null;
+        }
+    },
+    
+    /**
+     * Store the user
+     * @param {Object} user - User data
+     */
+    setUser(user) {
+        this.storage.setItem(Config.USER_KEY, JSON.stringify(user));
+    },
+    
+    /**
+     * Remove the session from both storages
+     */
+    clear() {
+        [localStorage, sessionStorage].forEach(storage => {
+            storage.removeItem(Config.TOKEN_KEY);
+            storage.removeItem(Config.REFRESH_TOKEN_KEY);
+            storage.removeItem(Config.USER_KEY);
+        });
+    }
+});
+
+TokenStorage.register('memory', {
+    usesCookie: true,
+    accessToken: null,
+    user: null,
+    
+    /**
+     * The refresh cookie's lifetime is decided by the backend
+     * @returns {boolean} Always false - every tab shares the cookie
+     */
+    isSessionOnly() {
+        return false;
+    },
+    
+    /**
+     * Get the access token
+     * @returns {string|null} Access token
+     */
+    getAccessToken() {
+        return this.accessToken;
+    },
+    
+    /**
+     * Refresh token is an httpOnly cookie - never visible here
+     * @returns {null}
+     */
+    getRefreshToken() {
+        return null;
+    },
+    
+    /**
+     * Store the access token (the refresh token is ignored)
+     * @param {string} accessToken - Access token
+     */
+    setTokens(accessToken) {
+        this.accessToken = accessToken;
+    },
+    
+    /**
+     * Get the user
+     * @returns {Object|null} Copy of the user data
+     */
+    getUser() {
+        return this.user ? { ...this.user } : null;
+    },
+    
+    /**
+     * Store the user
+     * @param {Object} user - User data
+     */
+    setUser(user) {
+        this.user = user ? { ...user } : null;
+    },
+    
+    /**
+     * Remove the session, including tokens left in localStorage by 'local' mode
+     */
+    clear() {
+        this.accessToken = null;
+        this.user = null;
+        TokenStorage.strategies.local.clear();
+    }
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TokenStorage;
+}
\ No newline at end of file
@@ -43,107 +43,76 @@ const Utils = {
     },
     
     /**
-     * Format currency
+     * Format currency (see Format.currency)
      * @param {number} amount - Amount to format
      * @param {string} currency - Currency code
      * @returns {string} Formatted currency
      */
     formatCurrency(amount, currency = Config.CURRENCY) {
-        if (amount === null || amount === undefined) return '-';
-        const num = parseFloat(amount);
-        if (isNaN(num)) return '-';
-        return `${Config.CURRENCY_SYMBOL}${num.toFixed(2).replace(/\d(?=(\d{3})+\.)/g, '$&,')}`;
+        return Format.currency(amount, currency);
     },
     
     /**
-     * Format date
+     * Format a number (see Format.number)
+     * @param {number} value - Number to format
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {string} Formatted number
+     */
+    formatNumber(value, options = {}) {
+        return Format.number(value, options);
+    },
+    
+    /**
+     * Format file size
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Human readable size (e.g., "5 MB")
+     */
+    formatFileSize(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        const size = bytes / Math.pow(1024, i);
+        return `${Number.isInteger(size) ? size : size.toFixed(1)} ${units[i]}`;
+    },
+    
+    /**
+     * Format date (see Format.date for the format tokens)
      * @param {string} date - Date string
      * @param {string} format - Format string
      * @returns {string} Formatted date
      */
     formatDate(date, format = Config.DISPLAY_DATE_FORMAT) {
-        if (!date) return '-';
-        const d = new Date(date);
-        if (isNaN(d)) return '-';
-        
-        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 
-                       'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        
-        const pad = (n) => String(n).padStart(2, '0');
-        
-        return format
-            .replace('Y', d.getFullYear())
-            .replace('m', pad(d.getMonth() + 1))
-            .replace('d', pad(d.getDate()))
-            .replace('M', months[d.getMonth()])
-            .replace('H', pad(d.getHours()))
-            .replace('h', pad(d.getHours() % 12 || 12))
-            .replace('i', pad(d.getMinutes()))
-            .replace('s', pad(d.getSeconds()))
-            .replace('K', d.getHours() >= 12 ? 'PM' : 'AM');
+        return Format.date(date, format);
     },
     
     /**
      * Format relative time
      * @param {string} date - Date string
-     * @returns {string} Relative time (e.g., "2 hours ago")
+     * @returns {string} Relative time (e.g., "2 hours ago", "in 3 days")
      */
     timeAgo(date) {
-        if (!date) return '-';
-        const d = new Date(date);
-        const now = new Date();
-        const seconds = Math.floor((now - d) / 1000);
-        
-        const intervals = {
-            year: 31536000,
-            month: 2592000,
-            week: 604800,
-            day: 86400,
-            hour: 3600,
-            minute: 60
-        };
-        
-        for (const [name, seconds_in] of Object.entries(intervals)) {
-            const interval = Math.floor(seconds / seconds_in);
-            if (interval >= 1) {
-                return interval === 1 
-                    ? `1 ${name} ago` 
-                    : `${interval} ${name}s ago`;
-            }
-        }
-        
-        return 'Just now';
+        return Format.relative(date);
     },
     
     /**
-     * Validate Ghana phone number
+     * Validate a phone number (see Phone)
      * @param {string} phone - Phone number
+     * @param {string} country - Country for numbers without a country code
      * @returns {boolean} Valid or not
      */
-    isValidPhone(phone) {
-        return Config.GHANA_PHONE_REGEX.test(phone.replace(/[\s\-\(\)]/g, ''));
+    isValidPhone(phone, country = Config.PHONE_DEFAULT_COUNTRY) {
+        return Phone.isValid(phone, country);
     },
     
     /**
-     * Format Ghana phone number
+     * Format a phone number for display (see Phone)
      * @param {string} phone - Phone number
+     * @param {string} mode - 'national', 'international', 'e164' or 'auto'
      * @returns {string} Formatted phone
      */
-    formatPhone(phone) {
+    formatPhone(phone, mode = Config.PHONE_DISPLAY) {
         if (!phone) return '-';
-        const cleaned = phone.replace(/[\s\-\(\)]/g, '');
-        
-        // Convert to +233 format
-        if (cleaned.startsWith('0')) {
-            return '+233' + cleaned.substring(1);
-        }
-        if (cleaned.startsWith('233')) {
-            return '+' + cleaned;
-        }
-        if (cleaned.startsWith('+233')) {
-            return cleaned;
-        }
-        return phone;
+        return Phone.format(phone, mode);
     },
     
     /**
@@ -435,18 +404,23 @@ const Utils = {
     
     /**
      * Retry async function
-     * @param {Function} fn - Async function to retry
+     * @param {Function} fn - Async function to retry (receives attempt number)
      * @param {number} retries - Number of retries
      * @param {number} delay - Delay between retries
+     * @param {Object} options - Optional hooks
+     * @param {Function} options.shouldRetry - (error, attempt) => boolean
+     * @param {Function} options.getDelay - (attempt, error) => delay in ms
      * @returns {Promise} Function result
      */
-    async retry(fn, retries = 3, delay = 1000) {
+    async retry(fn, retries = 3, delay = 1000, options = {}) {
+        const { shouldRetry = () => true, getDelay = () => delay, attempt = 1 } = options;
+        
         try {
-            return await fn();
+            return await fn(attempt);
         } catch (error) {
-            if (retries <= 0) throw error;
-            await Utils.sleep(delay);
-            return Utils.retry(fn, retries - 1, delay);
+            if (retries <= 0 || !shouldRetry(error, attempt)) throw error;
+            await Utils.sleep(getDelay(attempt, error));
+            return Utils.retry(fn, retries - 1, delay, { ...options, attempt: attempt + 1 });
         }
     }
 };
@@ -0,0 +1,401 @@
+/**
+ * AliveChMS Form Validator
+ *
+ * Declarative client-side validation bound to a <form>. Schema keys are
+ * the backend field names, so errors have the same shape as a 422
+ * response ({ field: [messages], 'phone_numbers[1]': [...] }) and both
+ * are rendered by FormErrors.
+ *
+ *   new FormValidator(form, {
+ *       first_name: { selector: '#firstName', label: 'First name', required: true, max: 50 },
+ *       email_address: { selector: '#email', type: 'email', rules: [isEmailFree] },
+ *       phone_numbers: { selector: '.phone-number', multiple: true, type: 'phone' }
+ *   });
+ * @version 1.0.0
+ */
+
+class FormValidator {
+    /**
+     * @param {HTMLFormElement|null} form - Form to validate (null to only check values, see validateValues())
+     * @param {Object} schema - Field rules by backend field name
+     * @param {Object} options - Options
+     * @param {Function} options.onSubmit - Called with (values, event) when a submit passes validation
+     * @param {boolean} options.validateOnBlur - Validate a field when it loses focus (default true)
+     */
+    constructor(form, schema, options = {}) {
+        this.form = form;
+        this.schema = schema;
+        this.options = { validateOnBlur: true, ...options };
+        this.pending = new Map();
+        
+        this.handleBlur = event => this.onBlur(event);
+        this.handleSubmit = event => this.onSubmit(event);
+        
+        if (!form) return;
+        
+        if (this.options.validateOnBlur) {
+            form.addEventListener('focusout', this.handleBlur);
+        }
+        form.addEventListener('submit', this.handleSubmit);
+    }
+    
+    /**
+     * Built-in type checks (return true when valid)
+     */
+    static types = {
+        string: () => true,
+        email: value => Utils.isValidEmail(value),
+        phone: value => Utils.isValidPhone(value),
+        number: value => value !== '' && !isNaN(Number(value)),
+        integer: value => /^-?\d+$/.test(value),
+        url: value => {
+            try {
+                return ['http:', 'https:'].includes(new URL(value).protocol);
+            } catch (e) {
+                return false;
+            }
+        },
+        date: value => {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+            if (!match) return false;
+            const date = new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+            return date.getUTCMonth() === match[2] - 1 && date.getUTCDate() === Number(match[3]);
+        },
+        file: () => true
+    };
+    
+    /**
+     * Default messages; {label}, {min}, {max}, {size}, {options} are replaced
+     */
+    static messages = {
+        required: '{label} is required',
+        email: '{label} must be a valid email address',
+        phone: '{label} is not a valid phone number',
+        number: '{label} must be a number',
+        integer: '{label} must be a whole number',
+        url: '{label} must be a valid URL',
+        date: '{label} must be a valid date (YYYY-MM-DD)',
+        minLength: '{label} must be at least {min} characters',
+        maxLength: '{label} must not exceed {max} characters',
+        minValue: '{label} must be at least {min}',
+        maxValue: '{label} must not exceed {max}',
+        pattern: '{label} format is invalid',
+        options: '{label} must be one of: {options}',
+        maxSize: '{label} must be smaller than {size}',
+        accept: '{label} has an unsupported file type'
+    };
+    
+    /**
+     * Human label for a field
+     * @param {string} key - Field name
+     * @param {Object} rules - Field rules
+     * @returns {string} Label
+     */
+    label(key, rules) {
+        if (rules.label) return rules.label;
+        const words = key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').trim().toLowerCase();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+    
+    /**
+     * Build a message from a template
+     * @param {string} rule - Rule name
+     * @param {string} key - Field name
+     * @param {Object} rules - Field rules (rules.messages overrides the defaults)
+     * @param {Object} params - Placeholder values
+     * @returns {string} Message
+     */
+    message(rule, key, rules, params = {}) {
+        const template = rules.messages?.[rule] || FormValidator.messages[rule] || '{label} is invalid';
+        const values = { label: this.label(key, rules), ...params };
+        return template.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match);
+    }
+    
+    /**
+     * Get the controls of a field
+     * @param {string} key - Field name
+     * @returns {Array<HTMLElement>} Controls
+     */
+    getControls(key) {
+        const rules = this.schema[key];
+        const selector = rules.selector || `[name="${CSS.escape(key)}"]`;
+        return [...this.form.querySelectorAll(selector)];
+    }
+    
+    /**
+     * Read a control's value
+     * @param {HTMLElement} control - Control
+     * @returns {*} Trimmed string, boolean (checkbox) or File (file input)
+     */
+    readControl(control) {
+        if (control.type === 'checkbox') return control.checked;
+        if (control.type === 'file') return control.files?.[0] || null;
+        return typeof control.value === 'string' ? control.value.trim() : control.value;
+    }
+    
+    /**
+     * Read all values
+     * Fields with `multiple` give an array (blank entries dropped).
+     * @returns {Object} Values by field name
+     */
+    getValues() {
+        const values = {};
+        
+        Object.entries(this.schema).forEach(([key, rules]) => {
+            const controls = this.getControls(key);
+            values[key] = rules.multiple
+                ? controls.map(control => this.readControl(control)).filter(value => value !== '')
+                : (controls[0] ? this.readControl(controls[0]) : null);
+        });
+        
+        return values;
+    }
+    
+    /**
+     * Field map for FormErrors (backend field name -> selector)
+     * @returns {Object} Selectors by field name
+     */
+    get fieldMap() {
+        const map = {};
+        Object.entries(this.schema).forEach(([key, rules]) => {
+            if (rules.selector) map[key] = rules.selector;
+        });
+        return map;
+    }
+    
+    /**
+     * Check one value against the field's rules
+     * @param {string} key - Field name
+     * @param {*} value - Value
+     * @param {Object} values - All values (for cross-field rules)
+     * @returns {Promise<Array<string>>} Messages (empty when valid)
+     */
+    async checkValue(key, value, values) {
+        const rules = this.schema[key];
+        const empty = value === null || value === '' || value === false;
+        const required = typeof rules.required === 'function' ? rules.required(values) : rules.required;
+        
+        if (empty) {
+            return required ? [this.message('required', key, rules)] : [];
+        }
+        
+        const type = rules.type || 'string';
+        const check = FormValidator.types[type];
+        if (check && !check(value)) {
+            return [this.message(type, key, rules)];
+        }
+        
+        const errors = [];
+        const numeric = type === 'number' || type === 'integer';
+        
+        if (rules.options && !rules.options.map(String).includes(String(value))) {
+            return [this.message('options', key, rules, { options: rules.options.join(', ') })];
+        }
+        
+        if (type === 'file') {
+            if (rules.maxSize && value.size > rules.maxSize) {
+                errors.push(this.message('maxSize', key, rules, { size: Utils.formatFileSize(rules.maxSize) }));
+            }
+            if (rules.accept && !rules.accept.includes(value.type)) {
+                errors.push(this.message('accept', key, rules));
+            }
+        } else if (numeric) {
+            if (rules.min !== undefined && Number(value) < rules.min) {
+                errors.push(this.message('minValue', key, rules, { min: rules.min }));
+            }
+            if (rules.max !== undefined && Number(value) > rules.max) {
+                errors.push(this.message('maxValue', key, rules, { max: rules.max }));
+            }
+        } else if (typeof value === 'string') {
+            if (rules.min !== undefined && value.length < rules.min) {
+                errors.push(this.message('minLength', key, rules, { min: rules.min }));
+            }
+            if (rules.max !== undefined && value.length > rules.max) {
+                errors.push(this.message('maxLength', key, rules, { max: rules.max }));
+            }
+            if (rules.pattern && !rules.pattern.test(value)) {
+                errors.push(this.message('pattern', key, rules));
+            }
+        }
+        
+        if (errors.length > 0) return errors;
+        
+        // Custom rules: fn(value, values, validator) => true | message (may be async)
+        for (const rule of rules.rules || []) {
+            const result = await rule(value, values, this);
+            if (result !== true && result !== undefined) {
+                return [typeof result === 'string' ? result : this.message('invalid', key, rules)];
+            }
+        }
+        
+        return [];
+    }
+    
+    /**
+     * Validate one field
+     * @param {string} key - Field name
+     * @param {Object} values - All values (read from the form if omitted)
+     * @returns {Promise<Object>} Errors for this field ({ key: [...] } or { 'key[i]': [...] })
+     */
+    async validateField(key, values = this.getValues()) {
+        const rules = this.schema[key];
+        const errors = {};
+        
+        if (rules.when && !rules.when(values)) return errors;
+        
+        if (rules.multiple) {
+            // Check each control so errors point at the right row
+            const controls = this.getControls(key);
+            for (let index = 0; index < controls.length; index++) {
+                const value = this.readControl(controls[index]);
+                if (value === '') continue;
+                
+                const messages = await this.checkValue(key, value, values);
+                if (messages.length > 0) errors[`${key}[${index}]`] = messages;
+            }
+            
+            const required = typeof rules.required === 'function' ? rules.required(values) : rules.required;
+            if (required && values[key].length === 0) {
+                errors[key] = [this.message('required', key, rules)];
+            }
+            return errors;
+        }
+        
+        const messages = await this.checkValue(key, values[key], values);
+        if (messages.length > 0) errors[key] = messages;
+        return errors;
+    }
+    
+    /**
+     * Validate plain values against the schema, without a form
+     * Used for data that never sits in the form, such as imported rows.
+     * Fields with `multiple` take an array.
+     * @param {Object} values - Values by field name
+     * @returns {Promise<Object>} Errors in the same shape as validate()
+     */
+    async validateValues(values) {
+        const errors = {};
+        
+        for (const [key, rules] of Object.entries(this.schema)) {
+            if (rules.when && !rules.when(values)) continue;
+            
+            if (!rules.multiple) {
+                const messages = await this.checkValue(key, values[key] ?? null, values);
+                if (messages.length > 0) errors[key] = messages;
+                continue;
+            }
+            
+            const list = [].concat(values[key] ?? []).filter(value => value !== '' && value !== null);
+            for (let index = 0; index < list.length; index++) {
+                const messages = await this.checkValue(key, list[index], values);
+                if (messages.length > 0) errors[`${key}[${index}]`] = messages;
+            }
+            
+            const required = typeof rules.required === 'function' ? rules.required(values) : rules.required;
+            if (required && list.length === 0) {
+                errors[key] = [this.message('required', key, rules)];
+            }
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Validate the whole form and render the result
+     * @returns {Promise<Object>} { valid, errors, values }
+     */
+    async validate() {
+        const values = this.getValues();
+        const results = await Promise.all(Object.keys(this.schema).map(key => this.validateField(key, values)));
+        const errors = Object.assign({}, ...results);
+        
+        this.showErrors(errors);
+        
+        return { valid: Object.keys(errors).length === 0, errors, values };
+    }
+    
+    /**
+     * Render errors (from validate() or a backend 422) on the form
+     * @param {Object|APIError} errors - Errors
+     * @param {Object} options - FormErrors.show options
+     * @returns {Object} { mapped, unmapped }
+     */
+    showErrors(errors, options = {}) {
+        return FormErrors.show(this.form, errors, { fields: this.fieldMap, ...options });
+    }
+    
+    /**
+     * Find the field (and row) a control belongs to
+     * @param {HTMLElement} control - Control
+     * @returns {string|null} Field name
+     */
+    keyFor(control) {
+        return Object.keys(this.schema).find(key => this.getControls(key).includes(control)) || null;
+    }
+    
+    /**
+     * Validate the field that just lost focus
+     * Only the newest check per field is rendered (async rules may resolve out of order).
+     * @param {FocusEvent} event - focusout event
+     */
+    async onBlur(event) {
+        const key = this.keyFor(event.target);
+        if (!key) return;
+        
+        const token = Symbol(key);
+        this.pending.set(key, token);
+        
+        const errors = await this.validateField(key);
+        if (this.pending.get(key) !== token) return;
+        this.pending.delete(key);
+        
+        const rules = this.schema[key];
+        const controls = this.getControls(key);
+        
+        controls.forEach((control, index) => {
+            const messages = errors[rules.multiple ? `${key}[${index}]` : key]
+                || (index === 0 && rules.multiple ? errors[key] : null);
+                
+            if (messages) {
+                FormErrors.setFieldError(control, messages);
+            } else {
+                FormErrors.clearField(control);
+            }
+        });
+    }
+    
+    /**
+     * Validate on submit and hand valid values to options.onSubmit
+     * @param {SubmitEvent} event - submit event
+     */
+    async onSubmit(event) {
+        event.preventDefault();
+        
+        const { valid, values } = await this.validate();
+        if (valid && this.options.onSubmit) {
+            await this.options.onSubmit(values, event);
+        }
+    }
+    
+    /**
+     * Clear errors
+     */
+    reset() {
+        this.pending.clear();
+        FormErrors.clear(this.form);
+    }
+    
+    /**
+     * Stop listening to the form
+     */
+    destroy() {
+        if (!this.form) return;
+        this.form.removeEventListener('focusout', this.handleBlur);
+        this.form.removeEventListener('submit', this.handleSubmit);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormValidator;
+}
\ No newline at end of file
@@ -12,18 +12,25 @@
             </ol>
          </nav>
       </div>
-      <div class="col-auto">
-         <!-- <button class="btn btn-primary" onclick="location.reload()"> -->
-         <button class="btn btn-primary" onclick="loadDashboard()">
+      <div class="col-auto d-flex gap-2">
+         <button class="btn btn-outline-secondary d-none" id="resetLayoutBtn">
+            <i class="bi bi-arrow-counterclockwise me-2"></i>Reset Layout
+         </button>
+         <button class="btn btn-outline-primary" id="customizeDashboardBtn">
+            <i class="bi bi-grid-1x2 me-2"></i>Customize
+         </button>
+         <button class="btn btn-primary" onclick="loadDashboard(true)">
             <i class="bi bi-arrow-clockwise me-2"></i>Refresh
          </button>
       </div>
    </div>
 </div>
 
-<!-- Stats Cards -->
-<div class="row" id="statsCards">
-   <!-- Will be populated dynamically -->
+<!-- Hidden widgets (shown while customizing) -->
+<div class="card card-body mb-4 d-none" id="dashboardWidgetTray"></div>
+
+<!-- Widgets (see registerWidgets()) -->
+<div class="row" id="dashboardWidgets">
    <div class="col-12 text-center py-5">
       <div class="spinner-border text-primary" role="status">
          <span class="visually-hidden">Loading...</span>
@@ -32,221 +39,170 @@
    </div>
 </div>
 
-<!-- Charts Row -->
-<div class="row mt-4">
-   <!-- Attendance Chart -->
-   <div class="col-lg-8 col-md-12">
-      <div class="card">
-         <div class="card-header d-flex justify-content-between align-items-center">
-            <h5 class="mb-0">Attendance Trend (Last 4 Sundays)</h5>
-            <i class="bi bi-graph-up-arrow text-primary"></i>
-         </div>
-         <div class="card-body">
-            <canvas id="attendanceChart" height="180"></canvas>
-         </div>
-      </div>
-   </div>
-
-   <!-- Financial Overview -->
-   <div class="col-lg-4 col-md-12">
-      <div class="card">
-         <div class="card-header d-flex justify-content-between align-items-center">
-            <h5 class="mb-0">Financial Overview</h5>
-            <i class="bi bi-currency-dollar text-success"></i>
-         </div>
-         <div class="card-body">
-            <canvas id="financeChart" height="180"></canvas>
-            <div class="mt-3">
-               <div class="d-flex justify-content-between mb-2">
-                  <span class="text-muted">Income:</span>
-                  <strong class="text-success" id="totalIncome">₵0.00</strong>
-               </div>
-               <div class="d-flex justify-content-between mb-2">
-                  <span class="text-muted">Expenses:</span>
-                  <strong class="text-danger" id="totalExpenses">₵0.00</strong>
-               </div>
-               <hr>
-               <div class="d-flex justify-content-between">
-                  <span class="fw-bold">Net:</span>
-                  <strong id="netBalance">₵0.00</strong>
-               </div>
-            </div>
-         </div>
-      </div>
-   </div>
-</div>
-
-<!-- Upcoming Events & Recent Activity -->
-<div class="row mt-4">
-   <!-- Upcoming Events -->
-   <div class="col-lg-6 col-md-12">
-      <div class="card">
-         <div class="card-header d-flex justify-content-between align-items-center">
-            <h5 class="mb-0">Upcoming Events</h5>
-            <a href="events.php" class="btn btn-sm btn-outline-primary">View All</a>
-         </div>
-         <div class="card-body">
-            <div id="upcomingEvents">
-               <div class="text-center py-3">
-                  <div class="spinner-border spinner-border-sm text-primary"></div>
-               </div>
-            </div>
-         </div>
-      </div>
-   </div>
-
-   <!-- Recent Activity -->
-   <div class="col-lg-6 col-md-12">
-      <div class="card">
-         <div class="card-header d-flex justify-content-between align-items-center">
-            <h5 class="mb-0">Recent Activity</h5>
-            <span class="badge bg-primary" id="activityCount">0</span>
-         </div>
-         <div class="card-body">
-            <div id="recentActivity" style="max-height: 400px; overflow-y: auto;">
-               <div class="text-center py-3">
-                  <div class="spinner-border spinner-border-sm text-primary"></div>
-               </div>
-            </div>
-         </div>
-      </div>
-   </div>
-</div>
-
-<!-- Pending Approvals (if applicable) -->
-<div class="row mt-4" id="pendingApprovalsSection" style="display: none;">
-   <div class="col-12">
-      <div class="card">
-         <div class="card-header d-flex justify-content-between align-items-center">
-            <h5 class="mb-0">Pending Approvals</h5>
-            <span class="badge bg-warning text-dark" id="pendingCount">0</span>
-         </div>
-         <div class="card-body">
-            <div class="row" id="pendingApprovals">
-               <!-- Populated dynamically -->
-            </div>
-         </div>
-      </div>
-   </div>
-</div>
-
 <script>
-   let attendanceChart, financeChart;
-
-   // Load dashboard data
-   async function loadDashboard() {
-      try {
-         const data = await api.get('dashboard/overview');
-
-         // Populate stats cards
-         renderStatsCards(data);
-
-         // Render charts
-         renderAttendanceChart(data.attendance_last_4_sundays || []);
-         renderFinanceChart(data.finance || {});
-
-         // Populate upcoming events
-         renderUpcomingEvents(data.upcoming_events || []);
+   // Load dashboard data (forceRefresh bypasses the response cache)
+   async function loadDashboard(forceRefresh = false) {
+      await DashboardWidgets.refresh(forceRefresh);
 
-         // Populate recent activity
-         renderRecentActivity(data.recent_activity || []);
-
-         // Show pending approvals if user has permission
-         if (Auth.hasPermission(Config.PERMISSIONS.APPROVE_EXPENSES) ||
-            Auth.hasPermission(Config.PERMISSIONS.APPROVE_BUDGETS)) {
-            renderPendingApprovals(data.pending_approvals || {});
-         }
-
-      } catch (error) {
-         Alerts.handleApiError(error, 'Failed to load dashboard data');
-         document.getElementById('statsCards').innerHTML = `
-                <div class="col-12">
-                    <div class="alert alert-danger">
-                        <i class="bi bi-exclamation-triangle me-2"></i>
-                        Failed to load dashboard. Please refresh the page.
-                    </div>
-                </div>
-            `;
+      const result = DashboardWidgets.results.get('overview');
+      if (result && result.error) {
+         Alerts.handleApiError(result.error, 'Failed to load dashboard data');
       }
    }
 
-   // Render stats cards
-   function renderStatsCards(data) {
-      const membership = data.membership || {};
-      const finance = data.finance || {};
-      const pending = data.pending_approvals || {};
+   // Declare the dashboard cards: data source, permission and renderer
+   function registerWidgets() {
+      const P = Config.PERMISSIONS;
 
-      const cards = [{
+      DashboardWidgets.registerSource('overview', options => resources.dashboard.overview(options));
+
+      [{
+            id: 'stat-members',
             title: 'Total Active Members',
-            value: membership.total || 0,
-            change: `+${membership.new_this_month || 0} this month`,
-            icon: 'people',
+            permission: P.VIEW_MEMBERS,
             color: 'primary',
-            link: 'members.php'
+            icon: 'people',
+            link: 'members.php',
+            stat: data => {
+               const membership = data.membership || {};
+               return [membership.total || 0, `+${membership.new_this_month || 0} this month`];
+            }
          },
          {
+            id: 'stat-income',
             title: 'Total Income',
-            value: Utils.formatCurrency(parseFloat(finance.income || 0)),
-            change: 'This fiscal year',
-            icon: 'currency-dollar',
+            permission: P.VIEW_CONTRIBUTION,
             color: 'success',
-            link: 'contributions.php'
+            icon: 'currency-dollar',
+            link: 'contributions.php',
+            stat: data => [Utils.formatCurrency(parseFloat((data.finance || {}).income || 0)), 'This fiscal year']
          },
          {
+            id: 'stat-expenses',
             title: 'Total Expenses',
-            value: Utils.formatCurrency(parseFloat(finance.expenses || 0)),
-            change: 'This fiscal year',
-            icon: 'receipt',
+            permission: P.VIEW_EXPENSES,
             color: 'danger',
-            link: 'expenses.php'
+            icon: 'receipt',
+            link: 'expenses.php',
+            stat: data => [Utils.formatCurrency(parseFloat((data.finance || {}).expenses || 0)), 'This fiscal year']
          },
          {
+            id: 'stat-pending',
             title: 'Pending Approvals',
-            value: (pending.budgets || 0) + (pending.expenses || 0),
-            change: `${pending.budgets || 0} budgets, ${pending.expenses || 0} expenses`,
-            icon: 'clock-history',
+            permission: [P.APPROVE_EXPENSES, P.APPROVE_BUDGETS],
             color: 'warning',
-            link: '#pendingApprovalsSection'
+            icon: 'clock-history',
+            link: '#widget-pending-approvals',
+            stat: data => {
+               const pending = data.pending_approvals || {};
+               return [
+                  (pending.budgets || 0) + (pending.expenses || 0),
+                  `${pending.budgets || 0} budgets, ${pending.expenses || 0} expenses`
+               ];
+            }
          }
-      ];
-
-      const html = cards.map(card => `
-            <div class="col-lg-3 col-md-6">
-                <div class="card stat-card bg-${card.color} bg-opacity-25 mb-4">
-                    <div class="card-body">
-                        <div class="d-flex justify-content-between align-items-start mb-3">
-                            <div>
-                                <p class="text-muted mb-1">${card.title}</p>
-                                <h3 class="mb-0">${card.value}</h3>
-                                <small class="text-muted">${card.change}</small>
-                            </div>
-                            <div class="stat-icon bg-${card.color} text-white text-opacity-50 rounded-circle p-3">
-                                <i class="bi bi-${card.icon}"></i>
-                            </div>
-                        </div>
-                        <a href="${card.link}" class="btn btn-sm btn-${card.color}">
-                            View Details <i class="bi bi-arrow-right ms-1"></i>
-                        </a>
-                    </div>
+      ].forEach(card => DashboardWidgets.register({
+         id: card.id,
+         title: card.title,
+         icon: card.icon,
+         source: 'overview',
+         select: card.stat,
+         permission: card.permission,
+         size: 3,
+         sizes: [3, 4, 6],
+         header: false,
+         cardClass: `stat-card bg-${card.color} bg-opacity-25`,
+         render: (body, [value, change]) => renderStatCard(body, card, value, change)
+      }));
+
+      DashboardWidgets.register({
+         id: 'attendance-chart',
+         title: 'Attendance Trend (Last 4 Sundays)',
+         icon: 'graph-up-arrow',
+         source: 'overview',
+         select: data => data.attendance_last_4_sundays || [],
+         permission: P.VIEW_EVENTS,
+         size: 8,
+         headerHtml: '<i class="bi bi-graph-up-arrow text-primary"></i>',
+         render: renderAttendanceChart
+      });
+
+      DashboardWidgets.register({
+         id: 'finance-chart',
+         title: 'Financial Overview',
+         icon: 'pie-chart',
+         source: 'overview',
+         select: data => data.finance || {},
+         permission: P.VIEW_FINANCIAL_REPORTS,
+         size: 4,
+         headerHtml: '<i class="bi bi-currency-dollar text-success"></i>',
+         render: renderFinanceChart
+      });
+
+      DashboardWidgets.register({
+         id: 'upcoming-events',
+         title: 'Upcoming Events',
+         icon: 'calendar-event',
+         source: 'overview',
+         select: data => data.upcoming_events || [],
+         permission: P.VIEW_EVENTS,
+         size: 6,
+         headerHtml: '<a href="events.php" class="btn btn-sm btn-outline-primary">View All</a>',
+         render: renderUpcomingEvents
+      });
+
+      DashboardWidgets.register({
+         id: 'recent-activity',
+         title: 'Recent Activity',
+         icon: 'activity',
+         source: 'overview',
+         select: data => data.recent_activity || [],
+         size: 6,
+         headerHtml: '<span class="badge bg-primary" data-activity-count>0</span>',
+         render: renderRecentActivity
+      });
+
+      DashboardWidgets.register({
+         id: 'pending-approvals',
+         title: 'Pending Approvals',
+         icon: 'folder-check',
+         source: 'overview',
+         select: data => data.pending_approvals || {},
+         permission: [P.APPROVE_EXPENSES, P.APPROVE_BUDGETS],
+         size: 12,
+         sizes: [6, 12],
+         headerHtml: '<span class="badge bg-warning text-dark" data-pending-count>0</span>',
+         render: renderPendingApprovals
+      });
+   }
+
+   // Render a stat card
+   function renderStatCard(body, card, value, change) {
+      body.innerHTML = `
+            <div class="d-flex justify-content-between align-items-start mb-3">
+                <div>
+                    <p class="text-muted mb-1">${card.title}</p>
+                    <h3 class="mb-0">${value}</h3>
+                    <small class="text-muted">${change}</small>
+                </div>
+                <div class="stat-icon bg-${card.color} text-white text-opacity-50 rounded-circle p-3">
+                    <i class="bi bi-${card.icon}"></i>
                 </div>
             </div>
-        `).join('');
-
-      document.getElementById('statsCards').innerHTML = html;
+            <a href="${card.link}" class="btn btn-sm btn-${card.color}">
+                View Details <i class="bi bi-arrow-right ms-1"></i>
+            </a>
+        `;
    }
 
    // Render attendance chart
-   function renderAttendanceChart(data) {
-      const ctx = document.getElementById('attendanceChart');
-
-      if (attendanceChart) {
-         attendanceChart.destroy();
-      }
+   function renderAttendanceChart(body, data) {
+      body.innerHTML = '<div class="dashboard-chart"><canvas></canvas></div>';
 
       const dates = data.map(d => Utils.formatDate(d.date, 'M d'));
       const attendance = data.map(d => parseInt(d.present) || 0);
 
-      attendanceChart = new Chart(ctx, {
+      const chart = new Chart(body.querySelector('canvas'), {
          type: 'line',
          data: {
             labels: dates,
@@ -277,32 +233,36 @@
             }
          }
       });
+
+      return () => chart.destroy();
    }
 
    // Render finance chart
-   function renderFinanceChart(data) {
-      const ctx = document.getElementById('financeChart');
-
-      if (financeChart) {
-         financeChart.destroy();
-      }
+   function renderFinanceChart(body, data) {
+      const income = parseFloat(data.income || 0);
+      const expenses = parseFloat(data.expenses || 0);
+      const net = parseFloat(data.net || 0);
 
-      const income = data.income.toFixed(2);
-      const expenses = data.expenses.toFixed(2);
-      const net = data.net.toFixed(2);
-      console.log({
-         income,
-         expenses,
-         net
-      });
-
-      // Update text values
-      document.getElementById('totalIncome').textContent = Utils.formatCurrency(income);
-      document.getElementById('totalExpenses').textContent = Utils.formatCurrency(expenses);
-      document.getElementById('netBalance').textContent = Utils.formatCurrency(net);
-      document.getElementById('netBalance').className = net >= 0 ? 'text-success' : 'text-danger';
+      body.innerHTML = `
+            <canvas height="180"></canvas>
+            <div class="mt-3">
+                <div class="d-flex justify-content-between mb-2">
+                    <span class="text-muted">Income:</span>
+                    <strong class="text-success">${Utils.formatCurrency(income)}</strong>
+                </div>
+                <div class="d-flex justify-content-between mb-2">
+                    <span class="text-muted">Expenses:</span>
+                    <strong class="text-danger">${Utils.formatCurrency(expenses)}</strong>
+                </div>
+                <hr>
+                <div class="d-flex justify-content-between">
+                    <span class="fw-bold">Net:</span>
+                    <strong class="${net >= 0 ? 'text-success' : 'text-danger'}">${Utils.formatCurrency(net)}</strong>
+                </div>
+            </div>
+        `;
 
-      financeChart = new Chart(ctx, {
+      const chart = new Chart(body.querySelector('canvas'), {
          type: 'doughnut',
          data: {
             labels: ['Income', 'Expenses'],
@@ -324,14 +284,14 @@
             }
          }
       });
+
+      return () => chart.destroy();
    }
 
    // Render upcoming events
-   function renderUpcomingEvents(events) {
-      const container = document.getElementById('upcomingEvents');
-
+   function renderUpcomingEvents(body, events) {
       if (events.length === 0) {
-         container.innerHTML = `
+         body.innerHTML = `
                 <div class="text-center text-muted py-3">
                     <i class="bi bi-calendar-x fs-1"></i>
                     <p class="mb-0 mt-2">No upcoming events</p>
@@ -340,7 +300,7 @@
          return;
       }
 
-      const html = events.map(event => `
+      body.innerHTML = events.map(event => `
             <div class="d-flex align-items-start mb-3 pb-3 border-bottom">
                 <div class="me-3">
                     <div class="bg-primary bg-opacity-10 text-primary rounded p-2">
@@ -357,17 +317,14 @@
                 </div>
             </div>
         `).join('');
-
-      container.innerHTML = html;
    }
 
    // Render recent activity
-   function renderRecentActivity(activities) {
-      const container = document.getElementById('recentActivity');
-      document.getElementById('activityCount').textContent = activities.length;
+   function renderRecentActivity(body, activities, element) {
+      element.querySelector('[data-activity-count]').textContent = activities.length;
 
       if (activities.length === 0) {
-         container.innerHTML = `
+         body.innerHTML = `
                 <div class="text-center text-muted py-3">
                     <i class="bi bi-activity fs-1"></i>
                     <p class="mb-0 mt-2">No recent activity</p>
@@ -408,7 +365,7 @@
                         </div>
                     </div>
                     <div class="flex-grow-1">
-                        <div class="fw-semibold">${activity.type}</div>
+                        <div class="fw-semibold">${Utils.escapeHtml(activity.type)}</div>
                         <div class="text-muted small">${Utils.escapeHtml(activity.description)}</div>
                         <div class="text-muted small">${Utils.timeAgo(activity.timestamp)}</div>
                     </div>
@@ -416,55 +373,90 @@
             `;
       }).join('');
 
-      container.innerHTML = html;
+      body.innerHTML = `<div style="max-height: 400px; overflow-y: auto;">${html}</div>`;
    }
 
    // Render pending approvals
-   function renderPendingApprovals(pending) {
+   function renderPendingApprovals(body, pending, element) {
       const total = (pending.budgets || 0) + (pending.expenses || 0);
+      element.querySelector('[data-pending-count]').textContent = total;
 
-      if (total === 0) return;
-
-      document.getElementById('pendingApprovalsSection').style.display = 'block';
-      document.getElementById('pendingCount').textContent = total;
+      if (total === 0) {
+         body.innerHTML = `
+                <div class="text-center text-muted py-3">
+                    <i class="bi bi-check2-circle fs-1"></i>
+                    <p class="mb-0 mt-2">Nothing is waiting for approval</p>
+                </div>
+            `;
+         return;
+      }
 
-      const html = `
-            <div class="col-md-6">
-                <div class="alert alert-warning mb-0">
-                    <h6 class="alert-heading">
-                        <i class="bi bi-folder-check me-2"></i>Budget Approvals
-                    </h6>
-                    <p class="mb-2">${pending.budgets || 0} budget(s) pending approval</p>
-                    <a href="budgets.php?filter=pending" class="btn btn-sm btn-warning">Review Now</a>
+      body.innerHTML = `
+            <div class="row g-3">
+                <div class="col-md-6">
+                    <div class="alert alert-warning mb-0">
+                        <h6 class="alert-heading">
+                            <i class="bi bi-folder-check me-2"></i>Budget Approvals
+                        </h6>
+                        <p class="mb-2">${pending.budgets || 0} budget(s) pending approval</p>
+                        <a href="budgets.php?filter=pending" class="btn btn-sm btn-warning">Review Now</a>
+                    </div>
                 </div>
-            </div>
-            <div class="col-md-6">
-                <div class="alert alert-info mb-0">
-                    <h6 class="alert-heading">
-                        <i class="bi bi-receipt-cutoff me-2"></i>Expense Approvals
-                    </h6>
-                    <p class="mb-2">${pending.expenses || 0} expense(s) pending approval</p>
-                    <a href="expenses.php?filter=pending" class="btn btn-sm btn-info">Review Now</a>
+                <div class="col-md-6">
+                    <div class="alert alert-info mb-0">
+                        <h6 class="alert-heading">
+                            <i class="bi bi-receipt-cutoff me-2"></i>Expense Approvals
+                        </h6>
+                        <p class="mb-2">${pending.expenses || 0} expense(s) pending approval</p>
+                        <a href="expenses.php?filter=pending" class="btn btn-sm btn-info">Review Now</a>
+                    </div>
                 </div>
             </div>
         `;
+   }
 
-      document.getElementById('pendingApprovals').innerHTML = html;
+   function initializeEventListeners() {
+      document.getElementById('customizeDashboardBtn').addEventListener('click', function() {
+         const editing = !DashboardWidgets.editing;
+         DashboardWidgets.setEditing(editing);
+
+         this.innerHTML = editing
+            ? '<i class="bi bi-check-lg me-2"></i>Done'
+            : '<i class="bi bi-grid-1x2 me-2"></i>Customize';
+         document.getElementById('resetLayoutBtn').classList.toggle('d-none', !editing);
+      });
+
+      document.getElementById('resetLayoutBtn').addEventListener('click', async function() {
+         const confirmed = await Alerts.confirm({
+            title: 'Reset Layout',
+            text: 'Show all widgets again in their original order and size?',
+            icon: 'question',
+            confirmButtonText: 'Reset'
+         });
+         if (confirmed) DashboardWidgets.reset();
+      });
    }
 
    // Initialize on page load
-   document.addEventListener('DOMContentLoaded', () => {
+   document.addEventListener('DOMContentLoaded', async () => {
       // Check permission
+      await Auth.ready;
       if (!Auth.requirePermission(Config.PERMISSIONS.VIEW_DASHBOARD)) {
          window.location.href = '../login/';
          return;
       }
 
+      registerWidgets();
+      await DashboardWidgets.init('#dashboardWidgets', {
+         tray: '#dashboardWidgetTray'
+      });
+      initializeEventListeners();
+
       // Load dashboard
       loadDashboard();
 
-      // Auto-refresh every 5 minutes
-      setInterval(loadDashboard, 5 * 60 * 1000);
+      // Auto-refresh
+      setInterval(() => DashboardWidgets.refresh(true), Config.DASHBOARD_REFRESH_INTERVAL);
    });
 </script>
 
@@ -16,9 +16,31 @@ require_once '../includes/sidebar.php';
             </ol>
          </nav>
       </div>
-      <button class="btn btn-primary" id="addMemberBtn" data-permission="create_members">
-         <i class="bi bi-plus-circle me-2"></i>Add Member
-      </button>
+      <div class="d-flex gap-2">
+         <div class="dropdown">
+            <button class="btn btn-outline-secondary dropdown-toggle" type="button" data-bs-toggle="dropdown" aria-expanded="false">
+               <i class="bi bi-download me-2"></i>Export
+            </button>
+            <ul class="dropdown-menu dropdown-menu-end">
+               <li>
+                  <button class="dropdown-item" type="button" data-export="csv">
+                     <i class="bi bi-filetype-csv me-2"></i>CSV
+                  </button>
+               </li>
+               <li>
+                  <button class="dropdown-item" type="button" data-export="xlsx">
+                     <i class="bi bi-file-earmark-excel me-2"></i>Excel
+                  </button>
+               </li>
+            </ul>
+         </div>
+         <button class="btn btn-outline-primary" id="importMembersBtn" data-permission="create_members">
+            <i class="bi bi-upload me-2"></i>Import
+         </button>
+         <button class="btn btn-primary" id="addMemberBtn" data-permission="create_members">
+            <i class="bi bi-plus-circle me-2"></i>Add Member
+         </button>
+      </div>
    </div>
 
    <!-- Members Table -->
@@ -52,7 +74,7 @@ require_once '../includes/sidebar.php';
             <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
          </div>
          <div class="modal-body">
-            <form id="memberForm">
+            <form id="memberForm" novalidate>
                <input type="hidden" id="memberId" name="memberId">
 
                <!-- Tabs Navigation -->
@@ -147,7 +169,7 @@ require_once '../includes/sidebar.php';
                   <div class="tab-pane fade" id="contact" role="tabpanel">
                      <div class="row">
                         <div class="col-md-6 mb-3">
-                           <label class="form-label">Email Address</label>
+                           <label class="form-label">Email Address <span class="text-danger">*</span></label>
                            <input type="email" class="form-control" id="email" name="email">
                         </div>
                         <div class="col-md-6 mb-3">
@@ -159,7 +181,7 @@ require_once '../includes/sidebar.php';
                            <div id="phoneNumbersContainer">
                               <div class="phone-number-row mb-2">
                                  <div class="input-group">
-                                    <input type="text" class="form-control phone-number" placeholder="e.g., 0241234567">
+                                    <input type="text" class="form-control phone-number" placeholder="e.g., 0241234567 or +44 7700 900123">
                                     <button type="button" class="btn btn-outline-danger remove-phone-btn" style="display: none;">
                                        <i class="bi bi-trash"></i>
                                     </button>
@@ -259,6 +281,114 @@ require_once '../includes/sidebar.php';
    </div>
 </div>
 
+<!-- Import Members Modal -->
+<div class="modal fade" id="importModal" tabindex="-1">
+   <div class="modal-dialog modal-xl modal-dialog-scrollable">
+      <div class="modal-content">
+         <div class="modal-header">
+            <h5 class="modal-title">Import Members</h5>
+            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+         </div>
+         <div class="modal-body">
+            <!-- Step 1: File -->
+            <div data-import-step="file">
+               <p class="text-muted">
+                  Upload a CSV or Excel (.xlsx) file with a header row and one member per row.
+                  <a href="#" id="importTemplateBtn">Download a template</a>
+               </p>
+               <input type="file" class="form-control" id="importFile" accept=".csv,.xlsx,.xls,text/csv">
+            </div>
+
+            <!-- Step 2: Column mapping -->
+            <div data-import-step="map" class="d-none">
+               <p class="text-muted">
+                  Match the columns of <strong id="importFileName"></strong> to member fields.
+                  Username defaults to the email address; members without a password get a random one.
+               </p>
+               <div class="row g-3" id="importMapping"></div>
+            </div>
+
+            <!-- Step 3: Preview and import -->
+            <div data-import-step="preview" class="d-none">
+               <div id="importSummary" class="mb-3"></div>
+               <div class="progress mb-3 d-none" id="importProgress">
+                  <div class="progress-bar" role="progressbar" style="width: 0%"></div>
+               </div>
+               <div class="table-responsive">
+                  <table class="table table-sm table-hover" id="importPreview">
+                     <thead></thead>
+                     <tbody></tbody>
+                  </table>
+               </div>
+            </div>
+         </div>
+         <div class="modal-footer">
+            <button type="button" class="btn btn-outline-danger me-auto d-none" id="importErrorsBtn">
+               <i class="bi bi-download me-2"></i>Download Errors
+            </button>
+            <button type="button" class="btn btn-secondary d-none" id="importBackBtn">Back</button>
+            <button type="button" class="btn btn-primary d-none" id="importNextBtn">Next</button>
+         </div>
+      </div>
+   </div>
+</div>
+
+<!-- Giving Statement Modal -->
+<div class="modal fade" id="statementModal" tabindex="-1">
+   <div class="modal-dialog modal-xl modal-dialog-scrollable">
+      <div class="modal-content">
+         <div class="modal-header">
+            <h5 class="modal-title">Giving Statement</h5>
+            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+         </div>
+         <div class="modal-body">
+            <div class="row g-3 align-items-end mb-3">
+               <div class="col-md-4">
+                  <label for="statementPeriod" class="form-label">Period</label>
+                  <select class="form-select" id="statementPeriod">
+                     <option value="custom">Custom dates</option>
+                  </select>
+               </div>
+               <div class="col-md-3 d-none" data-statement-dates>
+                  <label for="statementDateFrom" class="form-label">From</label>
+                  <input type="text" class="form-control" id="statementDateFrom">
+               </div>
+               <div class="col-md-3 d-none" data-statement-dates>
+                  <label for="statementDateTo" class="form-label">To</label>
+                  <input type="text" class="form-control" id="statementDateTo">
+               </div>
+               <div class="col-md-2">
+                  <button type="button" class="btn btn-primary w-100" id="statementLoadBtn">Load</button>
+               </div>
+            </div>
+            <div class="row g-3">
+               <div class="col-lg-4">
+                  <h6 class="text-muted">Receipts</h6>
+                  <div class="list-group" id="statementReceipts"></div>
+               </div>
+               <div class="col-lg-8">
+                  <button type="button" class="btn btn-sm btn-link px-0 mb-2 d-none" id="statementBackBtn">
+                     <i class="bi bi-arrow-left me-1"></i>Back to statement
+                  </button>
+                  <div class="border rounded p-3" id="statementPreview"></div>
+               </div>
+            </div>
+         </div>
+         <div class="modal-footer">
+            <button type="button" class="btn btn-outline-secondary me-auto" id="statementEmailBtn" data-permission="send_communication" disabled>
+               <i class="bi bi-envelope me-2"></i>Email to Member
+            </button>
+            <button type="button" class="btn btn-outline-secondary" id="statementPrintBtn" disabled>
+               <i class="bi bi-printer me-2"></i>Print
+            </button>
+            <button type="button" class="btn btn-primary" id="statementPdfBtn" disabled>
+               <i class="bi bi-file-earmark-pdf me-2"></i>Download PDF
+            </button>
+         </div>
+      </div>
+   </div>
+</div>
+
 <!-- View Member Modal -->
 <div class="modal fade" id="viewMemberModal" tabindex="-1">
    <div class="modal-dialog modal-lg">
@@ -347,8 +477,64 @@ require_once '../includes/sidebar.php';
    let currentMemberId = null;
    let memberFormMode = 'create';
 
+   let memberValidator;
+
+   // Export overrides for membersTable columns (by column name or data key)
+   const memberExportColumns = {
+      MbrProfilePicture: false,
+      full_name: { data: row => `${row.MbrFirstName} ${row.MbrFamilyName}` },
+      PrimaryPhone: { type: 'phone' }
+   };
+
+   // Member form rules, keyed by backend field name (the keys of 422 errors).
+   // Built on init: this script runs before the core scripts (Config) load.
+   const hasLoginAccess = values => values.has_login_access === true;
+   function memberFormSchema() {
+      return {
+         first_name: { selector: '#firstName', required: true, max: 50 },
+         family_name: { selector: '#familyName', required: true, max: 50 },
+         other_names: { selector: '#otherNames', max: 100 },
+         gender: { selector: '#gender', required: true, options: Object.values(Config.GENDER) },
+         date_of_birth: { selector: '#dateOfBirth', label: 'Date of birth', type: 'date' },
+         registration_date: { selector: '#registrationDate', type: 'date', required: true },
+         profile_picture: {
+            selector: '#profilePicture',
+            type: 'file',
+            maxSize: Config.MAX_FILE_SIZE,
+            accept: Config.ALLOWED_IMAGE_TYPES
+         },
+         email_address: { selector: '#email', type: 'email', required: true, rules: [isEmailAvailable] },
+         address: { selector: '#address', max: 255 },
+         phone_numbers: { selector: '.phone-number', label: 'Phone number', type: 'phone', multiple: true },
+         occupation: { selector: '#occupation', max: 100 },
+         marital_status: { selector: '#maritalStatus' },
+         family_id: { selector: '#familyId' },
+         has_login_access: { selector: '#hasLoginAccess' },
+         username: { selector: '#username', required: hasLoginAccess, when: hasLoginAccess, max: 50 },
+         password: {
+            selector: '#password',
+            required: values => hasLoginAccess(values) && memberFormMode === 'create',
+            when: hasLoginAccess
+         },
+         role_id: { selector: '#roleId', label: 'Role', required: hasLoginAccess, when: hasLoginAccess }
+      };
+   }
+
+   // Catch duplicate emails before the backend rejects them
+   async function isEmailAvailable(email) {
+      try {
+         const response = await resources.members.list({ email, limit: 1 }, { cache: false });
+         const match = response.data?.[0];
+         return !match || String(match.MbrID) === String(currentMemberId) || 'This email address is already used by another member';
+      } catch (error) {
+         // The backend checks again on save
+         return true;
+      }
+   }
+
    document.addEventListener('DOMContentLoaded', async function() {
       // Initialize
+      await Auth.ready;
       Auth.requireAuth();
       await initializePage();
       initializeEventListeners();
@@ -358,15 +544,10 @@ require_once '../includes/sidebar.php';
       try {
          // Initialize DataTable
          membersTable = $('#membersTable').DataTable({
-            ajax: {
-               url: Config.API_BASE_URL + '/member/all',
-               headers: {
-                  'Authorization': 'Bearer ' + Auth.getToken()
-               },
-               dataSrc: function(response) {
-                  return response.data || [];
-               }
-            },
+            ...DataTableAdapter.options('member/all', {
+               searchParam: 'search',
+               sortParam: 'sort'
+            }),
             columns: [{
                   data: 'MbrProfilePicture',
                   orderable: false,
@@ -380,6 +561,7 @@ require_once '../includes/sidebar.php';
                },
                {
                   data: null,
+                  name: 'full_name',
                   render: function(data, type, row) {
                      return `${row.MbrFirstName} ${row.MbrFamilyName}`;
                   }
@@ -389,7 +571,10 @@ require_once '../includes/sidebar.php';
                },
                {
                   data: 'PrimaryPhone',
-                  defaultContent: '-'
+                  defaultContent: '-',
+                  render: function(data) {
+                     return Utils.escapeHtml(Utils.formatPhone(data));
+                  }
                },
                {
                   data: 'MbrEmailAddress',
@@ -414,6 +599,9 @@ require_once '../includes/sidebar.php';
                             <button class="btn btn-sm btn-outline-primary view-member-btn" data-id="${row.MbrID}">
                                 <i class="bi bi-eye"></i>
                             </button>
+                            <button class="btn btn-sm btn-outline-success statement-member-btn" data-id="${row.MbrID}" data-permission="view_contribution" title="Giving statement">
+                                <i class="bi bi-receipt"></i>
+                            </button>
                             <button class="btn btn-sm btn-outline-warning edit-member-btn" data-id="${row.MbrID}" data-permission="edit_members">
                                 <i class="bi bi-pencil"></i>
                             </button>
@@ -461,12 +649,36 @@ require_once '../includes/sidebar.php';
          openMemberModal('create');
       });
 
+      // Import members from a spreadsheet (validated with the member form rules)
+      MemberImport.init({
+         schema: memberFormSchema(),
+         onComplete: () => membersTable.ajax.reload()
+      });
+      document.getElementById('importMembersBtn').addEventListener('click', function() {
+         if (!Auth.hasPermission(Config.PERMISSIONS.CREATE_MEMBERS)) {
+            Auth.requirePermission(Config.PERMISSIONS.CREATE_MEMBERS);
+            return;
+         }
+         MemberImport.open();
+      });
+
       // Table action buttons
       $('#membersTable').on('click', '.view-member-btn', function() {
          const id = $(this).data('id');
          viewMember(id);
       });
 
+      // Giving statements and contribution receipts
+      MemberStatements.init();
+      $('#membersTable').on('click', '.statement-member-btn', function() {
+         if (!Auth.hasPermission(Config.PERMISSIONS.VIEW_CONTRIBUTION)) {
+            Auth.requirePermission(Config.PERMISSIONS.VIEW_CONTRIBUTION);
+            return;
+         }
+         const id = $(this).data('id');
+         MemberStatements.open(id);
+      });
+
       $('#membersTable').on('click', '.edit-member-btn', function() {
          if (!Auth.hasPermission(Config.PERMISSIONS.EDIT_MEMBERS)) {
             Auth.requirePermission(Config.PERMISSIONS.EDIT_MEMBERS);
@@ -485,8 +697,22 @@ require_once '../includes/sidebar.php';
          await deleteMember(id);
       });
 
-      // Save member button
-      document.getElementById('saveMemberBtn').addEventListener('click', saveMember);
+      // Export the member list (all pages, visible columns)
+      document.querySelectorAll('[data-export]').forEach(button => {
+         button.addEventListener('click', () => {
+            Exporter.exportTable(membersTable, button.dataset.export, {
+               filename: 'members',
+               columns: memberExportColumns
+            });
+         });
+      });
+
+      // Save member button (validated by memberValidator, which calls saveMember)
+      const memberForm = document.getElementById('memberForm');
+      memberValidator = new FormValidator(memberForm, memberFormSchema(), {
+         onSubmit: () => saveMember()
+      });
+      document.getElementById('saveMemberBtn').addEventListener('click', () => memberForm.requestSubmit());
 
       // Edit from view button
       document.getElementById('editFromViewBtn').addEventListener('click', function() {
@@ -531,6 +757,7 @@ require_once '../includes/sidebar.php';
 
       // Reset form
       document.getElementById('memberForm').reset();
+      memberValidator.reset();
       document.getElementById('memberId').value = '';
       document.getElementById('profilePicturePreview').innerHTML = '<i class="bi bi-person-circle"></i>';
       document.getElementById('removePhotoBtn').classList.add('d-none');
@@ -543,7 +770,7 @@ require_once '../includes/sidebar.php';
       document.getElementById('phoneNumbersContainer').innerHTML = `
         <div class="phone-number-row mb-2">
             <div class="input-group">
-                <input type="text" class="form-control phone-number" placeholder="e.g., 0241234567">
+                <input type="text" class="form-control phone-number" placeholder="e.g., 0241234567 or +44 7700 900123">
                 <button type="button" class="btn btn-outline-danger remove-phone-btn" style="display: none;">
                     <i class="bi bi-trash"></i>
                 </button>
@@ -561,7 +788,7 @@ require_once '../includes/sidebar.php';
    async function loadMemberData(memberId) {
       try {
          Alerts.loading('Loading member data...');
-         const response = await api.get(`member/view/${memberId}`);
+         const response = await resources.members.get(memberId);
          Alerts.closeLoading();
 
          const member = response.data;
@@ -594,7 +821,7 @@ require_once '../includes/sidebar.php';
                const html = `
                     <div class="phone-number-row mb-2">
                         <div class="input-group">
-                            <input type="text" class="form-control phone-number" value="${phone.PhoneNumber}">
+                            <input type="text" class="form-control phone-number" value="${Utils.escapeHtml(Utils.formatPhone(phone.PhoneNumber))}">
                             <button type="button" class="btn btn-outline-danger remove-phone-btn" ${index === 0 ? 'style="display: none;"' : ''}>
                                 <i class="bi bi-trash"></i>
                             </button>
@@ -629,13 +856,6 @@ require_once '../includes/sidebar.php';
 
    async function saveMember() {
       try {
-         // Validate form
-         const form = document.getElementById('memberForm');
-         if (!form.checkValidity()) {
-            form.reportValidity();
-            return;
-         }
-
          Alerts.loading('Saving member...');
 
          const formData = new FormData();
@@ -659,11 +879,11 @@ require_once '../includes/sidebar.php';
          formData.append('MbrEmailAddress', document.getElementById('email').value);
          formData.append('MbrResidentialAddress', document.getElementById('address').value);
 
-         // Phone numbers
+         // Phone numbers (stored in E.164)
          const phoneNumbers = [];
          document.querySelectorAll('.phone-number').forEach(input => {
             if (input.value.trim()) {
-               phoneNumbers.push(input.value.trim());
+               phoneNumbers.push(Phone.normalize(input.value) || input.value.trim());
             }
          });
          formData.append('PhoneNumbers', JSON.stringify(phoneNumbers));
@@ -690,12 +910,23 @@ require_once '../includes/sidebar.php';
             formData.append('HasLoginAccess', '0');
          }
 
+         const uploadOptions = {
+            allowedTypes: Config.ALLOWED_IMAGE_TYPES,
+            onProgress: ({
+               percent
+            }) => {
+               if (profilePicture && percent !== null) {
+                  Alerts.updateLoading(`Uploading... ${percent}%`);
+               }
+            }
+         };
+
          let response;
          if (memberFormMode === 'create') {
-            response = await api.upload('member/create', formData);
+            response = await resources.members.create(formData, uploadOptions);
          } else {
             const memberId = document.getElementById('memberId').value;
-            response = await api.upload(`member/update/${memberId}`, formData);
+            response = await resources.members.update(memberId, formData, uploadOptions);
          }
 
          Alerts.closeLoading();
@@ -709,7 +940,9 @@ require_once '../includes/sidebar.php';
       } catch (error) {
          Alerts.closeLoading();
          console.error('Save member error:', error);
-         Alerts.handleApiError(error);
+         FormErrors.handle(document.getElementById('memberForm'), error, {
+            fields: memberValidator.fieldMap
+         });
       }
    }
 
@@ -719,7 +952,7 @@ require_once '../includes/sidebar.php';
          const modal = new bootstrap.Modal(document.getElementById('viewMemberModal'));
          modal.show();
 
-         const response = await api.get(`member/view/${memberId}`);
+         const response = await resources.members.get(memberId);
          const member = response.data;
 
          const photoHtml = member.MbrProfilePicture ?
@@ -746,7 +979,7 @@ require_once '../includes/sidebar.php';
                     <strong>Email:</strong> ${member.MbrEmailAddress || '-'}
                 </div>
                 <div class="col-md-6 mb-3">
-                    <strong>Phone:</strong> ${member.phones && member.phones.length > 0 ? member.phones[0].PhoneNumber : '-'}
+                    <strong>Phone:</strong> ${member.phones && member.phones.length > 0 ? Utils.escapeHtml(Utils.formatPhone(member.phones[0].PhoneNumber)) : '-'}
                 </div>
                 <div class="col-md-12 mb-3">
                     <strong>Address:</strong> ${member.MbrResidentialAddress || '-'}
@@ -784,7 +1017,7 @@ require_once '../includes/sidebar.php';
          if (!confirmed) return;
 
          Alerts.loading('Deleting member...');
-         const response = await api.delete(`member/delete/${memberId}`);
+         const response = await resources.members.delete(memberId);
          Alerts.closeLoading();
 
          Alerts.success(response.message || 'Member deleted successfully');
@@ -802,15 +1035,15 @@ require_once '../includes/sidebar.php';
       if (!file) return;
 
       // Validate file type
-      if (!file.type.match('image.*')) {
+      if (!Config.ALLOWED_IMAGE_TYPES.includes(file.type)) {
          Alerts.error('Please select a valid image file');
          e.target.value = '';
          return;
       }
 
-      // Validate file size (max 2MB)
-      if (file.size > 2 * 1024 * 1024) {
-         Alerts.error('Image size must be less than 2MB');
+      // Validate file size
+      if (file.size > Config.MAX_FILE_SIZE) {
+         Alerts.error(`Image size must be less than ${Utils.formatFileSize(Config.MAX_FILE_SIZE)}`);
          e.target.value = '';
          return;
       }
@@ -829,7 +1062,7 @@ require_once '../includes/sidebar.php';
       const html = `
         <div class="phone-number-row mb-2">
             <div class="input-group">
-                <input type="text" class="form-control phone-number" placeholder="e.g., 0241234567">
+                <input type="text" class="form-control phone-number" placeholder="e.g., 0241234567 or +44 7700 900123">
                 <button type="button" class="btn btn-outline-danger remove-phone-btn">
                     <i class="bi bi-trash"></i>
                 </button>
@@ -841,7 +1074,7 @@ require_once '../includes/sidebar.php';
 
    async function loadFamilies() {
       try {
-         const response = await api.get('family/all');
+         const response = await resources.families.list();
          const select = document.getElementById('familyId');
          select.innerHTML = '<option value="">No Family</option>';
 
@@ -858,7 +1091,7 @@ require_once '../includes/sidebar.php';
 
    async function loadRoles() {
       try {
-         const response = await api.get('role/all');
+         const response = await resources.roles.list();
          const select = document.getElementById('roleId');
          select.innerHTML = '<option value="">Select Role</option>';
 
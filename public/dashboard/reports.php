@@ -0,0 +1,192 @@
+<?php
+$pageTitle = 'Financial Reports';
+require_once '../includes/header.php';
+require_once '../includes/sidebar.php';
+?>
+
+<div class="container-fluid py-4">
+   <!-- Page Header -->
+   <div class="d-flex justify-content-between align-items-center mb-4">
+      <div>
+         <h1 class="h3 mb-1">Reports</h1>
+         <nav aria-label="breadcrumb">
+            <ol class="breadcrumb mb-0">
+               <li class="breadcrumb-item"><a href="../dashboard/">Dashboard</a></li>
+               <li class="breadcrumb-item active">Reports</li>
+            </ol>
+         </nav>
+      </div>
+      <div class="d-flex gap-2">
+         <button class="btn btn-outline-secondary" id="printReportBtn" disabled>
+            <i class="bi bi-printer me-2"></i>Print
+         </button>
+         <button class="btn btn-primary" id="pdfReportBtn" disabled>
+            <i class="bi bi-file-earmark-pdf me-2"></i>Download PDF
+         </button>
+      </div>
+   </div>
+
+   <!-- Report Options -->
+   <div class="card mb-4">
+      <div class="card-body">
+         <form id="reportForm" class="row g-3 align-items-end">
+            <div class="col-md-3">
+               <label for="reportType" class="form-label">Report</label>
+               <select class="form-select" id="reportType" required>
+                  <option value="income-statement">Income Statement</option>
+                  <option value="balance-sheet">Balance Sheet</option>
+                  <option value="budget-vs-actual">Budget vs Actual</option>
+                  <option value="contribution-summary">Contribution Summary</option>
+                  <option value="expense-summary">Expense Summary</option>
+               </select>
+            </div>
+            <div class="col-md-3">
+               <label for="reportFiscalYear" class="form-label">Fiscal Year</label>
+               <select class="form-select" id="reportFiscalYear" required>
+                  <option value="">Loading...</option>
+               </select>
+            </div>
+            <div class="col-md-2">
+               <label for="reportDateFrom" class="form-label">From</label>
+               <input type="text" class="form-control" id="reportDateFrom" placeholder="Start of year">
+            </div>
+            <div class="col-md-2">
+               <label for="reportDateTo" class="form-label">To</label>
+               <input type="text" class="form-control" id="reportDateTo" placeholder="End of year">
+            </div>
+            <div class="col-md-2">
+               <button type="submit" class="btn btn-primary w-100" id="generateReportBtn">
+                  <i class="bi bi-play-circle me-2"></i>Generate
+               </button>
+            </div>
+         </form>
+      </div>
+   </div>
+
+   <!-- Report Preview -->
+   <div class="card">
+      <div class="card-body" id="reportPreview">
+         <p class="text-muted text-center py-5 mb-0">Choose a report and fiscal year, then select Generate.</p>
+      </div>
+   </div>
+</div>
+
+<script>
+   let fiscalYears = [];
+   let currentReport = null;
+   let dateFromPicker;
+   let dateToPicker;
+
+   document.addEventListener('DOMContentLoaded', async function() {
+      // Initialize
+      await Auth.ready;
+      Auth.requireAuth();
+      if (!Auth.hasPermission(Config.PERMISSIONS.VIEW_FINANCIAL_REPORTS)) {
+         Auth.requirePermission(Config.PERMISSIONS.VIEW_FINANCIAL_REPORTS);
+         return;
+      }
+      await initializePage();
+      initializeEventListeners();
+   });
+
+   async function initializePage() {
+      dateFromPicker = flatpickr('#reportDateFrom', { dateFormat: 'Y-m-d' });
+      dateToPicker = flatpickr('#reportDateTo', { dateFormat: 'Y-m-d' });
+
+      try {
+         fiscalYears = await Reports.fiscalYears();
+         Reports.fillFiscalYears(document.getElementById('reportFiscalYear'), fiscalYears);
+         limitDatesToFiscalYear();
+      } catch (error) {
+         console.error('Load fiscal years error:', error);
+         document.getElementById('reportFiscalYear').innerHTML = '<option value="">Unavailable</option>';
+         Alerts.handleApiError(error, 'Failed to load fiscal years');
+      }
+   }
+
+   function initializeEventListeners() {
+      document.getElementById('reportForm').addEventListener('submit', function(e) {
+         e.preventDefault();
+         generateReport();
+      });
+
+      document.getElementById('reportFiscalYear').addEventListener('change', limitDatesToFiscalYear);
+
+      document.getElementById('printReportBtn').addEventListener('click', function() {
+         if (currentReport) {
+            Reports.print(currentReport.html, currentReport.title);
+         }
+      });
+
+      document.getElementById('pdfReportBtn').addEventListener('click', async function() {
+         if (!currentReport) return;
+
+         try {
+            Alerts.loading('Preparing PDF...');
+            await Reports.pdf(currentReport.html, currentReport.filename);
+            Alerts.closeLoading();
+         } catch (error) {
+            Alerts.closeLoading();
+            console.error('PDF error:', error);
+            Alerts.error(error.message || 'Failed to create the PDF');
+         }
+      });
+   }
+
+   function getSelectedFiscalYear() {
+      const id = document.getElementById('reportFiscalYear').value;
+      return fiscalYears.find(year => String(year.FiscalYearID) === id) || null;
+   }
+
+   // Keep the optional date range inside the selected fiscal year
+   function limitDatesToFiscalYear() {
+      const year = getSelectedFiscalYear();
+      [dateFromPicker, dateToPicker].forEach(picker => {
+         picker.clear();
+         picker.set('minDate', year ? year.FiscalYearStartDate : null);
+         picker.set('maxDate', year ? year.FiscalYearEndDate : null);
+      });
+   }
+
+   async function generateReport() {
+      const fiscalYear = getSelectedFiscalYear();
+      if (!fiscalYear) {
+         Alerts.warning('Please select a fiscal year');
+         return;
+      }
+
+      const type = document.getElementById('reportType').value;
+      const params = {
+         date_from: document.getElementById('reportDateFrom').value,
+         date_to: document.getElementById('reportDateTo').value
+      };
+      if (params.date_from && params.date_to && params.date_from > params.date_to) {
+         Alerts.warning('The start date must be before the end date');
+         return;
+      }
+
+      const button = document.getElementById('generateReportBtn');
+      button.disabled = true;
+
+      try {
+         const html = await Reports.generate(type, fiscalYear, params);
+         const title = Reports.types[type].title;
+
+         currentReport = {
+            html,
+            title: `${title} - ${fiscalYear.YearName}`,
+            filename: `${type}-${String(fiscalYear.YearName).replace(/[^\w-]+/g, '-')}`
+         };
+         document.getElementById('reportPreview').innerHTML = html;
+         document.getElementById('printReportBtn').disabled = false;
+         document.getElementById('pdfReportBtn').disabled = false;
+      } catch (error) {
+         console.error('Generate report error:', error);
+         Alerts.handleApiError(error, 'Failed to generate the report');
+      } finally {
+         button.disabled = false;
+      }
+   }
+</script>
+
+<?php require_once '../includes/footer.php'; ?>
\ No newline at end of file
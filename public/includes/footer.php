@@ -22,26 +22,50 @@
 <!-- Core JS -->
 <script src="../assets/js/core/config.js"></script>
 <script src="../assets/js/core/utils.js"></script>
+<script src="../assets/js/core/phone.js"></script>
+<script src="../assets/js/core/format.js"></script>
+<script src="../assets/js/core/cache.js"></script>
+<script src="../assets/js/core/token-storage.js"></script>
 <script src="../assets/js/core/api.js"></script>
+<script src="../assets/js/core/resources.js"></script>
+<script src="../assets/js/core/datatable.js"></script>
+<script src="../assets/js/core/export.js"></script>
+<script src="../assets/js/core/importer.js"></script>
+<script src="../assets/js/core/reports.js"></script>
+<script src="../assets/js/core/statements.js"></script>
 <script src="../assets/js/core/auth.js"></script>
 <script src="../assets/js/core/alerts.js"></script>
+<script src="../assets/js/core/form-errors.js"></script>
+<script src="../assets/js/core/validator.js"></script>
+<script src="../assets/js/core/permissions.js"></script>
+<script src="../assets/js/core/offline-queue.js"></script>
+<script src="../assets/js/core/idle-monitor.js"></script>
+<script src="../assets/js/core/devices.js"></script>
+<script src="../assets/js/core/member-import.js"></script>
+<script src="../assets/js/core/member-statements.js"></script>
+<script src="../assets/js/core/dashboard-widgets.js"></script>
 
 <!-- Layout Script -->
 <script>
    // Initialize layout
-   document.addEventListener('DOMContentLoaded', () => {
-      // Check authentication
+   document.addEventListener('DOMContentLoaded', async () => {
+      // Check authentication (once the session has been restored)
+      await Auth.ready;
       if (!Auth.requireAuth()) {
          return;
       }
 
-      // Load user info
-      const user = Auth.getUser();
-      if (user) {
-         document.getElementById('userName').textContent = Auth.getUserName();
-         document.getElementById('userRole').textContent = Auth.getUserRole();
-         document.getElementById('userAvatar').textContent = Auth.getUserInitials();
-      }
+      // Load user info (and keep it current when another tab updates it)
+      const renderUserInfo = () => {
+         const user = Auth.getUser();
+         if (user) {
+            document.getElementById('userName').textContent = Auth.getUserName();
+            document.getElementById('userRole').textContent = Auth.getUserRole();
+            document.getElementById('userAvatar').textContent = Auth.getUserInitials();
+         }
+      };
+      renderUserInfo();
+      window.addEventListener('auth:userupdated', renderUserInfo);
 
       // Set active nav item
       const currentPage = window.location.pathname.split('/').pop().replace('.php', '') || 'index';
@@ -52,13 +76,8 @@
          }
       });
 
-      // Hide menu items based on permissions
-      document.querySelectorAll('[data-permission]').forEach(item => {
-         const permission = item.getAttribute('data-permission');
-         if (!Auth.hasPermission(Config.PERMISSIONS[permission.toUpperCase()])) {
-            item.style.display = 'none';
-         }
-      });
+      // Menu items with data-permission are handled by PermissionDirectives
+      window.addEventListener('auth:permissionschanged', renderUserInfo);
 
       // Mobile sidebar toggle
       const sidebarToggle = document.getElementById('sidebarToggle');
@@ -94,6 +113,12 @@
          }
       });
 
+      // Signed-in devices
+      document.getElementById('devicesBtn').addEventListener('click', (e) => {
+         e.preventDefault();
+         DeviceSessions.show();
+      });
+
       // Global search (optional)
       const globalSearch = document.getElementById('globalSearch');
       if (globalSearch) {
@@ -54,6 +54,12 @@
                </div>
             </div>
 
+            <!-- Pending Offline Changes -->
+            <button class="btn btn-sm badge bg-warning text-dark d-none" type="button" id="pendingChangesBadge" title="Changes waiting to sync">
+               <i class="bi bi-cloud-arrow-up me-1"></i>
+               <span id="pendingChangesText">0 pending</span>
+            </button>
+
             <!-- Notifications -->
             <div class="dropdown">
                <button class="btn btn-light position-relative" type="button" data-bs-toggle="dropdown">
@@ -91,6 +97,11 @@
                         <i class="bi bi-gear me-2"></i>Settings
                      </a>
                   </li>
+                  <li>
+                     <a class="dropdown-item" href="#" id="devicesBtn">
+                        <i class="bi bi-laptop me-2"></i>Signed-in Devices
+                     </a>
+                  </li>
                   <li>
                      <hr class="dropdown-divider">
                   </li>
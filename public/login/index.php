@@ -98,6 +98,52 @@
                         </button>
                      </form>
 
+                     <form id="twoFactorForm" class="d-none" novalidate>
+                        <div class="text-center mb-3">
+                           <i class="bi bi-shield-lock fs-1 text-primary"></i>
+                           <h5 class="mt-2 mb-1">Two-step verification</h5>
+                           <p class="text-muted small mb-0" id="twoFactorMessage"></p>
+                        </div>
+
+                        <div class="mb-3">
+                           <label for="twoFactorCode" class="form-label fw-semibold">Verification code</label>
+                           <input
+                              type="text"
+                              class="form-control form-control-lg text-center"
+                              id="twoFactorCode"
+                              name="code"
+                              inputmode="numeric"
+                              autocomplete="one-time-code"
+                              pattern="[0-9 ]{6,8}"
+                              maxlength="8"
+                              placeholder="123456"
+                              required>
+                           <div class="invalid-feedback">
+                              Please enter the 6-digit code.
+                           </div>
+                        </div>
+
+                        <div class="mb-3 form-check">
+                           <input
+                              type="checkbox"
+                              class="form-check-input"
+                              id="rememberDevice">
+                           <label class="form-check-label" for="rememberDevice">
+                              Don't ask again on this device
+                           </label>
+                        </div>
+
+                        <button type="submit" class="btn btn-primary btn-login w-100">
+                           <i class="bi bi-check2-circle me-2"></i>
+                           <span id="verifyButtonText">Verify</span>
+                        </button>
+
+                        <div class="d-flex justify-content-between mt-3 small">
+                           <a href="#" id="backToLogin"><i class="bi bi-arrow-left me-1"></i>Back to login</a>
+                           <a href="#" id="resendCode" class="d-none">Resend code</a>
+                        </div>
+                     </form>
+
                      <div class="footer-text">
                         <small>
                            <i class="bi bi-shield-check me-1"></i>
@@ -122,15 +168,19 @@
    <!-- Core JS -->
    <script src="../assets/js/core/config.js"></script>
    <script src="../assets/js/core/utils.js"></script>
+   <script src="../assets/js/core/cache.js"></script>
+   <script src="../assets/js/core/token-storage.js"></script>
    <script src="../assets/js/core/api.js"></script>
    <script src="../assets/js/core/auth.js"></script>
    <script src="../assets/js/core/alerts.js"></script>
 
    <script>
       // Check if already logged in
-      if (Auth.isAuthenticated()) {
-         window.location.href = '../dashboard/';
-      }
+      Auth.ready.then(authenticated => {
+         if (authenticated) {
+            window.location.href = '../dashboard/';
+         }
+      });
 
       // Toggle password visibility
       document.getElementById('togglePassword').addEventListener('click', function() {
@@ -171,7 +221,15 @@
 
          try {
             // Attempt login
-            await Auth.login(username, password, remember);
+            const result = await Auth.login(username, password, remember);
+
+            // Second factor required - switch to the verification step
+            if (result.requiresTwoFactor) {
+               showTwoFactorStep(result);
+               submitBtn.disabled = false;
+               buttonText.innerHTML = 'Login';
+               return;
+            }
 
             // Show success message
             Alerts.success('Login successful! Redirecting...');
@@ -200,6 +258,125 @@
          }
       });
 
+      // Two-factor verification step
+      let resendTimer = null;
+
+      function showTwoFactorStep(challenge) {
+         const destination = challenge.destination ? ` to ${challenge.destination}` : '';
+         const messages = {
+            totp: 'Enter the 6-digit code from your authenticator app.',
+            sms: `We sent a code by SMS${destination}.`,
+            email: `We sent a code by email${destination}.`
+         };
+
+         document.getElementById('twoFactorMessage').textContent = messages[challenge.method] || messages.totp;
+         document.getElementById('loginForm').classList.add('d-none');
+         document.getElementById('twoFactorForm').classList.remove('d-none');
+         document.getElementById('twoFactorCode').value = '';
+         document.getElementById('twoFactorCode').focus();
+
+         // Authenticator codes can't be resent
+         const resend = document.getElementById('resendCode');
+         resend.classList.toggle('d-none', challenge.method === 'totp');
+         if (challenge.method !== 'totp') {
+            startResendCooldown();
+         }
+      }
+
+      function showLoginStep() {
+         Auth.cancelTwoFactor();
+         clearInterval(resendTimer);
+         document.getElementById('twoFactorForm').classList.add('d-none');
+         document.getElementById('twoFactorForm').classList.remove('was-validated');
+         document.getElementById('loginForm').classList.remove('d-none');
+         document.getElementById('password').value = '';
+         document.getElementById('password').focus();
+      }
+
+      function startResendCooldown() {
+         const resend = document.getElementById('resendCode');
+         let seconds = Config.OTP_RESEND_COOLDOWN;
+
+         clearInterval(resendTimer);
+         resend.classList.add('disabled', 'text-muted');
+         resend.textContent = `Resend code (${seconds}s)`;
+
+         resendTimer = setInterval(() => {
+            seconds--;
+            if (seconds > 0) {
+               resend.textContent = `Resend code (${seconds}s)`;
+               return;
+            }
+            clearInterval(resendTimer);
+            resend.classList.remove('disabled', 'text-muted');
+            resend.textContent = 'Resend code';
+         }, 1000);
+      }
+
+      document.getElementById('twoFactorForm').addEventListener('submit', async (e) => {
+         e.preventDefault();
+
+         const form = e.target;
+         if (!form.checkValidity()) {
+            form.classList.add('was-validated');
+            return;
+         }
+
+         const submitBtn = form.querySelector('button[type="submit"]');
+         const buttonText = document.getElementById('verifyButtonText');
+         submitBtn.disabled = true;
+         buttonText.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Verifying...';
+
+         try {
+            await Auth.verifyTwoFactor(
+               document.getElementById('twoFactorCode').value,
+               document.getElementById('rememberDevice').checked
+            );
+
+            clearInterval(resendTimer);
+            Alerts.success('Login successful! Redirecting...');
+
+            setTimeout(() => {
+               Auth.handleRedirectAfterLogin();
+            }, 1000);
+
+         } catch (error) {
+            const card = document.querySelector('.login-card');
+            card.classList.add('shake');
+            setTimeout(() => card.classList.remove('shake'), 500);
+
+            Alerts.handleApiError(error, 'Invalid or expired code. Please try again.');
+
+            submitBtn.disabled = false;
+            buttonText.innerHTML = 'Verify';
+            document.getElementById('twoFactorCode').value = '';
+            document.getElementById('twoFactorCode').focus();
+
+            // The challenge is gone (expired or too many attempts) - start over
+            if (error instanceof APIError && error.status === 410) {
+               showLoginStep();
+            }
+         }
+      });
+
+      document.getElementById('resendCode').addEventListener('click', async (e) => {
+         e.preventDefault();
+         if (e.target.classList.contains('disabled')) return;
+
+         try {
+            const challenge = await Auth.resendTwoFactorCode();
+            Alerts.info(challenge.destination ? `A new code was sent to ${challenge.destination}` : 'A new code was sent');
+            startResendCooldown();
+         } catch (error) {
+            Alerts.handleApiError(error, 'Could not send a new code. Please try again.');
+         }
+      });
+
+      document.getElementById('backToLogin').addEventListener('click', (e) => {
+         e.preventDefault();
+         showLoginStep();
+      });
+
       // Handle Enter key on inputs
       document.querySelectorAll('#loginForm input').forEach(input => {
          input.addEventListener('keypress', (e) => {
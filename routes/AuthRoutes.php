@@ -3,8 +3,18 @@
 /**
  * Authentication API Routes – v1
  *
- * Handles login, token refresh, and logout.
- * Public endpoints — no token required.
+ * Handles login, two-factor verification, token refresh, logout, the
+ * current user's permissions and signed-in devices (sessions).
+ * Public endpoints — no token required (except auth/permissions and auth/sessions).
+ *
+ * Users with two-factor authentication get { status: 'challenge', ... }
+ * from auth/login and finish signing in with auth/2fa/verify. A
+ * "device_token" from a verification with "remember_device" skips the
+ * challenge on later logins from that device.
+ *
+ * Clients that send "refresh_cookie": true get the refresh token as an
+ * httpOnly cookie instead of in the response body; refresh and logout then
+ * read it from that cookie.
  *
  * @package  AliveChMS\Routes
  * @version  1.0.0
@@ -15,6 +25,10 @@
 declare(strict_types=1);
 
 require_once __DIR__ . '/../core/Auth.php';
+require_once __DIR__ . '/../core/TwoFactor.php';
+require_once __DIR__ . '/../core/RateLimiter.php';
+require_once __DIR__ . '/../core/SMSGateway.php';
+require_once __DIR__ . '/../core/EmailGateway.php';
 
 match (true) {
 
@@ -27,7 +41,14 @@ match (true) {
         if (!is_array($payload) || empty($payload['userid']) || empty($payload['passkey'])) Helpers::sendError('Username and password required', 400);
 
         try {
-            $result = Auth::login($payload['userid'], $payload['passkey']);
+            $deviceToken = is_string($payload['device_token'] ?? null) ? $payload['device_token'] : null;
+            $result      = Auth::login($payload['userid'], $payload['passkey'], !empty($payload['remember']), $deviceToken);
+
+            if ($result['status'] === 'success' && !empty($payload['refresh_cookie'])) {
+                Auth::setRefreshCookie($result['refresh_token'], $result['remember']);
+                unset($result['refresh_token']);
+            }
+
             echo json_encode($result);
         } catch (Exception $e) {
             Helpers::logError("Login failed for user {$payload['userid']}: " . $e->getMessage());
@@ -35,18 +56,65 @@ match (true) {
         }
     })(),
 
+    // =================================================================
+    // TWO-FACTOR VERIFICATION
+    // =================================================================
+    $method === 'POST' && $path === 'auth/2fa/verify' => (function () {
+        $payload = json_decode(file_get_contents('php://input'), true);
+
+        if (!is_array($payload) || empty($payload['challenge_token']) || empty($payload['code'])) Helpers::sendError('Verification code required', 400);
+
+        try {
+            $result = Auth::verifyTwoFactor((string)$payload['challenge_token'], (string)$payload['code'], !empty($payload['remember_device']));
+
+            if (!empty($payload['refresh_cookie'])) {
+                Auth::setRefreshCookie($result['refresh_token'], $result['remember']);
+                unset($result['refresh_token']);
+            }
+
+            echo json_encode($result);
+        } catch (Exception $e) {
+            Helpers::logError("Two-factor verification failed: " . $e->getMessage());
+            Helpers::sendError('Invalid or expired verification code', 401);
+        }
+    })(),
+
+    // =================================================================
+    // RESEND TWO-FACTOR CODE
+    // =================================================================
+    $method === 'POST' && $path === 'auth/2fa/resend' => (function () {
+        $payload = json_decode(file_get_contents('php://input'), true);
+
+        if (!is_array($payload) || empty($payload['challenge_token'])) Helpers::sendError('Challenge token required', 400);
+
+        try {
+            echo json_encode(Auth::resendTwoFactorCode((string)$payload['challenge_token']));
+        } catch (Exception $e) {
+            Helpers::logError("Two-factor resend failed: " . $e->getMessage());
+            Helpers::sendError('Sign-in expired. Please sign in again.', 401);
+        }
+    })(),
+
     // =================================================================
     // REFRESH TOKEN
     // =================================================================
     $method === 'POST' && $path === 'auth/refresh' => (function () {
         $payload = json_decode(file_get_contents('php://input'), true);
 
-        $refreshToken = $payload['refresh_token'] ?? '';
+        $useCookie    = empty($payload['refresh_token']);
+        $refreshToken = $useCookie ? (Auth::getRefreshCookie() ?? '') : $payload['refresh_token'];
         if ($refreshToken === '') {
             Helpers::sendError('Refresh token required', 400);
         }
         try {
-            $result = Auth::refreshAccessToken($refreshToken);
+            // Cookie clients keep nothing across page loads, so send the profile too
+            $result = Auth::refreshAccessToken($refreshToken, $useCookie);
+
+            if ($useCookie) {
+                Auth::setRefreshCookie($result['refresh_token'], $result['remember']);
+                unset($result['refresh_token']);
+            }
+
             echo json_encode($result);
         } catch (Exception $e) {
             Helpers::logError("Token refresh failed: " . $e->getMessage());
@@ -60,13 +128,68 @@ match (true) {
     $method === 'POST' && $path === 'auth/logout' => (function () {
         $payload = json_decode(file_get_contents('php://input'), true);
 
-        $refreshToken = $payload['refresh_token'] ?? '';
+        $useCookie    = empty($payload['refresh_token']);
+        $refreshToken = $useCookie ? (Auth::getRefreshCookie() ?? '') : $payload['refresh_token'];
+        if ($useCookie) {
+            Auth::clearRefreshCookie();
+        }
         if ($refreshToken === '') {
             Helpers::sendError('Refresh token required', 400);
         }
         Auth::logout($refreshToken);
     })(),
 
+    // =================================================================
+    // CURRENT USER ROLES & PERMISSIONS
+    // =================================================================
+    $method === 'GET' && $path === 'auth/permissions' => (function () {
+        $token = Auth::getBearerToken();
+        if (!$token || Auth::verify($token) === false) Helpers::sendError('Unauthorized: Valid token required', 401);
+
+        try {
+            $result = Auth::getCurrentUserPermissions();
+            echo json_encode($result);
+        } catch (Exception $e) {
+            Helpers::logError("Permission lookup failed: " . $e->getMessage());
+            Helpers::sendError('Failed to load permissions', 500);
+        }
+    })(),
+
+    // =================================================================
+    // SIGNED-IN DEVICES
+    // =================================================================
+    $method === 'GET' && $path === 'auth/sessions' => (function () {
+        $token = Auth::getBearerToken();
+        if (!$token || Auth::verify($token) === false) Helpers::sendError('Unauthorized: Valid token required', 401);
+
+        try {
+            $sessions = Auth::getUserSessions(Auth::getCurrentUserId(), Auth::getCurrentSessionId());
+            echo json_encode(['status' => 'success', 'data' => $sessions]);
+        } catch (Exception $e) {
+            Helpers::logError("Session lookup failed: " . $e->getMessage());
+            Helpers::sendError('Failed to load signed-in devices', 500);
+        }
+    })(),
+
+    // =================================================================
+    // SIGN OUT A DEVICE
+    // =================================================================
+    $method === 'DELETE' && $pathParts[0] === 'auth' && ($pathParts[1] ?? '') === 'sessions' && isset($pathParts[2]) => (function () use ($pathParts) {
+        $token = Auth::getBearerToken();
+        if (!$token || Auth::verify($token) === false) Helpers::sendError('Unauthorized: Valid token required', 401);
+
+        $sessionId = $pathParts[2];
+        if (!preg_match('/^[A-Za-z0-9-]{1,64}$/', $sessionId)) {
+            Helpers::sendError('Valid session ID required', 400);
+        }
+
+        if (!Auth::revokeSession(Auth::getCurrentUserId(), $sessionId)) {
+            Helpers::sendError('Session not found', 404);
+        }
+
+        echo json_encode(['status' => 'success', 'message' => 'Device signed out']);
+    })(),
+
     // =================================================================
     // FALLBACK
     // =================================================================
@@ -10,6 +10,7 @@
  * - View single contribution
  * - Paginated listing with powerful filtering
  * - Totals reporting
+ * - Emailing receipts and giving statements
  *
  * All operations strictly permission-controlled.
  *
@@ -22,6 +23,10 @@
 declare(strict_types=1);
 
 require_once __DIR__ . '/../core/Contribution.php';
+require_once __DIR__ . '/../core/FiscalYear.php';
+require_once __DIR__ . '/../core/Statement.php';
+require_once __DIR__ . '/../core/Communication.php';
+require_once __DIR__ . '/../core/EmailGateway.php';
 
 // ---------------------------------------------------------------------
 // AUTHENTICATION & AUTHORIZATION
@@ -155,6 +160,39 @@ match (true) {
         echo json_encode($result);
     })(),
 
+    // EMAIL A CONTRIBUTION RECEIPT (built from the database)
+    $method === 'POST' && $pathParts[0] === 'contribution' && ($pathParts[1] ?? '') === 'receipt' && ($pathParts[2] ?? '') === 'email' && isset($pathParts[3]) => (function () use ($token, $pathParts) {
+        Auth::checkPermission($token, 'view_contribution');
+        Auth::checkPermission($token, 'send_communication');
+
+        $contributionId = $pathParts[3];
+        if (!is_numeric($contributionId)) {
+            Helpers::sendFeedback('Valid Contribution ID required', 400);
+        }
+
+        $result = Communication::emailDocument(Statement::receipt((int)$contributionId));
+        echo json_encode($result);
+    })(),
+
+    // EMAIL A GIVING STATEMENT (built from the database)
+    $method === 'POST' && $path === 'contribution/statement/email' => (function () use ($token) {
+        Auth::checkPermission($token, 'view_contribution');
+        Auth::checkPermission($token, 'send_communication');
+
+        $payload = json_decode(file_get_contents('php://input'), true);
+        if (!is_array($payload)) {
+            Helpers::sendFeedback('Invalid JSON payload', 400);
+        }
+
+        Helpers::validateInput($payload, [
+            'member_id'      => 'required|numeric',
+            'fiscal_year_id' => 'nullable|numeric'
+        ]);
+
+        $result = Communication::emailDocument(Statement::statement((int)$payload['member_id'], $payload));
+        echo json_encode($result);
+    })(),
+
     // FALLBACK
     default => Helpers::sendFeedback('Contribution endpoint not found', 404),
 };
\ No newline at end of file
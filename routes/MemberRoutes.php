@@ -112,7 +112,19 @@ match (true) {
         $page  = max(1, (int)($_GET['page'] ?? 1));
         $limit = max(1, min(100, (int)($_GET['limit'] ?? 10)));
 
-        $result = Member::getAll($page, $limit);
+        $filters = [];
+        if (!empty($_GET['email'])) {
+            $filters['email'] = trim($_GET['email']);
+        }
+        if (!empty($_GET['search'])) {
+            $filters['search'] = trim($_GET['search']);
+        }
+        if (!empty($_GET['sort'])) {
+            $filters['sort']  = $_GET['sort'];
+            $filters['order'] = $_GET['order'] ?? 'asc';
+        }
+
+        $result = Member::getAll($page, $limit, $filters);
         echo json_encode($result);
     })(),
 
@@ -0,0 +1,440 @@
+<?php
+
+/**
+ * Two-Factor Login Tests
+ *
+ * Runs the auth/login → auth/2fa/verify → auth/2fa/resend flow of Auth and
+ * TwoFactor against in-memory stubs of ORM, Helpers, RateLimiter and the
+ * SMS/email gateways, so no database or gateway account is needed.
+ *
+ * Usage (after composer install): composer test
+ *
+ * @package  AliveChMS\Tests
+ * @version  1.0.0
+ * @author   Benjamin Ebo Yankson
+ * @since    2025-November
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/../vendor/autoload.php';
+
+$_ENV['JWT_SECRET']         = 'test-access-secret';
+$_ENV['JWT_REFRESH_SECRET'] = 'test-refresh-secret';
+$_ENV['CHURCH_NAME']        = 'Test Church';
+
+// =================================================================
+// STUBS
+// =================================================================
+
+/** Thrown instead of sending an HTTP error and exiting */
+class HttpError extends Exception
+{
+}
+
+class Helpers
+{
+   public static function sendError(string $message, int $code = 400, array $errors = []): void
+   {
+      throw new HttpError($message, $code);
+   }
+
+   public static function logError(string $message): void
+   {
+   }
+}
+
+class RateLimiter
+{
+   public static array $attempts = [];
+
+   public static function check(string $identifier, int $maxAttempts = 5, int $windowSeconds = 300): bool
+   {
+      $count = self::$attempts[$identifier] ?? 0;
+      if ($count >= $maxAttempts) {
+         return false;
+      }
+      self::$attempts[$identifier] = $count + 1;
+      return true;
+   }
+
+   public static function clear(string $identifier): void
+   {
+      unset(self::$attempts[$identifier]);
+   }
+
+   public static function enforce(string $identifier, int $maxAttempts = 5, int $windowSeconds = 300): void
+   {
+      if (!self::check($identifier, $maxAttempts, $windowSeconds)) {
+         throw new HttpError('Too many requests', 429);
+      }
+   }
+}
+
+class SMSGateway
+{
+   public static array $sent = [];
+
+   public static function send(string $phone, string $message): bool
+   {
+      self::$sent[] = ['phone' => $phone, 'message' => $message];
+      return true;
+   }
+}
+
+class EmailGateway
+{
+   public static array $sent = [];
+
+   public static function send(string $to, string $subject, string $body): bool
+   {
+      self::$sent[] = ['to' => $to, 'subject' => $subject, 'body' => $body];
+      return true;
+   }
+}
+
+class ORM
+{
+   /** Login records by MbrID */
+   public static array $users = [];
+
+   /** Whether userauthentication has the two-factor columns */
+   public static bool $twoFactorColumns = true;
+
+   public function selectWithJoin(string $baseTable, array $joins = [], array $fields = ['*'], array $conditions = [], array $params = [], array $orderBy = [], array $groupBy = [], int $limit = 0, int $offset = 0): array
+   {
+      $twoFactorFields = array_filter($fields, fn($field) => str_starts_with($field, 'u.TwoFactor'));
+      if ($twoFactorFields && !self::$twoFactorColumns) {
+         throw new PDOException('Unknown column ' . reset($twoFactorFields));
+      }
+
+      foreach (self::$users as $user) {
+         if ($user['Username'] === $params[':value'] || $user['MbrID'] === $params[':value']) {
+            return [$twoFactorFields ? $user : array_diff_key($user, ['TwoFactorMethod' => 0, 'TwoFactorSecret' => 0])];
+         }
+      }
+      return [];
+   }
+
+   public function runQuery(string $query, array $params = []): array
+   {
+      if (str_starts_with($query, 'SHOW COLUMNS')) {
+         return self::$twoFactorColumns ? [['Field' => 'TwoFactorMethod'], ['Field' => 'TwoFactorSecret']] : [];
+      }
+      if (str_contains($query, 'member_phone')) {
+         return [['PhoneNumber' => self::$users[$params[':id']]['Phone']]];
+      }
+      return [['RoleName' => 'Member']];
+   }
+
+   public function insert(string $table, array $data): array
+   {
+      return ['id' => 1];
+   }
+
+   public function update(string $table, array $data, array $conditions): int
+   {
+      return 1;
+   }
+}
+
+require_once __DIR__ . '/../core/Auth.php';
+require_once __DIR__ . '/../core/TwoFactor.php';
+
+// =================================================================
+// HELPERS
+// =================================================================
+
+const TOTP_SECRET = 'JBSWY3DPEHPK3PXP';
+
+function resetStubs(): void
+{
+   RateLimiter::$attempts = [];
+   SMSGateway::$sent      = [];
+   EmailGateway::$sent    = [];
+
+   ORM::$twoFactorColumns = true;
+   (new ReflectionProperty(TwoFactor::class, 'available'))->setValue(null, null);
+
+   ORM::$users = [
+      1 => loginRecord(1, 'plain', null),
+      2 => loginRecord(2, 'texter', 'sms'),
+      3 => loginRecord(3, 'mailer', 'email'),
+      4 => loginRecord(4, 'authy', 'totp', TOTP_SECRET)
+   ];
+}
+
+function loginRecord(int $id, string $username, ?string $method, ?string $secret = null): array
+{
+   return [
+      'MbrID'           => $id,
+      'Username'        => $username,
+      'PasswordHash'    => password_hash('secret', PASSWORD_DEFAULT),
+      'TwoFactorMethod' => $method,
+      'TwoFactorSecret' => $secret,
+      'MbrEmailAddress' => "$username@example.com",
+      'Phone'           => '0241234567',
+      'RoleName'        => 'Member'
+   ];
+}
+
+/** Code from the last SMS or email sent */
+function lastCode(): string
+{
+   $last = end(SMSGateway::$sent) ?: end(EmailGateway::$sent);
+   preg_match('/\d{6}/', $last['message'] ?? strip_tags($last['body']), $match);
+   return $match[0];
+}
+
+/** Authenticator-app code for the current time step, computed independently of TwoFactor */
+function totpNow(string $secret): string
+{
+   $alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+   $bits     = '';
+   foreach (str_split($secret) as $char) {
+      $bits .= str_pad(decbin(strpos($alphabet, $char)), 5, '0', STR_PAD_LEFT);
+   }
+   $key = implode('', array_map(fn($byte) => chr(bindec($byte)), array_filter(str_split($bits, 8), fn($byte) => strlen($byte) === 8)));
+
+   $hash   = hash_hmac('sha1', pack('N2', 0, intdiv(time(), 30)), $key, true);
+   $offset = ord($hash[19]) & 0x0f;
+   $value  = unpack('N', substr($hash, $offset, 4))[1] & 0x7fffffff;
+   return str_pad((string)($value % 1000000), 6, '0', STR_PAD_LEFT);
+}
+
+/** Challenge token whose code was sent $age seconds ago */
+function agedChallenge(string $token, int $age): string
+{
+   $claims = TwoFactor::decodeChallenge($token);
+   $claims['sent'] -= $age;
+   unset($claims['iat'], $claims['exp']);
+
+   $encode = new ReflectionMethod(TwoFactor::class, 'encode');
+   return $encode->invoke(null, $claims, 300);
+}
+
+function check(bool $condition, string $message = 'Check failed'): void
+{
+   if (!$condition) {
+      throw new AssertionError($message);
+   }
+}
+
+function expectError(callable $fn, int $code): void
+{
+   try {
+      $fn();
+   } catch (HttpError $e) {
+      check($e->getCode() === $code, "Expected HTTP $code, got {$e->getCode()}");
+      return;
+   }
+   throw new AssertionError("Expected HTTP $code");
+}
+
+function expectRejected(callable $fn): void
+{
+   try {
+      $fn();
+   } catch (HttpError $e) {
+      throw $e;
+   } catch (Exception $e) {
+      return;
+   }
+   throw new AssertionError('Expected an exception');
+}
+
+// =================================================================
+// TESTS
+// =================================================================
+
+$tests = [
+
+   'login without two-factor signs straight in' => function () {
+      $result = Auth::login('plain', 'secret');
+      check($result['status'] === 'success');
+      check(!empty($result['access_token']) && !empty($result['refresh_token']));
+   },
+
+   'sms login answers with a challenge and texts a code' => function () {
+      $result = Auth::login('texter', 'secret', true);
+      check($result['status'] === 'challenge');
+      check($result['method'] === 'sms' && $result['expires_in'] === 300);
+      check($result['destination'] === '******4567');
+      check(!isset($result['access_token']) && !isset($result['refresh_token']));
+      check(count(SMSGateway::$sent) === 1 && SMSGateway::$sent[0]['phone'] === '0241234567');
+      check(!str_contains($result['challenge_token'], lastCode()));
+   },
+
+   'email login answers with a challenge and emails a code' => function () {
+      $result = Auth::login('mailer', 'secret');
+      check($result['status'] === 'challenge' && $result['method'] === 'email');
+      check($result['destination'] === 'm*****@example.com');
+      check(count(EmailGateway::$sent) === 1 && EmailGateway::$sent[0]['to'] === 'mailer@example.com');
+   },
+
+   'totp login answers with a challenge and sends nothing' => function () {
+      $result = Auth::login('authy', 'secret');
+      check($result['status'] === 'challenge' && $result['method'] === 'totp');
+      check($result['destination'] === null);
+      check(SMSGateway::$sent === [] && EmailGateway::$sent === []);
+   },
+
+   'wrong password never reaches the challenge' => function () {
+      expectRejected(fn() => Auth::login('texter', 'wrong'));
+      check(SMSGateway::$sent === []);
+   },
+
+   'verify with the texted code signs in with the remembered choice' => function () {
+      $challenge = Auth::login('texter', 'secret', true);
+      $result    = Auth::verifyTwoFactor($challenge['challenge_token'], lastCode());
+      check($result['status'] === 'success' && $result['remember'] === true);
+      check(!empty($result['access_token']) && !empty($result['refresh_token']));
+      check(!isset($result['device_token']));
+      check(!array_key_exists('TwoFactorSecret', $result['user']) && !array_key_exists('PasswordHash', $result['user']));
+   },
+
+   'verify with the authenticator code signs in' => function () {
+      $challenge = Auth::login('authy', 'secret');
+      $result    = Auth::verifyTwoFactor($challenge['challenge_token'], totpNow(TOTP_SECRET));
+      check($result['status'] === 'success');
+   },
+
+   'verify rejects a wrong code' => function () {
+      $challenge = Auth::login('texter', 'secret');
+      $wrong     = lastCode() === '000000' ? '111111' : '000000';
+      expectRejected(fn() => Auth::verifyTwoFactor($challenge['challenge_token'], $wrong));
+   },
+
+   'verify rejects a used challenge' => function () {
+      $challenge = Auth::login('texter', 'secret');
+      $code      = lastCode();
+      Auth::verifyTwoFactor($challenge['challenge_token'], $code);
+      expectRejected(fn() => Auth::verifyTwoFactor($challenge['challenge_token'], $code));
+   },
+
+   'verify rejects a tampered challenge' => function () {
+      $challenge = Auth::login('texter', 'secret');
+      expectRejected(fn() => Auth::verifyTwoFactor($challenge['challenge_token'] . 'x', lastCode()));
+   },
+
+   'verify locks out after five wrong codes' => function () {
+      $challenge = Auth::login('texter', 'secret');
+      $code      = lastCode();
+      $wrong     = $code === '000000' ? '111111' : '000000';
+      for ($i = 0; $i < 5; $i++) {
+         expectRejected(fn() => Auth::verifyTwoFactor($challenge['challenge_token'], $wrong));
+      }
+      expectError(fn() => Auth::verifyTwoFactor($challenge['challenge_token'], $code), 429);
+   },
+
+   'challenge tokens are not access tokens' => function () {
+      $challenge = Auth::login('texter', 'secret');
+      check(Auth::verify($challenge['challenge_token']) === false);
+   },
+
+   'resend waits for the cooldown' => function () {
+      $challenge = Auth::login('texter', 'secret');
+      expectError(fn() => Auth::resendTwoFactorCode($challenge['challenge_token']), 429);
+      check(count(SMSGateway::$sent) === 1);
+   },
+
+   'resend texts a new code for a new challenge' => function () {
+      $challenge = Auth::login('texter', 'secret', true);
+      $resent    = Auth::resendTwoFactorCode(agedChallenge($challenge['challenge_token'], 31));
+      check($resent['status'] === 'challenge' && $resent['method'] === 'sms');
+      check($resent['challenge_token'] !== $challenge['challenge_token']);
+      check(count(SMSGateway::$sent) === 2);
+
+      $result = Auth::verifyTwoFactor($resent['challenge_token'], lastCode());
+      check($result['status'] === 'success' && $result['remember'] === true);
+   },
+
+   'resend uses up the old challenge' => function () {
+      $challenge = Auth::login('texter', 'secret');
+      $firstCode = lastCode();
+      $aged      = agedChallenge($challenge['challenge_token'], 31);
+      Auth::resendTwoFactorCode($aged);
+
+      expectError(fn() => Auth::resendTwoFactorCode($aged), 401);
+      check(count(SMSGateway::$sent) === 2);
+      expectRejected(fn() => Auth::verifyTwoFactor($aged, $firstCode));
+   },
+
+   'codes sent per user are capped' => function () {
+      for ($i = 0; $i < 5; $i++) {
+         Auth::login('texter', 'secret');
+      }
+      expectError(fn() => Auth::login('texter', 'secret'), 429);
+      check(count(SMSGateway::$sent) === 5);
+   },
+
+   'resend is refused for authenticator apps' => function () {
+      $challenge = Auth::login('authy', 'secret');
+      expectError(fn() => Auth::resendTwoFactorCode(agedChallenge($challenge['challenge_token'], 31)), 400);
+   },
+
+   'remembered device skips the challenge' => function () {
+      $challenge = Auth::login('texter', 'secret');
+      $verified  = Auth::verifyTwoFactor($challenge['challenge_token'], lastCode(), true);
+      check(!empty($verified['device_token']));
+
+      $result = Auth::login('texter', 'secret', false, $verified['device_token']);
+      check($result['status'] === 'success');
+      check(count(SMSGateway::$sent) === 1);
+   },
+
+   'remembered device still needs the password' => function () {
+      $challenge = Auth::login('texter', 'secret');
+      $verified  = Auth::verifyTwoFactor($challenge['challenge_token'], lastCode(), true);
+      expectRejected(fn() => Auth::login('texter', 'wrong', false, $verified['device_token']));
+   },
+
+   'remembered device is tied to its user' => function () {
+      $challenge = Auth::login('texter', 'secret');
+      $verified  = Auth::verifyTwoFactor($challenge['challenge_token'], lastCode(), true);
+
+      $result = Auth::login('mailer', 'secret', false, $verified['device_token']);
+      check($result['status'] === 'challenge');
+   },
+
+   'password change forgets remembered devices' => function () {
+      $challenge = Auth::login('texter', 'secret');
+      $verified  = Auth::verifyTwoFactor($challenge['challenge_token'], lastCode(), true);
+
+      ORM::$users[2]['PasswordHash'] = password_hash('secret', PASSWORD_DEFAULT);
+      $result = Auth::login('texter', 'secret', false, $verified['device_token']);
+      check($result['status'] === 'challenge');
+   },
+
+   'databases without the two-factor columns sign in with the password' => function () {
+      ORM::$twoFactorColumns = false;
+
+      $result = Auth::login('texter', 'secret');
+      check($result['status'] === 'success');
+      check(SMSGateway::$sent === []);
+   },
+
+   'challenge tokens are not device tokens' => function () {
+      $challenge = Auth::login('texter', 'secret');
+      $result    = Auth::login('texter', 'secret', false, $challenge['challenge_token']);
+      check($result['status'] === 'challenge');
+   }
+];
+
+// Keep header() calls (Retry-After) from warning about sent output
+ob_start();
+
+$failed = 0;
+foreach ($tests as $name => $test) {
+   resetStubs();
+   try {
+      $test();
+      echo "ok   - $name\n";
+   } catch (Throwable $e) {
+      $failed++;
+      echo "FAIL - $name: " . get_class($e) . ': ' . $e->getMessage() . "\n";
+   }
+}
+
+echo "\n" . (count($tests) - $failed) . '/' . count($tests) . " passed\n";
+exit($failed > 0 ? 1 : 0);
\ No newline at end of file